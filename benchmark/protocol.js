@@ -0,0 +1,44 @@
+/**
+ * @file "Next-Yate" protocol benchmark
+ * @description Throughput of parse(), format() and streaming YateParser on typical call.route lines.
+ * Usage: node benchmark/protocol.js [count]
+ */
+"use strict";
+
+const { parse, format, YateParser } = require("../protocol");
+
+const COUNT = parseInt(process.argv[2]) || 100000;
+const LINE = "%%>message:0x7f3a2c001234.1580736088:1580736088:call.route::id=sip/1234:module=sip:status=incoming" +
+	":address=10.0.0.1%z5060:billid=1580736000-12:caller=+15551234567:called=32843:callername=John Doe" +
+	":sip_uri=sip%z32843@10.0.0.2:sip_from=sip%z+15551234567@10.0.0.1:sip_to=<sip%z32843@10.0.0.2>:rtp_forward=possible";
+
+function bench(name, count, fn) {
+	let start = process.hrtime();
+	fn();
+	let time = process.hrtime(start);
+	let ms = time[0] * 1e3 + time[1] / 1e6;
+	console.log(name.padEnd(12), count + " lines", ms.toFixed(1) + " ms", Math.round(count / ms * 1000) + " lines/s");
+}
+
+let record = parse(LINE);
+
+bench("parse", COUNT, () => {
+	for (let i = 0; i < COUNT; i++) parse(LINE);
+});
+
+bench("format", COUNT, () => {
+	for (let i = 0; i < COUNT; i++) format(record);
+});
+
+let parser = new YateParser();
+let parsed = 0;
+parser.on("record", () => parsed++);
+let chunk = (LINE + "\n").repeat(100);
+bench("YateParser", COUNT, () => {
+	for (let i = 0; i < COUNT / 100; i++) {
+		// split the chunk in the middle of the line like a socket does
+		parser.push(chunk.substr(0, 1000));
+		parser.push(chunk.substr(1000));
+	}
+});
+if (parsed !== Math.floor(COUNT / 100) * 100) console.log("YateParser lost lines:", parsed);
@@ -5,7 +5,8 @@
  * @description The test routing rmanager utility is based on core API of "next-yate"
  * @example 
  * >telnet localhost 5038
- * >route 99991001
+ * >route 99991001 --caller 100
+ * >help route
  */
 
 const { Yate, YateMessage } = require("next-yate");
@@ -13,34 +14,16 @@ const { Yate, YateMessage } = require("next-yate");
 let yate = new Yate({host: "127.0.0.1"});
 yate.init();
 
-async function onCommand(msg) {
-    // autocomplete line
-    if ("route".startsWith(msg.partial)) {
-        msg.retValue(
-            msg.retValue() +
-            (msg.retValue() ? "\troute" : "route")
-        );
-        return;
-    }
-
-    // parse command line
-    let [command, called] = msg.line.split(" ");
-    if (command !== "route") return;
-
+yate.command("route <called> [--caller X]", async args => {
     // find route
-    let call_route = new YateMessage("call.route", {called: called});
+    let call_route = new YateMessage("call.route", {called: args.called, caller: args.caller});
     let start_at = Date.now();
     let route_result = await yate.dispatch(call_route);
-    let duration = Date.now() - start_at;
 
     // formatted answer
-    msg.retValue(
-        "Result: " + (route_result.retValue() === "" ? "None" : route_result.retValue()) +
-        "\r\nhandlers: " + route_result.handlers +
-        "\r\nduration: " + duration + "ms\r\n\r\n"
-    );
-
-    return true;
-}
-
-yate.install(onCommand, "engine.command");
\ No newline at end of file
+    return [{
+        result: route_result.retValue() === "" ? "None" : route_result.retValue(),
+        handlers: route_result.handlers,
+        duration: (Date.now() - start_at) + "ms"
+    }];
+}, {help: "Routes the called number like incoming call and shows the result"});
@@ -0,0 +1,26 @@
+/**
+ * @file ivr_menu.js
+ * @license Apache-2.0
+ * @description The IVR defined in ivr_menu.json and executed by YateMenu
+ * @example
+ * regexroute.conf:
+ * ^1234567890$=dumb/
+ */
+
+const { Yate, YateChannel, YateMenu } = require("next-yate");
+
+const yate = new Yate({host: "127.0.0.1"});
+yate.init();
+
+YateMenu.load(__dirname + "/ivr_menu.json")
+    .then(menu => {
+        menu.on("enter", (node, chan) => console.log("Channel", chan.id, "entered", node));
+        yate.install(message => {
+            message.retValue("dumb/");
+            message.autoanswer = true;
+            let chan = new YateChannel(message);
+            chan.init(() => menu.run(chan).catch(console.log));
+            return true;
+        }, "call.route", 100, "called", "^1234567890$");
+    })
+    .catch(console.log);
@@ -0,0 +1,790 @@
+// Type definitions for next-yate
+// Project: https://github.com/0LEG0/next-yate
+
+/// <reference types="node" />
+
+import { EventEmitter } from "events";
+import { Writable } from "stream";
+import { Socket } from "net";
+import { ConnectionOptions } from "tls";
+
+export type MessageHandler = (message: YateMessage) => boolean | void | Promise<boolean | void>;
+export type ParamModel = "nested" | "flat" | "typed";
+export type ParamType = "string" | "number" | "boolean";
+export type QueuePolicy = "drop-oldest" | "drop-newest" | "reject";
+
+export interface YateOptions {
+	/** address of Yate's extmodule listener, stdin/stdout connected if neither host nor path is set */
+	host?: string;
+	/** TCP port, default 5040 */
+	port?: number;
+	/** Unix socket path of Yate's extmodule listener */
+	path?: string;
+	/** connect over TLS, the object is passed to tls.connect() */
+	tls?: boolean | ConnectionOptions;
+	/** TLS certificate authority, PEM or file name */
+	ca?: string | Buffer;
+	/** TLS client certificate, PEM or file name */
+	cert?: string | Buffer;
+	/** TLS client key, PEM or file name */
+	key?: string | Buffer;
+	/** track name of the script, default "next-yate" */
+	trackname?: string;
+	/** reconnect on lost connection, default true */
+	reconnect?: boolean;
+	/** first reconnect interval in milliseconds, default 10000 */
+	reconnnect_timeout?: number;
+	/** maximum reconnect interval in milliseconds, default 60000 */
+	reconnect_max?: number;
+	/** reconnect interval multiplier, default 2 */
+	reconnect_factor?: number;
+	/** random deviation of reconnect interval, default 0.2 */
+	reconnect_jitter?: number;
+	/** dispatch() answer timeout in milliseconds, default 10000 */
+	dispatch_timeout?: number;
+	/** incoming message is acknowledged as is after the timeout in milliseconds, default 10000 */
+	acknowledge_timeout?: number;
+	/** deadline of every installed handler in milliseconds, default acknowledge_timeout less 200 ms */
+	handler_timeout?: number;
+	/** dispatch() and setlocal() reject with typed errors, default false */
+	strict?: boolean;
+	/** maximum line size, default 8192 */
+	bufsize?: number;
+	/** channel mode, ^NNN=extmodule/nodata/node.sh script.js */
+	channel?: boolean;
+	/** lines kept while disconnected, default 100 */
+	queue?: number;
+	/** what to drop when the offline queue is full, default "drop-oldest" */
+	queue_policy?: QueuePolicy;
+	/** default time to live of queued messages in milliseconds, 0 - forever */
+	queue_ttl?: number;
+	/** sound root of YateChannel.say() */
+	sounds?: string;
+	/** language of YateChannel.say(), default "en" */
+	language?: string;
+	/** model of incoming message parameters, default "nested" */
+	params?: ParamModel;
+	/** parameter types of "typed" model by message name */
+	schemas?: { [message: string]: { [param: string]: ParamType } };
+	/** name of the Engine, incoming messages are tagged with it in message._engine */
+	engine?: string;
+	/** enables the protocol tracing, object is YateTracer options */
+	trace?: boolean | YateTracerOptions;
+	/** port of the local HTTP endpoint of Prometheus metrics GET /metrics */
+	metrics_port?: number;
+	/** address of the metrics endpoint, default "127.0.0.1" */
+	metrics_host?: string;
+	/** adds the summary of metrics to engine.status answer, default true if not channel mode */
+	status?: boolean;
+	debug?: boolean;
+}
+
+export interface DispatchOptions {
+	/** overrides dispatch_timeout */
+	timeout?: number;
+	/** overrides strict option of Yate */
+	strict?: boolean;
+	/** time to live in the offline queue in milliseconds */
+	ttl?: number;
+}
+
+export interface WatchOptions {
+	filterName?: string;
+	filterValue?: string;
+	/** the component whose handler is replaced or removed only by the same owner and handler */
+	owner?: object;
+}
+
+export interface QueryOptions extends DispatchOptions {
+	/** string literal syntax, "mysql" escapes backslashes too, string values with backslash are refused if not set */
+	dialect?: "standard" | "mysql";
+}
+
+export interface HandlerInfo {
+	name: string;
+	handler: MessageHandler;
+	priority?: number;
+	filterName?: string;
+	filterValue?: string;
+	trackName: string;
+}
+
+export interface Environment {
+	version: string;
+	release: string;
+	nodename: string;
+	runid: string;
+	configname: string;
+	sharedpath: string;
+	configpath: string;
+	cfgsuffix: string;
+	modulepath: string;
+	modsuffix: string;
+	logfile: string;
+	clientmode: string;
+	supervised: string;
+	maxworkers: string;
+}
+
+export interface Histogram {
+	count: number;
+	/** milliseconds */
+	sum: number;
+	/** cumulative counts by upper bound in milliseconds and "+Inf" */
+	buckets: { [bound: string]: number };
+}
+
+export interface Metrics {
+	engine: string;
+	connected: boolean;
+	uptime: number;
+	messages: { [name: string]: number };
+	notifications: { [name: string]: number };
+	handlers: { failed: number; late: number };
+	handler_latency: Histogram;
+	acknowledged: number;
+	dispatched: number;
+	dispatch_timeouts: number;
+	dispatch_latency: Histogram;
+	queue: number;
+	queue_dropped: number;
+	/** successful reconnects */
+	reconnects: number;
+	channels: number;
+}
+
+export class Yate extends EventEmitter {
+	constructor(options?: YateOptions);
+
+	trackname: string;
+	reconnect: boolean;
+	strict: boolean;
+	debug: boolean;
+	bufsize: number;
+	dispatch_timeout: number;
+	handler_timeout: number;
+	acknowledge_timeout: number;
+	sounds: string | undefined;
+	language: string;
+	params: ParamModel;
+	readonly connected: boolean;
+	readonly engine: string;
+	readonly queue: YateQueue;
+	readonly tracer: YateTracer;
+	readonly counters: { failed: number; late: number };
+	readonly channel: boolean | YateChannel;
+	readonly socket: Socket | null;
+	readonly host: string | undefined;
+	readonly port: number;
+	readonly path: string | undefined;
+	readonly transport: "stdio" | "unix" | "tcp" | "tls";
+
+	init(callback?: () => void): Promise<boolean>;
+	restored(): Promise<boolean>;
+	toChannel(): YateChannel;
+	getConsole(): Console;
+	getEnvironment(): Promise<Environment>;
+	handlers(filter?: string | RegExp): HandlerInfo[];
+	schema(name: string, schema?: { [param: string]: ParamType }): void;
+	install(handler: MessageHandler, name: string, priority?: number, filterName?: string, filterValue?: string): Promise<boolean>;
+	install(handler: MessageHandler, name: string, filterName: string, filterValue: string): Promise<boolean>;
+	uninstall(name: string): Promise<boolean>;
+	uninstall(handler: MessageHandler, name: string, priority?: number, filterName?: string, filterValue?: string): Promise<boolean>;
+	uninstall(name: string, filterName: string, filterValue: string): Promise<boolean>;
+	watch(handler: MessageHandler, name: string, filterName?: string, filterValue?: string): Promise<boolean>;
+	watch(handler: MessageHandler, name: string, options: WatchOptions): Promise<boolean>;
+	unwatch(name: string): Promise<boolean>;
+	unwatch(handler: MessageHandler, name: string, filterName?: string, filterValue?: string): Promise<boolean>;
+	unwatch(name: string, filterName: string, filterValue: string): Promise<boolean>;
+	setlocal(name: string, value?: string | number | boolean, options?: { timeout?: number; strict?: boolean }): Promise<any>;
+	acknowledge(message: YateMessage): Promise<YateMessage>;
+	enqueue(message: YateMessage, options?: { ttl?: number }): Promise<YateMessage>;
+	dispatch(message: YateMessage, options?: DispatchOptions): Promise<YateMessage>;
+	query(account: string, sql: string, params?: any[] | { [name: string]: any }, options?: QueryOptions): Promise<YateMessage>;
+	output(...args: any[]): void;
+	metrics(): Metrics;
+	metrics(format: "prometheus"): string;
+	command(syntax: string, handler: CommandHandler, options?: CommandOptions): Promise<boolean>;
+	status(module: string, options?: DispatchOptions & { details?: boolean }): Promise<ModuleStatus | undefined>;
+	status(options?: DispatchOptions & { details?: boolean }): Promise<ModuleStatus[]>;
+
+	on(event: "connecting", listener: (attempt: number) => void): this;
+	on(event: "connected", listener: () => void): this;
+	on(event: "disconnected", listener: (reason: string) => void): this;
+	on(event: "reconnecting", listener: (attempt: number, delay: number) => void): this;
+	on(event: "restored", listener: (success: boolean) => void): this;
+	on(event: "handlerError", listener: (message: YateMessage, error: any) => void): this;
+	on(event: "protocolError", listener: (error: ProtocolError) => void): this;
+	on(event: string | symbol, listener: (...args: any[]) => void): this;
+}
+
+export interface PoolHost {
+	host?: string;
+	port?: number;
+	path?: string;
+	engine?: string;
+}
+
+export interface ModuleStatus {
+	name: string;
+	type?: string;
+	/** columns of the details */
+	format?: string[];
+	/** the other module parameters */
+	info: { [key: string]: string };
+	counters: { [key: string]: number | string };
+	/** {id, column: value} or {id, value} if there is no format */
+	details: Array<{ id: string; [column: string]: any }>;
+}
+
+export class YateStatus {
+	static parse(text: string): ModuleStatus[];
+	static format(status: Partial<ModuleStatus> | Array<Partial<ModuleStatus>>, details?: boolean): string;
+}
+
+export interface RegistryChannel {
+	id: string;
+	peerid?: string;
+	module?: string;
+	caller?: string;
+	called?: string;
+	direction?: string;
+	status?: string;
+	address?: string;
+	billid?: string;
+	/** chan.disconnected reason */
+	reason?: string;
+	/** milliseconds */
+	started?: number;
+	/** milliseconds */
+	answered?: number;
+}
+
+export class ChannelRegistry extends EventEmitter {
+	constructor(yate: Yate);
+	readonly size: number;
+	init(): Promise<boolean>;
+	close(): Promise<any[]>;
+	resync(): Promise<RegistryChannel[] | false>;
+	get(id: string): RegistryChannel | undefined;
+	list(filter?: (channel: RegistryChannel) => boolean): RegistryChannel[];
+	byBillid(billid: string): RegistryChannel[];
+	byCaller(caller: string): RegistryChannel[];
+	byStatus(status: string): RegistryChannel[];
+	on(event: "add", listener: (channel: RegistryChannel) => void): this;
+	on(event: "update", listener: (channel: RegistryChannel, changes: Partial<RegistryChannel>) => void): this;
+	on(event: "remove", listener: (channel: RegistryChannel, reason: string) => void): this;
+	on(event: "resync", listener: (channels: RegistryChannel[]) => void): this;
+	on(event: string | symbol, listener: (...args: any[]) => void): this;
+}
+
+export type CdrFields = string[] | { [column: string]: string | ((record: CdrRecord) => any) };
+
+export interface CdrRecord {
+	billid: string;
+	/** parameters of the legs */
+	legs: Array<{ [name: string]: string }>;
+	/** the earliest start, seconds */
+	time?: number;
+	duration?: number;
+	billtime?: number;
+	ringtime?: number;
+	/** the call timed out */
+	incomplete?: boolean;
+	/** parameters of the incoming leg */
+	[name: string]: any;
+}
+
+export interface CdrFileSink {
+	type: "csv" | "jsonl";
+	file: string;
+	fields?: CdrFields;
+	/** CSV separator, default "," */
+	separator?: string;
+	/** bytes, default 10 MB */
+	maxSize?: number;
+	/** default 5 */
+	maxFiles?: number;
+}
+
+export type CdrCallback = (row: { [column: string]: any }, record: CdrRecord) => void | Promise<any>;
+
+export interface CdrCollectorOptions {
+	sinks?: CdrFileSink | CdrCallback | Array<CdrFileSink | CdrCallback>;
+	fields?: CdrFields;
+	/** journal file replayed after restart */
+	journal?: string;
+	/** ms, default 1000 */
+	delay?: number;
+	/** ms, 0 - never, default 6 hours */
+	timeout?: number;
+}
+
+export class CdrCollector extends EventEmitter {
+	constructor(yate: Yate, options?: CdrCollectorOptions);
+	/** calls in progress */
+	readonly size: number;
+	init(): Promise<boolean>;
+	close(): Promise<any[]>;
+	on(event: "record", listener: (record: CdrRecord) => void): this;
+	on(event: "error", listener: (error: Error) => void): this;
+	on(event: string | symbol, listener: (...args: any[]) => void): this;
+}
+
+export interface CommandOptions {
+	/** description for "help <command>" */
+	help?: string;
+	/** completions of arguments and options */
+	complete?: { [name: string]: Array<string | number> | ((words: string[], partword: string) => Array<string | number> | Promise<Array<string | number>>) };
+	/** columns of the table output */
+	columns?: string[];
+}
+
+export type CommandOutput = string | object | Array<object | any[]> | boolean | void;
+export type CommandHandler = (args: { [name: string]: any }, message: YateMessage) => CommandOutput | Promise<CommandOutput>;
+
+export interface YatePoolOptions extends YateOptions {
+	/** Engines as "host:port" strings or objects */
+	hosts: Array<string | PoolHost>;
+	/** default "failover" */
+	mode?: "failover" | "round-robin";
+}
+
+export class YatePool extends EventEmitter {
+	constructor(options: YatePoolOptions);
+	mode: "failover" | "round-robin";
+	readonly engines: Yate[];
+	readonly connected: boolean;
+
+	init(callback?: () => void): Promise<boolean>;
+	close(): Promise<void>;
+	engine(): Yate;
+	dispatch(message: YateMessage, options?: DispatchOptions): Promise<YateMessage>;
+	enqueue(message: YateMessage, options?: { ttl?: number }): Promise<YateMessage>;
+	query(account: string, sql: string, params?: any[] | { [name: string]: any }, options?: QueryOptions): Promise<YateMessage>;
+	status(module: string, options?: DispatchOptions & { details?: boolean }): Promise<ModuleStatus | undefined>;
+	status(options?: DispatchOptions & { details?: boolean }): Promise<ModuleStatus[]>;
+	metrics(): Metrics[];
+	metrics(format: "prometheus"): string;
+	command(syntax: string, handler: CommandHandler, options?: CommandOptions): Promise<boolean>;
+	output(...args: any[]): void;
+	install(handler: MessageHandler, name: string, ...args: any[]): Promise<boolean>;
+	uninstall(...args: any[]): Promise<boolean>;
+	watch(handler: MessageHandler, name: string, filterName?: string, filterValue?: string): Promise<boolean>;
+	watch(handler: MessageHandler, name: string, options: WatchOptions): Promise<boolean>;
+	unwatch(...args: any[]): Promise<boolean>;
+	setlocal(name: string, value?: string | number | boolean, options?: { timeout?: number; strict?: boolean }): Promise<any[]>;
+}
+
+export interface QueueEntry {
+	line: string;
+	time: number;
+	expires: number;
+	id?: string;
+	output?: boolean;
+}
+
+export class YateQueue extends EventEmitter {
+	constructor(options?: { size?: number; policy?: QueuePolicy; ttl?: number });
+	size: number;
+	policy: QueuePolicy;
+	ttl: number;
+	readonly length: number;
+	push(line: string, options?: { ttl?: number; id?: string; output?: boolean }): boolean;
+	shift(): QueueEntry | undefined;
+	clear(): void;
+	on(event: "drop", listener: (entry: QueueEntry, reason: "overflow" | "ttl" | "clear") => void): this;
+	on(event: string | symbol, listener: (...args: any[]) => void): this;
+}
+
+export interface TraceRecord {
+	time: number;
+	engine: string;
+	direction: "in" | "out";
+	type: "message" | "acknowledge" | "dispatch" | "answer" | "notification" | "install" | "uninstall"
+		| "watch" | "unwatch" | "setlocal" | "connect" | "error" | "protocolError";
+	name?: string;
+	id?: string;
+	/** "id" parameter of the message */
+	channel?: string;
+	handled?: boolean;
+	success?: boolean;
+	value?: string;
+	/** milliseconds between %%>message and its answer or acknowledgement */
+	latency?: number;
+	outcome?: "handled" | "unhandled" | "failed" | "late";
+	error?: string;
+	line?: string;
+}
+
+export type TraceFilter = string | string[] | RegExp;
+
+export interface TraceLogger {
+	[level: string]: any;
+}
+
+export interface YateTracerOptions {
+	/** pino/winston-style logger called as logger[level](record, summary), or function(record) */
+	logger?: TraceLogger | ((record: TraceRecord) => void);
+	/** default "debug" */
+	level?: string;
+	/** JSONL file path */
+	file?: string;
+	/** rotate the file when it exceeds the size in bytes, default 10485760 */
+	maxSize?: number;
+	/** number of the rotated files to keep, default 5 */
+	maxFiles?: number;
+	names?: TraceFilter;
+	channels?: TraceFilter;
+	/** add the raw protocol line to the record */
+	lines?: boolean;
+}
+
+export class YateTracer extends EventEmitter {
+	constructor(options?: YateTracerOptions);
+	enabled: boolean;
+	logger: TraceLogger | ((record: TraceRecord) => void) | undefined;
+	level: string;
+	file: string | undefined;
+	filter(names?: TraceFilter, channels?: TraceFilter): void;
+	trace(direction: "in" | "out", line: string, record?: object, extra?: object): void;
+	error(direction: "in" | "out", error: string, line?: string): void;
+	close(): void;
+
+	on(event: "trace", listener: (record: TraceRecord) => void): this;
+	on(event: "error", listener: (error: Error) => void): this;
+	on(event: string | symbol, listener: (...args: any[]) => void): this;
+}
+
+export interface CreateOptions {
+	/** reject unknown messages and parameters */
+	strict?: boolean;
+}
+
+export interface CallRouteParams {
+	called: string | number;
+	id?: string;
+	module?: string;
+	status?: string;
+	address?: string;
+	billid?: string;
+	caller?: string | number;
+	callername?: string;
+	format?: string;
+	formats?: string;
+	line?: string;
+	username?: string;
+	realm?: string;
+	maxcall?: number | string;
+	timeout?: number | string;
+	[param: string]: any;
+}
+
+export interface CallExecuteParams {
+	callto: string;
+	id?: string;
+	module?: string;
+	status?: string;
+	billid?: string;
+	caller?: string | number;
+	callername?: string;
+	called?: string | number;
+	/** target of the outgoing call for "dumb/" */
+	direct?: string;
+	/** number to route for "dumb/" */
+	target?: string;
+	maxcall?: number | string;
+	timeout?: number | string;
+	autoanswer?: boolean | string;
+	autoring?: boolean | string;
+	line?: string;
+	format?: string;
+	formats?: string;
+	peerid?: string;
+	targetid?: string;
+	earlymedia?: boolean | string;
+	reason?: string;
+	error?: string;
+	[param: string]: any;
+}
+
+export interface CallDropParams {
+	id: string;
+	reason?: string;
+	[param: string]: any;
+}
+
+export interface CallStateParams {
+	id: string;
+	targetid?: string;
+	peerid?: string;
+	module?: string;
+	status?: string;
+	billid?: string;
+	earlymedia?: boolean | string;
+	[param: string]: any;
+}
+
+export interface ChanAttachParams {
+	id: string;
+	source?: string;
+	consumer?: string;
+	override?: string;
+	replace?: string;
+	/** targetid of chan.notify sent at the end of media */
+	notify?: string;
+	single?: boolean | string;
+	autorepeat?: boolean | string;
+	maxlen?: number | string;
+	format?: string;
+	[param: string]: any;
+}
+
+export interface ChanDtmfParams {
+	id: string;
+	text: string;
+	duration?: number | string;
+	detected?: string;
+	targetid?: string;
+	[param: string]: any;
+}
+
+export interface ChanNotifyParams {
+	targetid: string;
+	id?: string;
+	reason?: string;
+	[param: string]: any;
+}
+
+export interface EngineCommandParams {
+	line: string;
+	partial?: string;
+	partline?: string;
+	[param: string]: any;
+}
+
+export interface EngineStatusParams {
+	module?: string;
+	details?: boolean | string;
+	[param: string]: any;
+}
+
+export interface UserAuthParams {
+	username: string;
+	protocol?: string;
+	number?: string;
+	caller?: string;
+	called?: string;
+	realm?: string;
+	nonce?: string;
+	response?: string;
+	method?: string;
+	uri?: string;
+	address?: string;
+	ip_host?: string;
+	ip_port?: string;
+	billid?: string;
+	newcall?: boolean | string;
+	[param: string]: any;
+}
+
+export interface UserRegisterParams {
+	username: string;
+	number?: string;
+	data?: string;
+	expires?: number | string;
+	driver?: string;
+	ip_host?: string;
+	ip_port?: string;
+	[param: string]: any;
+}
+
+export class YateMessage {
+	constructor(name: string, params?: { [param: string]: any });
+	constructor(name: string, broadcast: boolean, params?: { [param: string]: any });
+
+	name: string;
+	time: string | number;
+	handled: boolean;
+	/** message parameters */
+	[param: string]: any;
+
+	getParam(name: string, defValue?: any, autoNumber?: boolean): any;
+	setParam(name: string, value: any): boolean;
+	copyParams(obj: object, prefix?: string, skip?: boolean): void;
+	retValue(): string;
+	retValue(value: string): void;
+	msgTime(): number | string;
+	getColumn(): { [column: string]: Array<string | undefined> };
+	getColumn(column: string | number): Array<string | undefined> | undefined;
+	getRow(): Array<{ [column: string]: string | undefined }>;
+	getRow(row: number): { [column: string]: string | undefined } | undefined;
+	getResult(row: number, column: string | number): string | undefined;
+	toString(): string;
+
+	static create(name: string, params?: { [param: string]: any }, options?: CreateOptions): YateMessage;
+	static callRoute(params: CallRouteParams, options?: CreateOptions): YateMessage & CallRouteParams;
+	static callExecute(params: CallExecuteParams, options?: CreateOptions): YateMessage & CallExecuteParams;
+	static callDrop(params: CallDropParams, options?: CreateOptions): YateMessage & CallDropParams;
+	static callAnswered(params: CallStateParams, options?: CreateOptions): YateMessage & CallStateParams;
+	static callRinging(params: CallStateParams, options?: CreateOptions): YateMessage & CallStateParams;
+	static callProgress(params: CallStateParams, options?: CreateOptions): YateMessage & CallStateParams;
+	static chanAttach(params: ChanAttachParams, options?: CreateOptions): YateMessage & ChanAttachParams;
+	static chanMasquerade(message: string, params: { id: string; [param: string]: any }, options?: CreateOptions): YateMessage;
+	static chanDtmf(params: ChanDtmfParams, options?: CreateOptions): YateMessage & ChanDtmfParams;
+	static chanNotify(params: ChanNotifyParams, options?: CreateOptions): YateMessage & ChanNotifyParams;
+	static engineCommand(params: EngineCommandParams, options?: CreateOptions): YateMessage & EngineCommandParams;
+	static engineStatus(params?: EngineStatusParams, options?: CreateOptions): YateMessage & EngineStatusParams;
+	static userAuth(params: UserAuthParams, options?: CreateOptions): YateMessage & UserAuthParams;
+	static userRegister(params: UserRegisterParams, options?: CreateOptions): YateMessage & UserRegisterParams;
+}
+
+export interface DigitsOptions {
+	/** maximum number of digits, default unlimited */
+	max?: number;
+	/** digits which complete the input, default "#" */
+	terminators?: string;
+	/** timeout for the first digit in milliseconds, default 5000 */
+	firstDigitTimeout?: number;
+	/** timeout between digits in milliseconds, default 3000 */
+	interDigitTimeout?: number;
+	/** drop buffered digits before collecting, default false */
+	flush?: boolean;
+}
+
+export interface DigitsResult {
+	digits: string;
+	reason: "max" | "terminator" | "timeout" | "hangup";
+	terminator?: string;
+}
+
+export interface SayOptions {
+	type?: "digits" | "number" | "date" | "time" | "currency";
+	language?: string;
+	currency?: string;
+	root?: string;
+	format?: string;
+}
+
+export interface RecordOptions {
+	/** maximum duration in milliseconds, default 180000 */
+	maxDuration?: number;
+	/** play the beep before recording */
+	beep?: boolean | string;
+	/** stop on any digit (true) or on the listed digits */
+	stopOnDigits?: boolean | string;
+	/** stop after the silence in milliseconds */
+	stopOnSilence?: number | { duration?: number; threshold?: number };
+}
+
+export interface RecordResult {
+	path: string;
+	duration: number;
+	bytes: number;
+	stopReason: "maxDuration" | "digit" | "silence" | "stopped" | "hangup";
+	digit?: string;
+}
+
+export class YateChannel extends EventEmitter {
+	constructor(message: YateMessage);
+	id: string;
+	peerid: string;
+	status: string;
+	ready: boolean;
+
+	init(callback?: (message: YateMessage) => void): Promise<YateMessage | false>;
+	reset(message?: any): void;
+	stop(): void;
+	callTo(dst: string, params?: { [param: string]: any }): Promise<YateMessage | false>;
+	callJust(dst: string, params?: { [param: string]: any }): Promise<YateMessage | false>;
+	ringing(params?: { [param: string]: any }): Promise<YateMessage | false>;
+	progress(params?: { [param: string]: any }): Promise<YateMessage | false>;
+	answered(params?: { [param: string]: any }): Promise<YateMessage | false>;
+	hangup(reason?: string): Promise<YateMessage>;
+	getDigits(options?: DigitsOptions): Promise<DigitsResult | false>;
+	playAndCollect(prompts: string | string[], options?: DigitsOptions): Promise<DigitsResult | false>;
+	say(value: any, options?: SayOptions): Promise<YateMessage | false>;
+	record(path: string, options?: RecordOptions): Promise<RecordResult | false>;
+	watch(handler: MessageHandler, name: string): Promise<boolean>;
+	install(handler: MessageHandler, name: string, priority?: number): Promise<boolean>;
+
+	static originate(yate: Yate, dst: string, params?: { timeout?: number; [param: string]: any }): Promise<YateChannel>;
+
+	on(event: "dtmf", listener: (message: YateMessage) => void): this;
+	on(event: "reset", listener: (message: any) => void): this;
+	on(event: "hangup" | "stop", listener: () => void): this;
+	on(event: string | symbol, listener: (...args: any[]) => void): this;
+}
+
+export type MenuAction = string
+	| { goto: string }
+	| { transfer: string; params?: { [param: string]: any } }
+	| { hangup: true | string }
+	| { end: true }
+	| ((chan: YateChannel, digits: string, menu: YateMenu) => MenuAction | void | Promise<MenuAction | void>);
+
+export interface MenuNode {
+	prompts?: string[] | ((chan: YateChannel) => string[]);
+	input?: DigitsOptions;
+	routes?: { [digits: string]: MenuAction };
+	retries?: number;
+	invalid?: string[];
+	noinput?: string[];
+	timeout?: MenuAction;
+	exhausted?: MenuAction;
+	next?: MenuAction;
+}
+
+export interface MenuDefinition {
+	start: string;
+	retries?: number;
+	nodes: { [name: string]: MenuNode };
+}
+
+export interface MenuResult {
+	node: string;
+	result: "hangup" | "transfer" | "end";
+	digits: string;
+}
+
+export class YateMenu extends EventEmitter {
+	constructor(menu: MenuDefinition);
+	run(chan: YateChannel, start?: string): Promise<MenuResult | false>;
+	static fromJSON(json: string | MenuDefinition): YateMenu;
+	static load(file: string): Promise<YateMenu>;
+
+	on(event: "enter", listener: (node: string, chan: YateChannel) => void): this;
+	on(event: "input", listener: (node: string, input: DigitsResult, chan: YateChannel) => void): this;
+	on(event: string | symbol, listener: (...args: any[]) => void): this;
+}
+
+export class YateSay {
+	static addLanguage(language: string, pack: { [type: string]: (value: any, options?: SayOptions) => string[] }): void;
+	static languages(): string[];
+	static words(value: any, options?: SayOptions): string[];
+	static files(value: any, options?: SayOptions): string[];
+}
+
+export class YateError extends Error {
+	constructor(message: string, props?: { [prop: string]: any });
+	id?: string;
+	elapsed?: number;
+	[prop: string]: any;
+}
+export class DispatchTimeoutError extends YateError {}
+export class NotConnectedError extends YateError {}
+export class ProtocolError extends YateError {
+	line?: string;
+	position?: number;
+	outgoing?: boolean;
+	bufsize?: number;
+}
+export class QueueOverflowError extends YateError {
+	size?: number;
+}
+export class ValidationError extends YateError {
+	message_name?: string;
+	param?: string;
+}
+
+export class DumpStream extends Writable {}
@@ -12,8 +12,12 @@
 const { Console } = require("console");
 const { Writable } = require("stream");
 const { Socket } = require("net");
+const { connect: tlsConnect } = require("tls");
+const { createServer: httpServer } = require("http");
 const { EventEmitter } = require("events");
-const { createInterface } = require("readline");
+const { YateParser, parse: _parseLine, format: _formatLine } = require("./protocol");
+const { readFile, readFileSync, stat, open, read, close, createWriteStream, existsSync, renameSync, rename, unlink,
+	writeFileSync, appendFile, fstat, fsync, ftruncate } = require("fs");
 const util = require("util");
 
 // defaults
@@ -21,15 +25,94 @@ const _TRACKNAME = "next-yate";
 const _BUFFER_SIZE = 8192; // default 8192
 const _DISPATCH_TIMEOUT = 10000; // default 10000
 const _ACKNOWLEDGE_TIMEOUT = 10000; // default 10000
-const _RECONNECT_TIMEOUT = 10000;
+const _ACKNOWLEDGE_MARGIN = 200; // acknowledge before the Engine gives up, at most 10% of acknowledge_timeout
+const _RECONNECT_TIMEOUT = 10000; // first reconnect interval
+const _RECONNECT_MAX = 60000;
+const _RECONNECT_FACTOR = 2;
+const _RECONNECT_JITTER = 0.2; // +-20% of interval
 const _CALL_TIMEOUT = 3600000; // 1 hour
+const _ORIGINATE_TIMEOUT = 60000; // 1 minute
+const _DTMF_TERMINATORS = "#";
+const _FIRST_DIGIT_TIMEOUT = 5000;
+const _INTER_DIGIT_TIMEOUT = 3000;
+const _MENU_RETRIES = 3;
+const _MENU_MAX_STEPS = 100;
+const _LANGUAGE = "en";
+const _SOUNDS = "./share/sounds";
+const _SOUND_FORMAT = "wav";
+const _RECORD_DURATION = 180000; // 3 minutes
+const _RECORD_BEEP = "tone/dtmf/0";
+const _RECORD_RATES = { slin: 16000, alaw: 8000, A: 8000, mulaw: 8000, u: 8000, au: 8000, gsm: 1650 }; // bytes per second
+const _AU_HEADER = 24;
+const _SILENCE_DURATION = 3000;
+const _SILENCE_THRESHOLD = 500; // of 32767
+const _SILENCE_INTERVAL = 250;
 const _PORT = 5040;
 //const _HOST = "127.0.0.1";
-const _OFFLINE_QUEUE = 100; // default 10
+const _OFFLINE_QUEUE = 100; // lines kept while disconnected
+const _QUEUE_POLICIES = ["drop-oldest", "drop-newest", "reject"];
+const _PARAM_MODELS = ["nested", "flat", "typed"];
+const _CONTROL = /^%%>(install|uninstall|watch|unwatch|setlocal):/; // the commands the handlers depend on
+const _TRACE_MAX_SIZE = 10485760; // 10 MB of JSONL file
+const _TRACE_MAX_FILES = 5;
+const _TRACE_PENDING = 10000; // not answered messages kept for latency
+const _METRICS_HOST = "127.0.0.1";
+const _LATENCY_BUCKETS = [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000]; // ms
+const _CDR_DELAY = 1000; // wait for the other legs after all known legs are finalized
+const _CDR_TIMEOUT = 21600000; // 6 hours without call.cdr of the call
+const _CDR_CHECK = 60000; // interval of timeout check
+const _CDR_MAX_SIZE = 10485760; // 10 MB of CSV or JSONL file
+const _CDR_MAX_FILES = 5;
 
 /**
- * YateChannel is an abstraction over incoming call leg.
+ * YateError is base class of next-yate errors.
+ * @class
+ * @param {string} message - error text
+ * @param {Object} props - error properties: id of message or setlocal name, elapsed time in milliseconds, etc.
+ */
+class YateError extends Error {
+	constructor(message, props) {
+		super(message);
+		this.name = this.constructor.name;
+		if (props && typeof props === "object") Object.assign(this, props);
+	}
+}
+
+/**
+ * The Engine has not answered in time. Strict mode only.
+ * @class
+ */
+class DispatchTimeoutError extends YateError {}
+
+/**
+ * The Application is not connected to the Engine. Strict mode only.
+ * @class
+ */
+class NotConnectedError extends YateError {}
+
+/**
+ * The Engine did not understand the command ("Error in: ..." answer), the incoming line is malformed
+ * or the outgoing line exceeds bufsize (error.outgoing = true), the offending line is in error.line
+ * @class
+ */
+class ProtocolError extends YateError {}
+
+/**
+ * The offline queue is full and its policy is "reject", the message was not queued.
+ * @class
+ */
+class QueueOverflowError extends YateError {}
+
+/**
+ * The parameters of standard message are not valid, the message name is in error.message_name and the parameter in error.param
+ * @class
+ */
+class ValidationError extends YateError {}
+
+/**
+ * YateChannel is an abstraction over incoming or outgoing call leg.
  * It simplifyes most typical operations with call like attach media, answer/hangup, redirect and etc.
+ * Outgoing channels are created by YateChannel.originate()
  * @class
  * @param {YateMessage} message - Only "call.route" or "call.execute" are supported (required)
  * @example
@@ -43,29 +126,35 @@ const _OFFLINE_QUEUE = 100; // default 10
  */
 class YateChannel extends EventEmitter {
 	constructor(message) {
-		// TODO channel for outgoing call, now is only for incoming
 		if (message.name !== "call.route" && message.name !== "call.execute" || message._type === "outgoing")
 			throw new Error("Not valid message to create YateChannel");
 		super();
 		this.id = message.id;
 		this.peerid = message.peerid;
 		this._yate = message._yate; // parent Yate
-		this.status = message.answered || message.autoanswer ? "answered" : message.status;
+		this._yate._channels.add(this);
+		this.status = _isTrue(message.answered) || _isTrue(message.autoanswer) ? "answered" : message.status;
 
 		message.earlymedia = true;
 		
-		if (message.name === "call.execute" && message._type === "notification") {
+		if (message.name === "call.execute" && (message._type === "notification" || message._type === "answer")) {
 			this.ready = true; // to skip init()
 		} else  {
 			this.ready = false;
 		}
 
 		this._yate.watch(() => {}, "chan.notify", "id", this.id); // prevents watch/unwatch till channel lifetime
+
+		// DTMF buffer
+		this._digits = "";
+		this._yate.watch(message => _collectDtmf(this, message), "chan.dtmf", { filterName: "id", filterValue: this.id, owner: this });
 		
-		// unsubscribe on hangup
+		// unsubscribe on hangup, owned by the channel so chan.watch(handler, "chan.hangup") does not replace it
 		this._yate.watch(() => {
 			this.ready = false;
 			this.status = "hangup";
+			this._yate._channels.delete(this);
+			this.emit("hangup");
 			this.removeAllListeners();
 			this._yate._watches.forEach(item => {
 				if (item.filterName === "id" && item.filterValue === this.id) this._yate.unwatch(item.handler, item.name, item.filterName, item.filterValue);
@@ -73,7 +162,7 @@ class YateChannel extends EventEmitter {
 			this._yate._installs.forEach(item => {
 				if (item.filterName === "id" && item.filterValue === this.id) this._yate.uninstall(item.handler, item.name, item.priority, item.filterName, item.filterValue);
 			});
-		}, "chan.hangup", "id", this.id);
+		}, "chan.hangup", { filterName: "id", filterValue: this.id, owner: this });
 	}
 
 	/**
@@ -107,7 +196,7 @@ class YateChannel extends EventEmitter {
 				this._yate.unwatch("call.execute", "id", this.id);
 				// update peerid
 				this.peerid = message.peerid;
-				this.status = message.answered || message.autoanswer ? "answered" : message.status;
+				this.status = _isTrue(message.answered) || _isTrue(message.autoanswer) ? "answered" : message.status;
 				this.ready = true;
 				if (typeof callback === "function") callback(message);
 				resolve(message);
@@ -126,12 +215,22 @@ class YateChannel extends EventEmitter {
 		this.emit("reset", message);
 	}
 
+	/**
+	 * stop() - interrupts active callTo() playback or recording.
+	 * Unlike reset() the callTo() promise is resolved with message.reason = "stopped".
+	 * @method
+	 * @returns {undefined}
+	 */
+	stop() {
+		this.emit("stop");
+	}
+
 	/**
 	 * callTo() is an abstraction over chan.attach message.
 	 * @method
 	 * @param {string} dst - is source for "wave/play/", consumer for "wave/record/" or override for "tone/" (required)
 	 * @param {Object} params - parameters of chan.attach message (optional)
-	 * @returns {Promise} - resolve(false) if channel is not ready or has not been initialized, resolve(YateMessage) with last message on complete
+	 * @returns {Promise} - resolve(false) if channel is not ready or has not been initialized, resolve(YateMessage) with last message on complete, message.reason is "eof", "stopped" or "hangup"
 	 * @async
 	 * @see http://docs.yate.ro/wiki/Chan.attach
 	 */
@@ -182,19 +281,30 @@ class YateChannel extends EventEmitter {
 			}
 
 			// watcher
-			let handler;
-            this._yate.watch(handler = (message) => {
+			let handler, onStop, onHangup;
+			let done = (message) => {
 				clearTimeout(timer);
 				this._yate.unwatch(handler, "chan.notify", "targetid", notify);
-				resolve(message);
 				this.removeListener("reset", reject);
-			}, "chan.notify", "targetid", notify);
+				this.removeListener("stop", onStop);
+				this.removeListener("hangup", onHangup);
+				resolve(message);
+			};
+            this._yate.watch(handler = (message) => done(message), "chan.notify", "targetid", notify);
+			// stop() detaches media
+			this.once("stop", onStop = () => {
+				this._yate.enqueue(_detachMessage(attach));
+				attach.reason = "stopped";
+				done(attach);
+			});
+			this.once("hangup", onHangup = () => {
+				attach.reason = "hangup";
+				done(attach);
+			});
 			// timeout
 			let timer = setTimeout(() => {
-				this._yate.unwatch(handler, "chan.notify", "targetid", notify);
 				attach.reason = "eof";
-				resolve(attach);
-				this.removeListener("reset", reject);
+				done(attach);
 			}, timeout ? timeout : this._yate._call_timeout);
 
 			this._yate.enqueue(attach);
@@ -310,9 +420,91 @@ class YateChannel extends EventEmitter {
 		return this._yate.dispatch(new YateMessage("call.drop", {reason: reason, id: this.id}));
 	}
 
+	/**
+	 * getDigits() - collects DTMF digits of the channel.
+	 * Digits pressed before the call (for example while callTo() prompt is playing) are taken from the channel buffer first.
+	 * @method
+	 * @param {Object} options - (optional)
+	 * @param {number} options.max - maximum number of digits, default unlimited
+	 * @param {string} options.terminators - digits which complete the input, default "#"
+	 * @param {number} options.firstDigitTimeout - timeout for the first digit in milliseconds, default 5000
+	 * @param {number} options.interDigitTimeout - timeout between digits in milliseconds, default 3000
+	 * @param {boolean} options.flush - drop buffered digits before collecting, default false
+	 * @returns {Promise} - resolve({digits, reason, terminator}) where reason is "max", "terminator", "timeout" or "hangup", resolve(false) if channel is not ready, reject on reset()
+	 * @async
+	 * @example
+	 * let input = await chan.getDigits({max: 4, terminators: "#*", interDigitTimeout: 2000});
+	 * if (input.reason !== "hangup") console.log("Entered", input.digits);
+	 */
+	getDigits(options) {
+		return _getDigits(this, options);
+	}
+
+	/**
+	 * playAndCollect() - plays the prompts and collects DTMF digits.
+	 * The first pressed digit stops the playback (barge-in), the rest of prompts are skipped.
+	 * @method
+	 * @param {Array|string} prompts - files to play like "./share/sounds/press-1.wav" or "wave/play/..." and "tone/..." sources (required)
+	 * @param {Object} options - see getDigits() options (optional)
+	 * @returns {Promise} - resolve({digits, reason, terminator}), resolve(false) if channel is not ready, reject on reset()
+	 * @async
+	 * @example
+	 * let menu = await chan.playAndCollect([
+	 *     "./share/sounds/words/press-1.wav",
+	 *     "./share/sounds/words/to-hear-callerid.wav"
+	 * ], {max: 1, firstDigitTimeout: 5000});
+	 * if (menu.digits === "1") ...
+	 * @see YateChannel#getDigits
+	 */
+	playAndCollect(prompts, options) {
+		return _playAndCollect(this, prompts, options);
+	}
+
+	/**
+	 * say() - plays the value as sequence of sound files.
+	 * @method
+	 * @param {any} value - digits string, number, Date or unix time in seconds (required)
+	 * @param {Object} options - (optional)
+	 * @param {string} options.type - "digits", "number", "date", "time" or "currency", default "number"
+	 * @param {string} options.language - language pack, default Yate "language" option or "en"
+	 * @param {string} options.currency - currency code like "USD" for "currency" type
+	 * @param {string} options.root - sound root, default Yate "sounds" option or "sharedpath/sounds" of the Engine
+	 * @param {string} options.format - sound file extension, default "wav"
+	 * @returns {Promise} - resolve(YateMessage) with the last played message, resolve(false) if channel is not ready, reject on reset()
+	 * @async
+	 * @example
+	 * await chan.callTo("wave/play/./share/sounds/words/your-callerid-is.wav");
+	 * await chan.say(chan.caller, {type: "digits"});
+	 * @see YateSay
+	 */
+	say(value, options) {
+		return _say(this, value, options);
+	}
+
+	/**
+	 * record() - records the channel to the file.
+	 * The stopOnSilence works if the recorded file is accessible by the Application and its format is .slin, .alaw, .mulaw or .au.
+	 * @method
+	 * @param {string} path - file path like "/tmp/message.au" (required)
+	 * @param {Object} options - (optional)
+	 * @param {number} options.maxDuration - maximum duration in milliseconds, default 180000
+	 * @param {boolean|string} options.beep - play the beep before recording, true or source like "wave/play/beep.au", default false
+	 * @param {boolean|string} options.stopOnDigits - stop on any digit (true) or on the listed digits like "#*", default false
+	 * @param {number|Object} options.stopOnSilence - stop after the silence in milliseconds or {duration, threshold}, default false
+	 * @returns {Promise} - resolve({path, duration, bytes, stopReason, digit}) where stopReason is "maxDuration", "digit", "silence", "stopped" or "hangup", resolve(false) if channel is not ready, reject on reset()
+	 * @async
+	 * @example
+	 * let rec = await chan.record("/tmp/vm-" + Date.now() + ".au", {beep: true, stopOnDigits: "#", stopOnSilence: 5000});
+	 * if (rec.duration < 1000) await chan.callTo("wave/play/./share/sounds/words/message-is-too-short.wav");
+	 */
+	record(path, options) {
+		return _record(this, path, options);
+	}
+
 	/**
 	 * watch() - to set the "watch" handler for the channel: filterName = "id", filterValue = channel.id.
 	 * Calling this method multiple times will overwrite the previous event handler. All event subscriptions will be automatically deleted after the call/channel hangup.
+	 * The "chan.dtmf" handler does not interfere with the DTMF buffer used by getDigits(), the "chan.hangup" handler does not replace the hangup processing of the channel.
 	 * @method
 	 * @param {function} handler - (required)
 	 * @param {string} name - (required)
@@ -322,11 +514,13 @@ class YateChannel extends EventEmitter {
 	 */
 	watch(handler, name) {
 		if (typeof handler !== "function" || typeof name !== "string") return Promise.reject(new Error("Arguments error. Handler and message name required."));
+		if (name === "chan.dtmf") return _watchDtmf(this, handler);
 		return this._yate.watch(handler, name, "id", this.id);
 	}
 
 	/**
 	 * install() - to set the "install" handler for the channel.
+	 * Calling this method multiple times with the same priority will overwrite the previous handler, the handlers of different priorities make the chain.
 	 * @method
 	 * @param {function} handler - (required)
 	 * @param {string} name - (required)
@@ -339,6 +533,338 @@ class YateChannel extends EventEmitter {
 		if (typeof handler !== "function" || typeof name !== "string") return Promise.reject(new Error("Arguments error. Handler and message name required."));
 		return this._yate.install(handler, name, priority, "id", this.id);
 	}
+
+	/**
+	 * originate() - creates outgoing call leg.
+	 * Dispatches "call.execute" for a "dumb/" channel and waits until the called party answers.
+	 * @method
+	 * @static
+	 * @param {Yate} yate - connected Yate instance (required)
+	 * @param {string} dst - direct call target like "sip/sip:100@1.2.3.4" or number to route like "100" (required)
+	 * @param {Object} params - parameters of call.execute message like caller, called, callername (optional)
+	 * @param {number} params.timeout - how long to wait for answer in milliseconds, default 60000 (optional)
+	 * @returns {Promise} - resolve(YateChannel) on answer, reject(Error) if the call failed, was hung up or not answered in time
+	 * @async
+	 * @example
+	 * let chan = await YateChannel.originate(yate, "sip/sip:100@1.2.3.4", {caller: "200", called: "100"});
+	 * await chan.callTo("wave/play/./share/sounds/wakeup.au");
+	 * await chan.hangup();
+	 * @see http://docs.yate.ro/wiki/Call.execute
+	 */
+	static originate(yate, dst, params = {}) {
+		if (!(yate instanceof Yate) || typeof dst !== "string")
+			return Promise.reject(new Error("Originate arguments error. Yate and destination required."));
+
+		let timeout = typeof params.timeout === "number" ? params.timeout : _ORIGINATE_TIMEOUT;
+		let execute = new YateMessage("call.execute", { callto: "dumb/" });
+		if (typeof params === "object") execute.copyParams(params);
+		delete execute.timeout;
+		// dumb channel calls "direct" target directly or routes "target"
+		if (dst.indexOf("/") > 0) {
+			execute.direct = dst;
+		} else {
+			execute.target = dst;
+			if (execute.called === undefined) execute.called = dst;
+		}
+		if (execute.maxcall === undefined) execute.maxcall = timeout;
+
+		return new Promise((resolve, reject) => {
+			let id, peerid; // called party and dumb channel, known after call.execute
+			let early = []; // notifications received before call.execute answer
+			let timer;
+			let owner = {};
+			let done = () => {
+				clearTimeout(timer);
+				yate.unwatch(onAnswered, "call.answered");
+				yate.unwatch(onHangup, "chan.hangup");
+			};
+			// wait call.answered
+			let onAnswered = msg => {
+				if (!id) return early.push(() => onAnswered(msg));
+				if (msg.id !== id) return;
+				done();
+				let answer = new YateMessage("call.execute", { id: id, peerid: peerid, status: "answered" });
+				answer._type = "answer";
+				answer._handled = true;
+				answer._yate = yate;
+				resolve(new YateChannel(answer));
+			};
+			// or chan.hangup
+			let onHangup = msg => {
+				if (!id) return early.push(() => onHangup(msg));
+				if (msg.id !== id) return;
+				done();
+				reject(new Error("Originate failed: " + (msg.reason || msg.error || "hangup")));
+			};
+			// the called party may answer or hang up before call.execute is answered
+			Promise.all([
+				yate.watch(onAnswered, "call.answered", { owner: owner }),
+				yate.watch(onHangup, "chan.hangup", { owner: owner })
+			])
+				.then(() => yate.dispatch(execute))
+				.then(message => {
+					if (!message.handled || !message.peerid)
+						throw new Error("Originate failed: " + (message.error || message.reason || "not handled"));
+					id = message.peerid;
+					peerid = message.id;
+					// drop unanswered call by timeout
+					timer = setTimeout(() => {
+						done();
+						yate.enqueue(new YateMessage("call.drop", { id: id, reason: "timeout" }));
+						reject(new Error("Originate timeout"));
+					}, timeout);
+					early.forEach(notify => notify());
+					early = [];
+				})
+				.catch(error => {
+					done();
+					reject(error);
+				});
+		});
+	}
+}
+
+/**
+ * YateMenu is a declarative IVR menu built on top of YateChannel.
+ * Menu is a set of named nodes, each node declares its prompts, digit map, retry policy and transitions.
+ * The menu can be defined as plain object or loaded from JSON file.
+ * <ul>
+ * <li>prompts - files to play, or function(chan) returning them (JS only)</li>
+ * <li>input - getDigits() options, default {max: 1}</li>
+ * <li>routes - digit map {"1": action, "default": action}</li>
+ * <li>retries - attempts on invalid input or no input, default 3</li>
+ * <li>invalid - prompts to play on invalid input before the node prompts</li>
+ * <li>noinput - prompts to play on no input before the node prompts</li>
+ * <li>timeout - action on no input, by default the node is repeated</li>
+ * <li>exhausted - action when retries are over, default {hangup: true}</li>
+ * <li>next - action after the prompts for the node without routes, default {end: true}</li>
+ * </ul>
+ * Action is the name of node to go or one of: {goto: "node"}, {transfer: "sip/...", params: {}}, {hangup: true|"reason"}, {end: true}
+ * or function(chan, digits, menu) returning action (JS only).
+ * @class
+ * @param {Object} menu - menu definition {start, retries, nodes} (required)
+ * @example
+ * const menu = new YateMenu({
+ *     start: "welcome",
+ *     nodes: {
+ *         welcome: {
+ *             prompts: ["./share/sounds/words/press-1.wav", "./share/sounds/words/to-talk-with-operator.wav"],
+ *             invalid: ["./share/sounds/words/invalid.wav"],
+ *             routes: {
+ *                 "1": {transfer: "sip/sip:support@1.2.3.4"},
+ *                 "0": "welcome"
+ *             }
+ *         }
+ *     }
+ * });
+ * chan.init(() => menu.run(chan));
+ * @see YateChannel#playAndCollect
+ */
+class YateMenu extends EventEmitter {
+	constructor(menu) {
+		if (!menu || typeof menu !== "object" || !menu.nodes || typeof menu.nodes !== "object")
+			throw new Error("Not valid menu. Nodes required.");
+		super();
+		this.nodes = menu.nodes;
+		this.start = typeof menu.start === "string" ? menu.start : Object.keys(menu.nodes)[0];
+		this.retries = typeof menu.retries === "number" ? menu.retries : _MENU_RETRIES;
+		this.maxSteps = typeof menu.maxSteps === "number" ? menu.maxSteps : _MENU_MAX_STEPS;
+		_validateMenu(this);
+	}
+
+	/**
+	 * fromJSON() - creates the menu from JSON string.
+	 * @method
+	 * @static
+	 * @param {string|Object} json - menu definition (required)
+	 * @returns {YateMenu}
+	 */
+	static fromJSON(json) {
+		return new YateMenu(typeof json === "string" ? JSON.parse(json) : json);
+	}
+
+	/**
+	 * load() - loads the menu from JSON file.
+	 * @method
+	 * @static
+	 * @param {string} file - path to JSON file (required)
+	 * @returns {Promise} - resolve(YateMenu), reject(Error) if file is missing or menu is not valid
+	 * @async
+	 * @example
+	 * const menu = await YateMenu.load("./menu.json");
+	 */
+	static load(file) {
+		return util.promisify(readFile)(file, "utf8").then(json => YateMenu.fromJSON(json));
+	}
+
+	/**
+	 * run() - executes the menu on the channel.
+	 * Emits "enter" (name, chan) on every entered node and "input" (name, input, chan) on every collected input.
+	 * @method
+	 * @param {YateChannel} chan - initialized channel (required)
+	 * @param {string} start - node to start, default menu.start (optional)
+	 * @returns {Promise} - resolve({node, result, digits}) where result is "hangup", "transfer" or "end", resolve(false) if channel is not ready, reject(Error) on error
+	 * @async
+	 */
+	run(chan, start) {
+		if (!chan || !chan.ready) return Promise.resolve(false);
+		let name = typeof start === "string" ? start : this.start;
+		if (!this.nodes[name]) return Promise.reject(new Error("Menu node not found: " + name));
+
+		let attempt = 0;
+		let steps = 0;
+		let before = []; // invalid or noinput prompts
+		let digits = "";
+
+		// action -> next step or result
+		let perform = (action) => {
+			if (typeof action === "function")
+				return Promise.resolve(action(chan, digits, this))
+					.then(res => res === undefined ? { node: name, result: "end", digits: digits } : perform(res));
+			if (typeof action === "string") action = { goto: action };
+			if (!action || typeof action !== "object") action = { end: true };
+
+			if (typeof action.goto === "string") {
+				name = action.goto;
+				attempt = 0;
+				before = [];
+				return step();
+			}
+			if (typeof action.transfer === "string") {
+				return chan.callJust(action.transfer, action.params)
+					.then(message => ({ node: name, result: "transfer", digits: digits, message: message }));
+			}
+			if (action.hangup) {
+				return chan.hangup(typeof action.hangup === "string" ? action.hangup : undefined)
+					.then(() => ({ node: name, result: "hangup", digits: digits }));
+			}
+			return { node: name, result: "end", digits: digits };
+		};
+
+		// repeat the node or give up
+		let retry = (reason) => {
+			let node = this.nodes[name];
+			attempt++;
+			if (attempt >= (typeof node.retries === "number" ? node.retries : this.retries))
+				return perform(node.exhausted || { hangup: true });
+			before = _menuPrompts(reason === "invalid" ? node.invalid : node.noinput);
+			return step();
+		};
+
+		let step = () => {
+			if (!chan.ready) return { node: name, result: "hangup", digits: digits };
+			if (++steps > this.maxSteps) throw new Error("Menu steps limit exceeded in node: " + name);
+			let node = this.nodes[name];
+			if (attempt === 0) this.emit("enter", name, chan);
+
+			return Promise.resolve(typeof node.prompts === "function" ? node.prompts(chan) : node.prompts)
+				.then(prompts => {
+					prompts = before.concat(_menuPrompts(prompts));
+					before = [];
+
+					// node without input
+					if (!node.routes) {
+						return prompts.reduce((chain, prompt) => chain.then(() => {
+							if (!chan.ready) return;
+							return chan.callTo(/^(wave|tone)\//.test(prompt) ? prompt : "wave/play/" + prompt);
+						}), Promise.resolve())
+							.then(() => chan.ready ? perform(node.next) : step());
+					}
+
+					return chan.playAndCollect(prompts, Object.assign({ max: 1 }, node.input))
+						.then(input => {
+							if (!input || input.reason === "hangup" || !chan.ready) return { node: name, result: "hangup", digits: digits };
+							this.emit("input", name, input, chan);
+							digits = input.digits;
+							if (digits === "") return node.timeout ? perform(node.timeout) : retry("noinput");
+							let action = digits in node.routes ? node.routes[digits] : node.routes.default;
+							if (action === undefined) return retry("invalid");
+							return perform(action);
+						});
+				});
+		};
+
+		return Promise.resolve().then(step);
+	}
+}
+
+/**
+ * YateSay turns values into sequences of sound files following the grammar rules of the language.
+ * Sound file is {root}/{language}/{word}.{format}, where root is Yate "sounds" option or "sharedpath/sounds" of the Engine.
+ * Built-in languages are "en" and "ru", the words are:<ul>
+ * <li>numbers: "0".."19", "20".."90" tens, "hundred" (en) or "100".."900" (ru), "thousand", "million", "billion" (en), "thousand1", "thousand2", "thousand5", ... (ru, by plural form), "1f", "2f" (ru, feminine), "minus"</li>
+ * <li>digits: "0".."9", "star", "pound"</li>
+ * <li>dates: "january".."december", "ord-1".."ord-20", "ord-30" (day ordinals), "oh" (en), "ordg-1".."ordg-900", "ordg-1000", "ordg-2000", "year-g" (ru, genitive year ordinals)</li>
+ * <li>time: "am", "pm", "o-clock" (en), "hour1", "hour2", "hour5", "minute1", "minute2", "minute5" (ru)</li>
+ * <li>currency: "dollar", "dollars", "euro", "euros", "pound", "pounds", "cent", "cents", "penny", "pence", "and" (en), "ruble1".., "kopeck1".., "dollar1".., "euro1".., "cent1".. (ru)</li>
+ * </ul>
+ * @class
+ * @example
+ * YateSay.words(125, {type: "number"}); // ["100", "20", "5"] in "ru" and ["1", "hundred", "20", "5"] in "en"
+ * YateSay.addLanguage("de", { digits: value => ..., number: value => ... });
+ * @see YateChannel#say
+ */
+class YateSay {
+	/**
+	 * addLanguage() - registers the language pack.
+	 * Pack is object of functions digits, number, date, time, currency: function(value, options) returning Array of words.
+	 * @method
+	 * @static
+	 * @param {string} language - language code like "en" (required)
+	 * @param {Object} pack - language pack (required)
+	 */
+	static addLanguage(language, pack) {
+		if (typeof language !== "string" || !pack || typeof pack !== "object")
+			throw new Error("Language arguments error. Language code and pack required.");
+		_LANGUAGES[language] = pack;
+	}
+
+	/**
+	 * languages() returns the codes of registered languages.
+	 * @method
+	 * @static
+	 * @returns {Array}
+	 */
+	static languages() {
+		return Object.keys(_LANGUAGES);
+	}
+
+	/**
+	 * words() - converts the value to words.
+	 * @method
+	 * @static
+	 * @param {any} value - digits string, number, Date or unix time in seconds (required)
+	 * @param {Object} options - (optional)
+	 * @param {string} options.type - "digits", "number", "date", "time" or "currency", default "number"
+	 * @param {string} options.language - default "en"
+	 * @param {string} options.currency - currency code for "currency" type, default "USD" for "en" and "RUB" for "ru"
+	 * @returns {Array} - Array of words
+	 */
+	static words(value, options = {}) {
+		let type = typeof options.type === "string" ? options.type : "number";
+		let language = typeof options.language === "string" ? options.language : _LANGUAGE;
+		let pack = _LANGUAGES[language];
+		if (!pack) throw new Error("Say language is not supported: " + language);
+		if (typeof pack[type] !== "function") throw new Error("Say type " + type + " is not supported for language: " + language);
+		return pack[type](value, options);
+	}
+
+	/**
+	 * files() - converts the value to sound files.
+	 * @method
+	 * @static
+	 * @param {any} value - (required)
+	 * @param {Object} options - see words() options (optional)
+	 * @param {string} options.root - sound root, default "./share/sounds"
+	 * @param {string} options.format - sound file extension, default "wav"
+	 * @returns {Array} - Array of file paths
+	 */
+	static files(value, options = {}) {
+		let root = typeof options.root === "string" ? options.root : _SOUNDS;
+		let language = typeof options.language === "string" ? options.language : _LANGUAGE;
+		let format = typeof options.format === "string" ? options.format : _SOUND_FORMAT;
+		return YateSay.words(value, options).map(word => root + "/" + language + "/" + word + "." + format);
+	}
 }
 
 /**
@@ -382,16 +908,20 @@ class YateMessage {
 
 	/**
 	 * @method
-	 * @param {string} name - name of the parameter to retrieve (requred)
+	 * @param {string} name - name of the parameter to retrieve, dotted name of nested parameter like "sip_to.tag" (requred)
 	 * @param {any} defValue - value to return if parameter is missing (optional)
-	 * @param {boolean} autoNumber - automatically convert parameters to boolean or number type, default true (optional)
+	 * @param {boolean} autoNumber - convert string parameter to boolean or number type, default false (optional)
 	 * @returns {any} - value of parameter
 	 */
-	getParam(name, defValue, autoNumber) {
+	getParam(name, defValue, autoNumber = false) {
 		if (name === "name") return this._name; // workaround
 		if (name === "broadcast") return this._broadcast; // workaround
-		if (this[name] === "undefined") return defValue;
-		return autoNumber ? this[name] + "" : this[name];
+		let value = name in this ? this[name] : ("" + name).split(".").reduce((node, key) => node && typeof node === "object" ? node[key] : undefined, this);
+		if (value === undefined || value === null) return defValue;
+		if (!autoNumber || typeof value !== "string") return value;
+		if (value === "true" || value === "false") return value === "true";
+		let number = Number(value);
+		return value.trim() !== "" && String(number) === value ? number : value; // "0123" and "1.50" stay strings
 	}
 	/**
 	 * @method
@@ -434,9 +964,54 @@ class YateMessage {
 	 * @returns {number} - Message creation time in milliseconds since EPOCH
 	 */
 	msgTime() {	return this._time }
-	getColumn() {} // TODO
-	getRow() {} // TODO
-	getResult() {} // TODO
+	/**
+	 * Returns the column of the "database" message result.
+	 * The result table is read from the parameters "row.column" where the rows are counted from 1, for example "1.name" is getRow(0).name.
+	 * @method
+	 * @param {string|number} column - column name or index from 0, if undefined all columns are returned (optional)
+	 * @returns {Array|Object} - Array of the column values, Object {column: Array} of all columns, undefined if the column is missing
+	 * @see Yate#query
+	 */
+	getColumn(column) {
+		let table = _resultTable(this);
+		if (column === undefined) {
+			let res = {};
+			table.columns.forEach((name, index) => res[name] = table.rows.map(row => row[index]));
+			return res;
+		}
+		let index = typeof column === "number" ? column : table.columns.indexOf(column);
+		if (index < 0 || index >= table.columns.length) return undefined;
+		return table.rows.map(row => row[index]);
+	}
+	/**
+	 * Returns the row of the "database" message result.
+	 * @method
+	 * @param {number} row - row index from 0, if undefined all rows are returned (optional)
+	 * @returns {Object|Array} - Object {column: value} of the row, Array of all rows, undefined if the row is missing
+	 * @see YateMessage#getColumn
+	 */
+	getRow(row) {
+		let table = _resultTable(this);
+		let toObject = values => {
+			let res = {};
+			table.columns.forEach((name, index) => res[name] = values[index]);
+			return res;
+		};
+		if (row === undefined) return table.rows.map(toObject);
+		return table.rows[row] ? toObject(table.rows[row]) : undefined;
+	}
+	/**
+	 * Returns the value of the "database" message result.
+	 * @method
+	 * @param {number} row - row index from 0 (required)
+	 * @param {string|number} column - column name or index from 0 (required)
+	 * @returns {string} - the value, undefined if the row or column is missing
+	 * @see YateMessage#getColumn
+	 */
+	getResult(row, column) {
+		let values = this.getColumn(column);
+		return values ? values[row] : undefined;
+	}
 	toString() {
 		let str = `YateMessage {\n  name: ${this._name},\n  id: ${this._id},\n  time: ${this._time},\n  type: ${this._type},\n  handled: ${this._handled},\n`;
 		for (let key in this) {
@@ -454,6 +1029,177 @@ class YateMessage {
 		str += `  retValue: ${this._retvalue}\n}`;
 		return str;
 	}
+
+	/**
+	 * Creates the message with validation of the standard message parameters:
+	 * required parameters must be set, known parameters must be of their type (string, number or boolean).
+	 * Messages which are not standard are not validated unless options.strict is set.
+	 * @method
+	 * @static
+	 * @param {string} name - message name (required)
+	 * @param {Object} params - message parameters (optional)
+	 * @param {Object} options - (optional)
+	 * @param {boolean} options.strict - reject unknown messages and parameters, to catch typos like "calto", default false
+	 * @returns {YateMessage}
+	 * @throws {ValidationError}
+	 * @example
+	 * const {YateMessage} = require("next-yate");
+	 * let m = YateMessage.create("call.drop", { id: "sip/123", reason: "timeout" });
+	 * YateMessage.create("call.execute", { id: "sip/123", calto: "tone/busy" }, { strict: true }); // throws ValidationError
+	 * @see https://docs.yate.ro/wiki/Standard_Messages
+	 */
+	static create(name, params = {}, options = {}) {
+		_validateMessage(name, params, options.strict);
+		return new YateMessage(name, params);
+	}
+
+	/**
+	 * call.route - asks the route of the call, required: called
+	 * @method
+	 * @static
+	 * @param {Object} params - id, module, status, address, billid, caller, callername, called, format, formats, line, username, maxcall, timeout
+	 * @param {Object} options - see create() options (optional)
+	 * @returns {YateMessage}
+	 */
+	static callRoute(params, options) { return YateMessage.create("call.route", params, options) }
+
+	/**
+	 * call.execute - connects the channel to the target, required: callto
+	 * @method
+	 * @static
+	 * @param {Object} params - id, callto, caller, callername, called, billid, direct, target, maxcall, timeout, autoanswer, autoring, line, format, formats, peerid, earlymedia
+	 * @param {Object} options - see create() options (optional)
+	 * @returns {YateMessage}
+	 */
+	static callExecute(params, options) { return YateMessage.create("call.execute", params, options) }
+
+	/**
+	 * call.drop - hangs up the channel, required: id
+	 * @method
+	 * @static
+	 * @param {Object} params - id, reason
+	 * @param {Object} options - see create() options (optional)
+	 * @returns {YateMessage}
+	 */
+	static callDrop(params, options) { return YateMessage.create("call.drop", params, options) }
+
+	/**
+	 * call.answered - the call is answered, required: id
+	 * @method
+	 * @static
+	 * @param {Object} params - id, targetid, peerid, module, status, billid
+	 * @param {Object} options - see create() options (optional)
+	 * @returns {YateMessage}
+	 */
+	static callAnswered(params, options) { return YateMessage.create("call.answered", params, options) }
+
+	/**
+	 * call.ringing - the called party is ringing, required: id
+	 * @method
+	 * @static
+	 * @param {Object} params - id, targetid, peerid, status, earlymedia
+	 * @param {Object} options - see create() options (optional)
+	 * @returns {YateMessage}
+	 */
+	static callRinging(params, options) { return YateMessage.create("call.ringing", params, options) }
+
+	/**
+	 * call.progress - the call is in progress, required: id
+	 * @method
+	 * @static
+	 * @param {Object} params - id, targetid, peerid, status, earlymedia
+	 * @param {Object} options - see create() options (optional)
+	 * @returns {YateMessage}
+	 */
+	static callProgress(params, options) { return YateMessage.create("call.progress", params, options) }
+
+	/**
+	 * chan.attach - attaches media source, consumer or override to the channel, required: id
+	 * @method
+	 * @static
+	 * @param {Object} params - id, source, consumer, override, replace, notify, single, autorepeat, maxlen, format
+	 * @param {Object} options - see create() options (optional)
+	 * @returns {YateMessage}
+	 */
+	static chanAttach(params, options) { return YateMessage.create("chan.attach", params, options) }
+
+	/**
+	 * chan.masquerade - sends the message on behalf of the channel, required: id and the parameters required by the message
+	 * @method
+	 * @static
+	 * @param {string} message - name of the masqueraded message like "call.execute" (required)
+	 * @param {Object} params - parameters of the masqueraded message (required)
+	 * @param {Object} options - see create() options (optional)
+	 * @returns {YateMessage}
+	 * @example
+	 * yate.enqueue(YateMessage.chanMasquerade("call.execute", { id: chan.id, callto: "tone/busy" }));
+	 */
+	static chanMasquerade(message, params = {}, options = {}) {
+		if (typeof message !== "string" || !message)
+			throw new ValidationError("chan.masquerade: required parameter \"message\" is missing", { message_name: "chan.masquerade", param: "message" });
+		_validateMessage(message, params, options.strict, ["id"]);
+		return new YateMessage("chan.masquerade", Object.assign({ message: message }, params));
+	}
+
+	/**
+	 * chan.dtmf - sends DTMF to the channel, required: id, text
+	 * @method
+	 * @static
+	 * @param {Object} params - id, text, duration, detected, targetid
+	 * @param {Object} options - see create() options (optional)
+	 * @returns {YateMessage}
+	 */
+	static chanDtmf(params, options) { return YateMessage.create("chan.dtmf", params, options) }
+
+	/**
+	 * chan.notify - notifies the channel, required: targetid
+	 * @method
+	 * @static
+	 * @param {Object} params - targetid, id, reason
+	 * @param {Object} options - see create() options (optional)
+	 * @returns {YateMessage}
+	 */
+	static chanNotify(params, options) { return YateMessage.create("chan.notify", params, options) }
+
+	/**
+	 * engine.command - executes the command line of rmanager, required: line
+	 * @method
+	 * @static
+	 * @param {Object} params - line, partial, partline
+	 * @param {Object} options - see create() options (optional)
+	 * @returns {YateMessage}
+	 */
+	static engineCommand(params, options) { return YateMessage.create("engine.command", params, options) }
+
+	/**
+	 * engine.status - asks the status of the modules
+	 * @method
+	 * @static
+	 * @param {Object} params - module, details
+	 * @param {Object} options - see create() options (optional)
+	 * @returns {YateMessage}
+	 */
+	static engineStatus(params, options) { return YateMessage.create("engine.status", params, options) }
+
+	/**
+	 * user.auth - asks the password of the user, required: username
+	 * @method
+	 * @static
+	 * @param {Object} params - username, protocol, number, caller, called, realm, nonce, response, method, uri, address, ip_host, ip_port, billid, newcall
+	 * @param {Object} options - see create() options (optional)
+	 * @returns {YateMessage}
+	 */
+	static userAuth(params, options) { return YateMessage.create("user.auth", params, options) }
+
+	/**
+	 * user.register - registers the location of the user, required: username
+	 * @method
+	 * @static
+	 * @param {Object} params - username, number, data, expires, driver, ip_host, ip_port
+	 * @param {Object} options - see create() options (optional)
+	 * @returns {YateMessage}
+	 */
+	static userRegister(params, options) { return YateMessage.create("user.register", params, options) }
 }
 Object.defineProperties(YateMessage.prototype, {
 	getParam: { writable: false },
@@ -467,47 +1213,521 @@ Object.defineProperties(YateMessage.prototype, {
 });
 
 /**
- * Yate object provides connection to Yate's external module.
+ * YateStatus converts the text of engine.status answer to objects and back.
+ * Every line of the text is the status of one module:
+ * name=sip,type=varchans,format=Status|Address;routed=2,chans=1;sip/1=answered|1.2.3.4:5060
+ * which is {name: "sip", type: "varchans", format: ["Status", "Address"], info: {}, counters: {routed: 2, chans: 1},
+ * details: [{id: "sip/1", Status: "answered", Address: "1.2.3.4:5060"}]}
  * @class
- * @param {Object} options - (optional)
- * @param {string} options.host - address of listerning Yate's extmodule for ex. "127.0.0.1", default "undefined", stdin/stdout connected
- * @param {number} options.port - port default 5040
- * @param {string} options.path - socket path, default "undefined"
- * @param {string} options.trackname - track name of connected script, default "next-yate"
- * @param {boolean} options.reconnect - reconnect on collisions, default true
- * @param {number} options.reconnnect_timeout - reconnect tries interval in milliseconds, default 10000
- * @param {number} options.dispatch_timeout - auto drop the response waiting in Yate.dispatch method after the timeout in milliseconds if Engine not respond, default 10000
- * @param {number} options.acknowledge_timeout - auto reply to incoming message as is if the callback function did not responded in the timeout, so as not to overload the Engine queue and not cause the engine to crash. default 10000
- * @param {number} options.bufsize - sets the maximum size of transferred data in extmodule, oversize will be truncated to the specified value, default 8192.
- * @param {boolean} options.channel - to run the Application in channel mode ^NNN=extmodule/nodata/node.sh example.js
- * @example
- * const {Yate} = require("next-yate");
- * let yate = new Yate({host: "127.0.0.1", trackname: "myscript"});
- * yate.init();
- * yate.output("Hello World!");
- * @see Yate#init
- * @see Yate#toChannel
- * @see https://docs.yate.ro/wiki/External_module_command_flow
+ * @see Yate#status
+ * @see https://docs.yate.ro/wiki/Engine.status
  */
-class Yate extends EventEmitter {
-	constructor(options = {}) {
-		super();
-		this._socket = null;
-		this._connected = false;
-		this._debug = "debug" in options ? options.debug : false;
-		this._host = options.host; // "127.0.0.1"
-		this._port = (typeof options.port == "number") ? options.port : _PORT;
-		this._path = options.path; // "socket path"
+class YateStatus {
+	/**
+	 * parse() - converts engine.status text to Array of module statuses.
+	 * The numeric counters are converted to numbers.
+	 * @method
+	 * @static
+	 * @param {string} text - lines separated by "\r\n" or "\n" (required)
+	 * @returns {Array} - [{name, type, format, info, counters, details}] where format is Array of detail columns or undefined,
+	 * info is the other module parameters, details is Array of {id, column: value} or {id, value} if there is no format
+	 */
+	static parse(text) {
+		return ("" + (text || "")).split(/\r?\n/).filter(line => line.trim()).map(line => {
+			let [info, counters, details] = line.split(";");
+			let status = { name: undefined, type: undefined, format: undefined, info: _statusPairs(info), counters: {}, details: [] };
+			["name", "type", "format"].forEach(key => {
+				status[key] = status.info[key];
+				delete status.info[key];
+			});
+			if (typeof status.format === "string") status.format = status.format ? status.format.split("|") : [];
+			let pairs = _statusPairs(counters);
+			for (let key in pairs) {
+				let number = Number(pairs[key]);
+				status.counters[key] = pairs[key].trim() !== "" && String(number) === pairs[key] ? number : pairs[key];
+			}
+			pairs = _statusPairs(details);
+			for (let id in pairs) {
+				let row = { id: id };
+				if (status.format) {
+					let values = pairs[id].split("|");
+					status.format.forEach((column, index) => row[column] = values[index]);
+				} else {
+					row.value = pairs[id];
+				}
+				status.details.push(row);
+			}
+			return status;
+		});
+	}
+
+	/**
+	 * format() - converts the module status to engine.status text, reverse of parse().
+	 * Characters ",", ";", "|", "=" and line breaks of the values are replaced with spaces.
+	 * @method
+	 * @static
+	 * @param {Object|Array} status - {name, type, format, info, counters, details} or Array of them (required)
+	 * @param {boolean} details - add the details, default true (optional)
+	 * @returns {string} - the lines ending with "\r\n" to append to engine.status returned value
+	 * @example
+	 * yate.install(msg => {
+	 *     msg.retValue(msg.retValue() + YateStatus.format({ name: "myivr", type: "misc", format: ["Caller"], counters: { calls: chans.size },
+	 *         details: [...chans.values()].map(chan => ({ id: chan.id, Caller: chan.caller })) }, msg.getParam("details", true)));
+	 *     return false;
+	 * }, "engine.status");
+	 */
+	static format(status, details = true) {
+		if (Array.isArray(status)) return status.map(item => YateStatus.format(item, details)).join("");
+		let value = str => ("" + (str === undefined || str === null ? "" : str)).replace(/[,;|=\r\n]/g, " ");
+		let pairs = obj => Object.keys(obj || {}).map(key => value(key) + "=" + value(obj[key])).join(",");
+		let format = Array.isArray(status.format) ? status.format : undefined;
+		let info = Object.assign({ name: status.name, type: status.type }, format ? { format: format.map(value).join("|") } : {}, status.info);
+		let line = Object.keys(info).filter(key => info[key] !== undefined)
+			.map(key => key + "=" + (key === "format" ? info[key] : value(info[key]))).join(",");
+		line += ";" + pairs(status.counters);
+		if (details && Array.isArray(status.details) && status.details.length) {
+			line += ";" + status.details.map(row => value(row.id) + "="
+				+ (format ? format.map(column => value(row[column])).join("|") : value(row.value))).join(",");
+		}
+		return line + "\r\n";
+	}
+}
+
+/**
+ * YateQueue keeps the lines written while the Application is disconnected from the Engine.
+ * The queue is bounded, when it is full the policy decides which line is dropped:
+ * "drop-oldest" (default) drops the head of the queue, "drop-newest" drops the new line, "reject" refuses the new line.
+ * Lines with ttl are dropped when they expire before the connection is restored.
+ * The queue of the Yate object is available as yate.queue.
+ * @class
+ * @param {Object} options - (optional)
+ * @param {number} options.size - maximum number of lines, default 100
+ * @param {string} options.policy - "drop-oldest", "drop-newest" or "reject", default "drop-oldest"
+ * @param {number} options.ttl - default time to live of the queued messages in milliseconds, 0 - forever, default 0
+ * @fires YateQueue#drop - (entry, reason) where entry is {line, time, expires, id} and reason is "overflow", "ttl" or "clear"
+ * @example
+ * let yate = new Yate({ host: "127.0.0.1", queue: 500, queue_policy: "drop-oldest", queue_ttl: 30000 });
+ * yate.queue.on("drop", (entry, reason) => console.log("Dropped", reason, entry.line));
+ * yate.init();
+ * console.log(yate.queue.length, "lines are waiting for connection");
+ */
+class YateQueue extends EventEmitter {
+	constructor(options = {}) {
+		super();
+		this._size = (typeof options.size == "number" && options.size > 0) ? options.size : _OFFLINE_QUEUE;
+		this._policy = _QUEUE_POLICIES.includes(options.policy) ? options.policy : _QUEUE_POLICIES[0];
+		this._ttl = (typeof options.ttl == "number" && options.ttl > 0) ? options.ttl : 0;
+		this._entries = [];
+	}
+
+	get size() { return this._size }
+	set size(value) {
+		if (typeof value === "number" && value > 0) {
+			this._size = value;
+			while (this._entries.length > this._size) this.emit("drop", this._entries.shift(), "overflow");
+		}
+	}
+	get policy() { return this._policy }
+	set policy(value) { if (_QUEUE_POLICIES.includes(value)) this._policy = value }
+	get ttl() { return this._ttl }
+	set ttl(value) { if (typeof value === "number" && value >= 0) this._ttl = value }
+	get length() {
+		this._expire();
+		return this._entries.length;
+	}
+	set length(value) {} // readonly
+
+	/**
+	 * Puts the line to the tail of the queue
+	 * @method
+	 * @param {string} line
+	 * @param {Object} options - (optional)
+	 * @param {number} options.ttl - time to live in milliseconds, 0 - forever, default is ttl of the queue for messages, forever for the other lines
+	 * @param {string} options.id - id of the queued message
+	 * @param {boolean} options.output - the line is the argument of %%>output
+	 * @returns {boolean} - false if the line was refused by the "reject" policy
+	 */
+	push(line, options = {}) {
+		let time = Date.now();
+		let ttl = typeof options.ttl == "number" ? options.ttl : (options.id ? this._ttl : 0);
+		let entry = { line: line, time: time, expires: ttl > 0 ? time + ttl : 0 };
+		if (options.id) entry.id = options.id;
+		if (options.output) entry.output = true;
+
+		this._expire();
+		if (this._entries.length >= this._size) {
+			if (this._policy === "reject") return false;
+			if (this._policy === "drop-newest") {
+				this.emit("drop", entry, "overflow");
+				return true;
+			}
+			this.emit("drop", this._entries.shift(), "overflow");
+		}
+		this._entries.push(entry);
+		return true;
+	}
+
+	/**
+	 * Takes the oldest not expired entry from the queue
+	 * @method
+	 * @returns {Object} - {line, time, expires, id} or undefined if the queue is empty
+	 */
+	shift() {
+		this._expire();
+		return this._entries.shift();
+	}
+
+	/**
+	 * Drops all queued lines
+	 * @method
+	 */
+	clear() {
+		this._entries.splice(0).forEach(entry => this.emit("drop", entry, "clear"));
+	}
+
+	// drops the expired lines
+	_expire() {
+		let now = Date.now();
+		this._entries = this._entries.filter(entry => {
+			if (entry.expires && entry.expires <= now) {
+				this.emit("drop", entry, "ttl");
+				return false;
+			}
+			return true;
+		});
+	}
+}
+
+/**
+ * YateTracer logs every protocol exchange of the Yate object as structured record:
+ * {time, engine, direction, type, name, id, channel, handled, success, latency, outcome, error, line}
+ * <ul>
+ * <li>direction - "in" (Engine -> Application) or "out" (Application -> Engine)</li>
+ * <li>type - "message" (incoming), "acknowledge", "dispatch", "answer", "notification", "install", "uninstall", "watch", "unwatch", "setlocal", "connect", "error" or "protocolError"</li>
+ * <li>channel - "id" parameter of the message like "sip/1"</li>
+ * <li>latency - milliseconds between %%>message and its %%&lt;message answer or acknowledgement</li>
+ * <li>outcome - handler outcome of the acknowledgement: "handled", "unhandled", "failed" or "late"</li>
+ * </ul>
+ * The tracer of the Yate object is available as yate.tracer and enabled by the "trace" option.
+ * Records are emitted as "trace" event, passed to the logger and appended to the JSONL file.
+ * @class
+ * @param {Object} options - (optional)
+ * @param {Object|function} options.logger - pino/winston-style logger, its method of the level is called as logger[level](record, summary), or function(record)
+ * @param {string} options.level - logger level of the records, default "debug", the protocol errors and failed or late handlers are logged with "warn"
+ * @param {string} options.file - JSONL file path, rotated to file.1, file.2, etc.
+ * @param {number} options.maxSize - rotate the file when it exceeds the size in bytes, default 10485760
+ * @param {number} options.maxFiles - number of the rotated files to keep, default 5
+ * @param {Array|string|RegExp} options.names - trace only the messages with the names
+ * @param {Array|string|RegExp} options.channels - trace only the messages with the channel ids
+ * @param {boolean} options.lines - add the raw protocol line to the record, default false
+ * @fires YateTracer#trace - (record)
+ * @fires YateTracer#error - (error) of the logger or the file, ignored if there is no listener
+ * @example
+ * const pino = require("pino")();
+ * let yate = new Yate({ host: "127.0.0.1", trace: { logger: pino, names: ["call.route", "call.execute"], file: "/var/log/yate-trace.jsonl" } });
+ * yate.tracer.on("trace", record => { if (record.latency > 1000) console.log("Slow", record.name, record.latency) });
+ */
+class YateTracer extends EventEmitter {
+	constructor(options = {}) {
+		super();
+		this._enabled = false;
+		this._engine = undefined; // label of the Engine
+		this._logger = options.logger;
+		this._level = typeof options.level == "string" ? options.level : "debug";
+		this._file = typeof options.file == "string" ? options.file : undefined;
+		this._maxSize = (typeof options.maxSize == "number" && options.maxSize > 0) ? options.maxSize : _TRACE_MAX_SIZE;
+		this._maxFiles = (typeof options.maxFiles == "number" && options.maxFiles >= 0) ? options.maxFiles : _TRACE_MAX_FILES;
+		this._lines = !!options.lines;
+		this._names = options.names;
+		this._channels = options.channels;
+		this._pending = new Map(); // id -> {time, name, channel} of not answered %%>message
+		this._stream = null;
+		this._size = 0;
+		this._waiting = null; // lines traced while the file is opened or rotated
+		this._closing = false; // close() while the file is opened or rotated
+	}
+
+	get enabled() { return this._enabled }
+	set enabled(value) {
+		if (typeof value !== "boolean") return;
+		this._enabled = value;
+		if (value) return;
+		this.close();
+		this._pending.clear();
+	}
+	get logger() { return this._logger }
+	set logger(value) { if (value === undefined || typeof value === "object" || typeof value === "function") this._logger = value }
+	get level() { return this._level }
+	set level(value) { if (typeof value === "string") this._level = value }
+	get file() { return this._file }
+	set file(value) {
+		if (value !== undefined && typeof value !== "string") return;
+		this.close();
+		this._file = value;
+	}
+
+	/**
+	 * Sets the filter of traced messages, undefined to trace all
+	 * @method
+	 * @param {Array|string|RegExp} names - message names (optional)
+	 * @param {Array|string|RegExp} channels - channel ids (optional)
+	 */
+	filter(names, channels) {
+		this._names = names;
+		this._channels = channels;
+	}
+
+	/**
+	 * Traces the protocol line
+	 * @method
+	 * @param {string} direction - "in" or "out"
+	 * @param {string} line - protocol line
+	 * @param {Object} record - parsed line, the line is parsed if undefined (optional)
+	 * @param {Object} extra - fields to add to the record like outcome (optional)
+	 */
+	trace(direction, line, record, extra) {
+		if (!this._enabled) return;
+		if (!record) {
+			try {
+				record = _parseLine(line);
+			} catch (error) {
+				return this.error(direction, error.message, line);
+			}
+		}
+		if (record.keyword === "%%>output") return;
+
+		let now = Date.now();
+		let params = record.params || {};
+		let entry = { time: now, engine: this._engine, direction: direction, type: record.keyword.replace(/^%%[<>]/, "").replace(/^Error in$/, "error") };
+		if (record.keyword === "%%>message") {
+			entry.type = direction === "in" ? "message" : "dispatch";
+			entry.name = record.name;
+			entry.id = record.id;
+			entry.channel = params.id;
+			this._pending.set(record.id, { time: now, name: record.name, channel: params.id });
+			if (this._pending.size > _TRACE_PENDING) this._pending.delete(this._pending.keys().next().value);
+		} else if (record.keyword === "%%<message") {
+			let pending = record.id ? this._pending.get(record.id) : undefined;
+			entry.type = direction === "out" ? "acknowledge" : record.id ? "answer" : "notification";
+			entry.name = record.name || (pending ? pending.name : undefined);
+			entry.id = record.id || undefined;
+			entry.channel = params.id || (pending ? pending.channel : undefined);
+			entry.handled = record.handled;
+			if (pending) {
+				entry.latency = now - pending.time;
+				this._pending.delete(record.id);
+			}
+		} else {
+			if ("name" in record) entry.name = record.name;
+			if ("success" in record) entry.success = record.success;
+			if ("value" in record) entry.value = record.value;
+			if ("text" in record) entry.error = record.text;
+		}
+		if (extra) Object.assign(entry, extra);
+		if (this._lines) entry.line = line;
+		this._emit(entry);
+	}
+
+	/**
+	 * Traces the protocol error
+	 * @method
+	 * @param {string} direction - "in" or "out"
+	 * @param {string} error - error text
+	 * @param {string} line - offending line (optional)
+	 */
+	error(direction, error, line) {
+		if (!this._enabled) return;
+		let entry = { time: Date.now(), engine: this._engine, direction: direction, type: "protocolError", error: error };
+		if (line !== undefined) entry.line = line;
+		this._emit(entry);
+	}
+
+	/**
+	 * Closes the JSONL file, the lines traced before are written
+	 * @method
+	 */
+	close() {
+		if (this._waiting) this._closing = true;
+		if (this._stream) this._stream.end();
+		this._stream = null;
+	}
+
+	_emit(entry) {
+		if (entry.type !== "protocolError" && !(_traceMatch(this._names, entry.name) && _traceMatch(this._channels, entry.channel))) return;
+		for (let key in entry) if (entry[key] === undefined) delete entry[key];
+		this.emit("trace", entry);
+		if (this._logger) this._log(entry);
+		if (this._file) this._append(JSON.stringify(entry) + "\n");
+	}
+
+	_log(entry) {
+		let level = entry.type === "protocolError" || entry.outcome === "failed" || entry.outcome === "late" ? "warn" : this._level;
+		let summary = (entry.direction === "in" ? "<-- " : "--> ") + [entry.type, entry.name, entry.id].filter(s => s).join(" ")
+			+ ("latency" in entry ? " " + entry.latency + "ms" : "");
+		try {
+			if (typeof this._logger === "function") this._logger(entry);
+			else if (typeof this._logger[level] === "function") this._logger[level](entry, summary);
+		} catch (error) {
+			this._failed(error);
+		}
+	}
+
+	// logger and file errors are reported only if someone listens
+	_failed(error) {
+		if (this.listenerCount("error")) this.emit("error", error);
+	}
+
+	// appends the line to the file, the file is rotated when it exceeds maxSize
+	// while the file is opened or rotated, the lines traced meanwhile wait for it
+	_append(line) {
+		if (this._waiting) return this._waiting.push(line);
+		if (!this._stream) {
+			this._waiting = [line];
+			return this._open(this._file);
+		}
+		this._stream.write(line);
+		this._size += Buffer.byteLength(line);
+		if (this._size < this._maxSize) return;
+		let file = this._file;
+		this._waiting = [];
+		this._stream.on("close", () => _rotate(file, this._maxFiles, error => {
+			if (error) this._failed(error);
+			this._open(file);
+		}));
+		this._stream.end();
+		this._stream = null;
+	}
+
+	// opens the file of the known size and writes the waiting lines,
+	// only writes them if the tracer was closed or the file was changed meanwhile
+	_open(file) {
+		stat(file, (error, stats) => {
+			let waiting = this._waiting;
+			let closing = this._closing || this._file !== file;
+			this._waiting = null;
+			this._closing = false;
+			if (closing && !waiting.length) return;
+			let stream = createWriteStream(file, { flags: "a" });
+			stream.on("error", error => this._failed(error));
+			if (closing) {
+				waiting.forEach(line => stream.write(line));
+				return stream.end();
+			}
+			this._stream = stream;
+			this._size = error ? 0 : stats.size;
+			waiting.forEach(line => this._append(line));
+		});
+	}
+}
+
+/**
+ * Yate object provides connection to Yate's external module.
+ * @class
+ * @param {Object} options - (optional)
+ * @param {string} options.host - address of listerning Yate's extmodule for ex. "127.0.0.1", default "undefined", stdin/stdout connected if neither host nor path is set
+ * @param {number} options.port - port default 5040
+ * @param {string} options.path - Unix socket path of listerning Yate's extmodule, default "undefined"
+ * @param {boolean|Object} options.tls - connect to host:port over TLS, for example extmodule behind stunnel, object is passed to tls.connect(), default false
+ * @param {string|Buffer} options.ca - TLS certificate authority, PEM or file name
+ * @param {string|Buffer} options.cert - TLS client certificate, PEM or file name
+ * @param {string|Buffer} options.key - TLS client key, PEM or file name
+ * @param {string} options.trackname - track name of connected script, default "next-yate"
+ * @param {boolean} options.reconnect - reconnect on collisions, default true
+ * @param {number} options.reconnnect_timeout - first reconnect interval in milliseconds, default 10000
+ * @param {number} options.reconnect_max - maximum reconnect interval in milliseconds, default 60000
+ * @param {number} options.reconnect_factor - the reconnect interval is multiplied by the factor after every failed try, default 2
+ * @param {number} options.reconnect_jitter - random deviation of the reconnect interval, fraction of the interval, default 0.2
+ * @param {number} options.dispatch_timeout - auto drop the response waiting in Yate.dispatch method after the timeout in milliseconds if Engine not respond, default 10000
+ * @param {number} options.acknowledge_timeout - auto reply to incoming message as is if the callback function did not responded in the timeout, so as not to overload the Engine queue and not cause the engine to crash. default 10000
+ * @param {boolean} options.strict - dispatch() and setlocal() reject with DispatchTimeoutError, NotConnectedError or ProtocolError instead of resolving unhandled message or false, default false
+ * @param {number} options.handler_timeout - deadline of every installed handler in milliseconds, the message is acknowledged as is when it expires, default acknowledge_timeout less 200 ms
+ * @param {number} options.queue - maximum number of messages kept while disconnected, default 100, the install, watch and setlocal commands are kept apart and never dropped
+ * @param {string} options.queue_policy - what to drop when the offline queue is full: "drop-oldest", "drop-newest" or "reject", default "drop-oldest"
+ * @param {number} options.queue_ttl - default time to live of the queued messages in milliseconds, 0 - forever, default 0
+ * @param {number} options.bufsize - sets the maximum size of transferred data in extmodule, oversize will be truncated to the specified value, default 8192.
+ * @param {boolean} options.channel - to run the Application in channel mode ^NNN=extmodule/nodata/node.sh example.js
+ * @param {string} options.sounds - sound root of YateChannel.say(), default "sharedpath/sounds" of the Engine
+ * @param {string} options.language - language of YateChannel.say(), default "en"
+ * @param {string} options.params - model of incoming message parameters: "nested" - dotted keys to nested objects and "true"/"false" to booleans, "flat" - exact keys and string values, "typed" - flat and converted by schemas, default "nested"
+ * @param {Object} options.schemas - parameter types of "typed" model by message name, for example {"call.cdr": {duration: "number", answered: "boolean"}}
+ * @param {string} options.engine - name of the Engine, incoming messages are tagged with it in message._engine, default "host:port", socket path or "stdio"
+ * @param {boolean|Object} options.trace - enables the protocol tracing, object is YateTracer options like {logger, file, names, channels}, default false
+ * @param {number} options.metrics_port - port of the local HTTP endpoint of Prometheus metrics GET /metrics, default "undefined" - no endpoint
+ * @param {string} options.metrics_host - address of the metrics endpoint, default "127.0.0.1"
+ * @param {boolean} options.status - adds the summary of metrics to engine.status answer, default true if not channel mode, the handler is installed on the first connection
+ * @fires Yate#connecting - (attempt) connection to the Engine is started, attempt is 0 for the first try
+ * @fires Yate#connected - connection to the Engine is established
+ * @fires Yate#disconnected - (reason) connection to the Engine is lost
+ * @fires Yate#reconnecting - (attempt, delay) next try to connect is scheduled in delay milliseconds
+ * @fires Yate#restored - (success) setlocals, installs and watches are re-acknowledged by the Engine after reconnect
+ * @fires Yate#protocolError - (error) ProtocolError of the malformed incoming line or too long outgoing line
+ * @fires Yate#handlerError - (message, error) when installed or watch handler throws, rejects or is late (error.timeout = true)
+ * @example
+ * const {Yate} = require("next-yate");
+ * let yate = new Yate({host: "127.0.0.1", trackname: "myscript"});
+ * yate.init();
+ * yate.output("Hello World!");
+ * yate.on("handlerError", (message, error) => console.log(message.name, error));
+ * @see Yate#init
+ * @see Yate#toChannel
+ * @see https://docs.yate.ro/wiki/External_module_command_flow
+ */
+class Yate extends EventEmitter {
+	constructor(options = {}) {
+		super();
+		this._socket = null;
+		this._connected = false;
+		this._debug = "debug" in options ? options.debug : false;
+		this._host = options.host; // "127.0.0.1"
+		this._port = (typeof options.port == "number") ? options.port : _PORT;
+		this._path = options.path; // "socket path"
+		this._tls = options.tls ? _tlsOptions(options) : undefined;
+		this._transport = this._path ? "unix" : this._host ? (this._tls ? "tls" : "tcp") : "stdio";
 		this._reconnect = "reconnect" in options ? options.reconnect : true;
 		this._reconnnect_timeout = (typeof options.reconnnect_timeout == "number") ? options.reconnnect_timeout : _RECONNECT_TIMEOUT;
+		this._reconnect_max = (typeof options.reconnect_max == "number") ? options.reconnect_max : _RECONNECT_MAX;
+		this._reconnect_factor = (typeof options.reconnect_factor == "number" && options.reconnect_factor >= 1) ? options.reconnect_factor : _RECONNECT_FACTOR;
+		this._reconnect_jitter = (typeof options.reconnect_jitter == "number" && options.reconnect_jitter >= 0) ? options.reconnect_jitter : _RECONNECT_JITTER;
+		this._attempt = 0; // failed tries since the last connection
+		this._restoring = null; // promise of _restore()
 		this._dispatch_timeout = (typeof options.dispatch_timeout == "number") ? options.dispatch_timeout : _DISPATCH_TIMEOUT;
 		this._acknowledge_timeout = (typeof options.acknowledge_timeout == "number") ? options.acknowledge_timeout : _ACKNOWLEDGE_TIMEOUT;
+		this._handler_timeout = (typeof options.handler_timeout == "number") ? options.handler_timeout : _acknowledgeDeadline(this._acknowledge_timeout);
+		this._counters = { failed: 0, late: 0 };
+		this._metrics = {
+			started: Date.now(),
+			messages: {}, // installed by name
+			notifications: {}, // watched by name
+			acknowledged: 0,
+			dispatched: 0,
+			timeouts: 0, // dispatches not answered in time
+			dropped: 0, // by the offline queue
+			reconnects: 0,
+			handler_latency: _histogram(),
+			dispatch_latency: _histogram()
+		};
+		this._channels = new Set(); // live YateChannels
+		this._metrics_port = typeof options.metrics_port == "number" ? options.metrics_port : undefined;
+		this._metrics_host = typeof options.metrics_host == "string" ? options.metrics_host : _METRICS_HOST;
+		this._metricsServer = null;
+		this._commands = []; // rmanager commands {syntax, name, tokens, handler, help, complete, columns}
+		this._commanding = null; // promise of engine.command and engine.help install
+		this._strict = "strict" in options ? options.strict : false;
 		this._bufsize = (typeof options.bufsize == "number") ? options.bufsize : _BUFFER_SIZE;
 		this._trackname = (typeof options.trackname == "string") ? options.trackname : _TRACKNAME;
 		this._channel = "channel" in options ? options.channel : false;
-		this.setMaxListeners((typeof options.queue == "number") ? options.queue : _OFFLINE_QUEUE);
+		this._queue = new YateQueue({ size: options.queue, policy: options.queue_policy, ttl: options.queue_ttl });
+		this._control = new Map(); // "command,name" -> the latest install, watch or setlocal line kept while disconnected, never dropped
 		this._call_timeout = (typeof options.call_timeout == "number") ? options.call_timeout : _CALL_TIMEOUT;
 		this._first_run = true;
+		this._sounds = typeof options.sounds == "string" ? options.sounds : undefined;
+		this._language = typeof options.language == "string" ? options.language : _LANGUAGE;
+		this._params = _PARAM_MODELS.includes(options.params) ? options.params : _PARAM_MODELS[0];
+		this._schemas = Object.assign({}, options.schemas);
+		this._engine = typeof options.engine == "string" ? options.engine : (this._path || (this._host ? this._host + ":" + this._port : this._transport));
+		this._tracer = new YateTracer(options.trace && typeof options.trace == "object" ? options.trace : {});
+		this._tracer._engine = this._engine;
+		this._tracer.enabled = !!options.trace;
 
 		/*
 		 * Restore on reconnect:
@@ -518,16 +1738,36 @@ class Yate extends EventEmitter {
 
 		// {name, priority, handler, filterName, filterValue}
 		this._installs = [];
+		// installed on Engine's side {name: {priority, filterName, filterValue}}
+		this._installed = {};
 		// {name, handler, filterName, filterValue}
 		this._watches = [];
 
+		// dropped messages are answered as unhandled
+		this._queue.on("drop", entry => {
+			this._metrics.dropped++;
+			if (entry.id) this.emit("_answer," + entry.id, new NotConnectedError("Not connected. Message was dropped from the offline queue", { id: entry.id }));
+		});
+		// send the queued lines, after reconnect the queued messages wait until the handlers are restored
+		this.on("_connect", () => {
+			if (this._first_run) {
+				this._first_run = false;
+				this._installStatus();
+				this._flush();
+			} else {
+				this._metrics.reconnects++;
+				this._restore().then(() => this._flush());
+			}
+			this.emit("connected");
+		});
+
 		// Dumped stream
 		this._dump = new DumpStream();
 		this._dump.on("dump", dump => this.output(dump));
 		// Console -> Dumped stream -> Yate.output
 		this._console = new Console(this._dump);
 
-		if (!this._host) {
+		if (this._transport === "stdio") {
 			// local streams
 			this.in = process.stdin;
 			this.out = process.stdout;
@@ -539,6 +1779,9 @@ class Yate extends EventEmitter {
 				this._connected = false;
 				this._reconnect = false;
 				if (this._timer) clearTimeout(this._timer);
+				this._tracer.close();
+				if (this._metricsServer) this._metricsServer.close();
+				this._metricsServer = null;
 				if (this._socket) {
 					this._socket.removeAllListeners();
 					this._socket.end();
@@ -548,33 +1791,61 @@ class Yate extends EventEmitter {
 		}
 
 		// set options
-		this.setlocal("trackparam", this._trackname);
-		if (this._bufsize !== _BUFFER_SIZE) this.setlocal("bufsize", this._bufsize);
-		if (this._reconnect) this.setlocal("restart", this._reconnect);
-		if (this._acknowledge_timeout !== _ACKNOWLEDGE_TIMEOUT) this.setlocal("timeout", this._acknowledge_timeout);
+		this.setlocal("trackparam", this._trackname, { strict: false });
+		if (this._bufsize !== _BUFFER_SIZE) this.setlocal("bufsize", this._bufsize, { strict: false });
+		if (this._reconnect) this.setlocal("restart", this._reconnect, { strict: false });
+		if (this._acknowledge_timeout !== _ACKNOWLEDGE_TIMEOUT) this.setlocal("timeout", this._acknowledge_timeout, { strict: false });
+		// the summary of metrics in engine.status, installed on the first connection
+		this._status = "status" in options ? !!options.status : !this._channel;
+		this._engineStatus = null;
 	}
 
 	get trackname() { return this._trackname }
-	set trackname(name) { if (typeof name === "string") this.setlocal(() => {this._trackname = name}, "trackparam", name) }
+	set trackname(name) {
+		if (typeof name === "string") {
+			this.setlocal("trackparam", name, { strict: false });
+			this._trackname = name;
+		}
+	}
 	get reconnect() { return this._reconnect }
-	set reconnect(value) { if (typeof value === "boolean") this.setlocal(() => {this._reconnect = value}, "restart", value) }
+	set reconnect(value) {
+		if (typeof value === "boolean") {
+			this.setlocal("restart", value, { strict: false });
+			this._reconnect = value;
+		}
+	}
+	get strict() { return this._strict }
+	set strict(value) { if (typeof value === "boolean") this._strict = value }
 	get debug() { return this._debug }
 	set debug(value) { if (typeof value === "boolean") this._debug = value }
 	get connected() { return this._connected }
 	set connected(value) {} // readonly
+	get engine() { return this._engine }
+	set engine(value) {} // readonly
+	get params() { return this._params }
+	set params(value) { if (_PARAM_MODELS.includes(value)) this._params = value }
+	get queue() { return this._queue } // offline queue
+	set queue(value) {} // readonly
+	get tracer() { return this._tracer } // protocol tracing
+	set tracer(value) {} // readonly
 	get bufsize() { return this._bufsize }
 	set bufsize(value) {
 		if (typeof value === "number" && /^\d{3,5}$/.test("" + value) ) {
-			this.setlocal("bufsize", value);
+			this.setlocal("bufsize", value, { strict: false });
 			this._bufsize = value;
+			if (this._parser) this._parser._maxLength = value;
 		}
 	}
 	get dispatch_timeout() { return this._dispatch_timeout }
 	set dispatch_timeout(value) { if (typeof value === "number" && /^\d{3,}$/.test("" + value) ) this._dispatch_timeout = value }
+	get counters() { return Object.assign({}, this._counters) } // failed and late handlers
+	set counters(value) {} // readonly
+	get handler_timeout() { return this._handler_timeout }
+	set handler_timeout(value) { if (typeof value === "number" && value > 0) this._handler_timeout = value }
 	get acknowledge_timeout() { return this._acknowledge_timeout }
 	set acknowledge_timeout(value) {
 		if (typeof value === "number" && /^\d{3,}$/.test("" + value) ) {
-			this.setlocal("timeout", value);
+			this.setlocal("timeout", value, { strict: false });
 			this._acknowledge_timeout = value;
 		}
 	}
@@ -588,6 +1859,12 @@ class Yate extends EventEmitter {
 	set port(value) {} // readonly
 	get path() { return this._path }
 	set path(value) {} // readonly
+	get transport() { return this._transport } // "stdio", "unix", "tcp" or "tls"
+	set transport(value) {} // readonly
+	get sounds() { return this._sounds }
+	set sounds(value) { if (typeof value === "string") this._sounds = value }
+	get language() { return this._language }
+	set language(value) { if (typeof value === "string") this._language = value }
 
 	/**
 	 * handlers() returns array of message handlers [{name, priority, handler, filterName, filterValue}]
@@ -613,112 +1890,211 @@ class Yate extends EventEmitter {
 	/**
 	 * Init the Yate instance.
 	 * Connects it to Extmodule, makes readable and writable inbound and outbound streams. 
+	 * The lost connection is restored with exponential backoff, see reconnect_max, reconnect_factor and reconnect_jitter options.
 	 * @method
-	 * @param {function} callback - callback will executed after successful connect
+	 * @param {function} callback - callback will executed once after the first successful connect
 	 * @returns {Promise} - resolve(true) if done or false if failed.
 	 * @example
-	 * let yate = new Yate();
+	 * let yate = new Yate({ host: "127.0.0.1", reconnect_max: 30000 });
+	 * yate.on("reconnecting", (attempt, delay) => console.log("Try", attempt, "in", delay, "ms"));
+	 * yate.on("restored", success => console.log("Handlers restored", success));
 	 * yate.init(() => { console.log("Connnected") });
 	 * @see Yate#toChannel
+	 * @see Yate#restored
 	 */
 	init(callback) {
+		this._listenMetrics();
 		if (this._connected) return Promise.resolve(false);
 		if (this._channel) return this.toChannel();
 	
 		// local
-		if (!this._host) {
-			if (this._connected) return Promise.resolve(false);
+		if (this._transport === "stdio") {
 			this._init();
+			this.emit("_connect");
+			this._first_run = false;
 			if (typeof callback === "function") callback(); // <-- callback
 			return Promise.resolve(true);
 		}
 		
 		// network
+		return new Promise(resolve => {
+			let connected, failed;
+			this.once("_connect", connected = () => {
+				this.removeListener("_error", failed);
+				if (typeof callback === "function") callback(); // <-- callback
+				resolve(true);
+			});
+			this.once("_error", failed = () => {
+				this.removeListener("_connect", connected);
+				resolve(false);
+			});
+			this._attempt = 0;
+			this._open();
+		});
+	}
+
+	// opens the socket, the lost connection is reopened by _retry()
+	_open() {
 		if (this._timer) clearTimeout(this._timer);
 		if (this._socket) this._socket.removeAllListeners();
-		this._socket = new Socket();
-
-		this._socket.once("end", () => {
+		this.emit("connecting", this._attempt);
+		const socket = this._socket = this._createSocket();
+		let lost = false;
+
+		const close = reason => {
+			if (lost) return; // "end" and "error" of the same socket
+			lost = true;
+			let connected = this._connected;
 			this._connected = false;
 			if (this._timer) clearTimeout(this._timer); // (*)
-			this.emit("_disconnect", "Lost connection");
-			if (this._reconnect) {
-				this._timer = setTimeout(() => {
-					if (this._first_run) {
-						this.init(callback).then(() => this._first_run = false);
-					} else {
-						this.init().then(() => this._restore());
-					}
-				}, this._reconnnect_timeout);
+			if (connected) {
+				this.emit("_disconnect", reason);
+				this.emit("disconnected", reason);
 			}
+			if (this._reconnect) this._retry();
+		};
+
+		socket.once("end", () => {
 			if (this._debug) this.emit("_debug", "<Socket> end");
+			close("Lost connection");
 		});
 
-		this._socket.on("error", error => {
-			this._connected = false;
-			if (this._timer) clearTimeout(this._timer); // (*)
+		socket.on("error", error => {
 			if (this._debug) this.emit("_debug", "<Socket> error");
-			if (this._reconnect) {
-				this._timer = setTimeout(() => {
-					if (this._first_run) {
-						this.init(callback).then(() => this._first_run = false);
-					} else {
-						this.init().then(() => this._restore());
-					}
-				}, this._reconnnect_timeout);
-			} else {
-				this.emit("_error", error);
-			}
+			if (!this._reconnect) this.emit("_error", error);
+			close(error.message);
 		});
 
-		return new Promise(resolve => {
-			// NodeJS versions before v10.x do not sends "ready" event
-			this._socket.on(process.version.search(/^v[0-9]\./) == -1 ? "ready" : "connect", () => {
-				// workaround for socket case: "end" just after "connect"
-				this._timer = setTimeout(() => {
-					this.in = this.out = this._socket;
-					this._init();
-					this._connect("global", this._trackname, "data");
-					this.emit("_connect");
-					resolve(true);
-				}, 500); //
-				if (typeof callback === "function") callback(); // <-- callback
-				this._first_run = false;
-				if (this._debug) this.emit("_debug", "<Socket> ready");
-			});
-
-			this._socket.connect({
-				path: this._path,
-				port: this._port,
-				host: this._host,
-				timeout: this.timeout
-			});
+		// NodeJS versions before v10.x do not sends "ready" event
+		let ready = this._transport === "tls" ? "secureConnect" : process.version.search(/^v[0-9]\./) == -1 ? "ready" : "connect";
+		socket.on(ready, () => {
+			if (this._debug) this.emit("_debug", "<Socket> ready");
+			// workaround for socket case: "end" just after "connect"
+			this._timer = setTimeout(() => {
+				this.in = this.out = socket;
+				this._attempt = 0;
+				this._init();
+				this._connect("global", this._trackname, "data");
+				this.emit("_connect");
+			}, 500); //
 		});
 	}
 
+	// connecting socket of the transport: Unix socket, TCP or TLS
+	_createSocket() {
+		if (this._transport === "tls") {
+			let tls;
+			try {
+				tls = _tlsFiles(this._tls);
+			} catch (error) {
+				// missing certificate fails like the connection itself
+				let socket = new Socket();
+				process.nextTick(() => socket.emit("error", error));
+				return socket;
+			}
+			return tlsConnect(Object.assign({ host: this._host, port: this._port }, tls));
+		}
+		let socket = new Socket();
+		socket.connect(this._transport === "unix" ? { path: this._path } : { host: this._host, port: this._port });
+		return socket;
+	}
+
+	// schedules the next try to connect
+	_retry() {
+		this._attempt++;
+		let delay = _backoff(this._attempt, this._reconnnect_timeout, this._reconnect_max, this._reconnect_factor, this._reconnect_jitter);
+		this.emit("reconnecting", this._attempt, delay);
+		this._timer = setTimeout(() => this._open(), delay);
+	}
+
 	_init() {
 		this._connected = true;
-		this._rl = createInterface(this.in);
-		this._rl.on("line", line => { this._read(line) });
-		this._rl.on("error", () => {
-			if (this._debug) this.emit("_debug", "<Socket> readline error");
-			this._rl.removeAllListeners();
-			this._rl.close();
-		});
+		if (this._parser) this._parser.removeAllListeners();
+		this._parser = new YateParser({ maxLength: this._bufsize });
+		this._parser.on("record", (record, line) => this._receive(record, line));
+		this._parser.on("protocolError", error => this._protocolError(error));
+		this.in.pipe(this._parser);
 	}
 
+	/*
+	 * Re-setlocal, re-install & re-watch after reconnect, then sends the commands queued while disconnected
+	 * except install and watch of the restored messages, which the restore has already sent in their current state.
+	 * Resolves true when the Engine has acknowledged all of them,
+	 * false if any was refused or not answered in dispatch_timeout.
+	 */
 	_restore() {
-		//if (!this._connected) return;
-		// re-setlocal, re-install & re-watch
+		let acks = [];
 		this._setlocals.forEach(item => {
+			acks.push(this._acknowledged("_setlocal," + item.name, ans => !(ans instanceof Error) && ans._success));
 			this._setlocal(item.name, item.value);
 		});
-		this._installs.forEach(item => {
-			this._install(item.name, item.priority);
-		});
+		for (let name in this._installed) {
+			let item = this._installed[name];
+			acks.push(this._acknowledged("_install," + name));
+			this._install(name, item.priority, item.filterName, item.filterValue);
+		}
+		let watched = [];
 		this._watches.forEach(item => {
+			if (!item || watched.includes(item.name)) return;
+			watched.push(item.name);
+			acks.push(this._acknowledged("_watch," + item.name));
 			this._watch(item.name);
 		});
+		let control = Array.from(this._control.values());
+		this._control.clear();
+		control.forEach(line => {
+			let record = _parseLine(line);
+			if (/^%%>(un)?install$/.test(record.keyword) && record.name in this._installed) return;
+			if (/^%%>(un)?watch$/.test(record.keyword) && watched.includes(record.name)) return;
+			this._write(line);
+		});
+
+		let restoring = this._restoring = Promise.all(acks).then(results => {
+			let success = results.every(ok => ok);
+			if (this._restoring === restoring) this._restoring = null;
+			this.emit("restored", success);
+			return success;
+		});
+		return restoring;
+	}
+
+	// resolves the Engine's answer to the command mapped by check(), false on timeout
+	_acknowledged(event, check = success => success) {
+		return new Promise(resolve => {
+			let handler;
+			let timeout = setTimeout(() => {
+				this.removeListener(event, handler);
+				resolve(false);
+			}, this._dispatch_timeout);
+			this.once(event, handler = ans => {
+				clearTimeout(timeout);
+				resolve(!!check(ans));
+			});
+		});
+	}
+
+	/**
+	 * Waits for the state of the Application on the Engine's side.
+	 * Resolves after the first connection, or when setlocals, installs and watches
+	 * have been re-acknowledged by the Engine after reconnect.
+	 * @method
+	 * @returns {Promise} - resolve(true) if the state is restored, resolve(false) if the Engine refused or did not answer any command
+	 * @async
+	 * @example
+	 * yate.on("disconnected", () => console.log("Offline"));
+	 * yate.on("reconnecting", async () => {
+	 *     await yate.restored();
+	 *     console.log("Back online with all handlers");
+	 * });
+	 * @see Yate#init
+	 */
+	restored() {
+		if (this._restoring) return this._restoring;
+		if (this._connected) return Promise.resolve(true);
+		return new Promise(resolve => {
+			if (this._first_run) this.once("connected", () => resolve(true));
+			else this.once("restored", resolve);
+		});
 	}
 
 	/**
@@ -745,7 +2121,7 @@ class Yate extends EventEmitter {
 	 */
 	toChannel() {
 		if (typeof this._channel === "object") return this._channel;
-		if (this._host || this._connected) return;
+		if (this._transport !== "stdio" || this._connected) return;
 		this._reconnect = false;
 		this._connected = true;
 		const _yate = this;
@@ -755,6 +2131,8 @@ class Yate extends EventEmitter {
 		chan.peerid = _yate._trackname + "/" + process.hrtime()[1];
 		chan.id = null;
 		chan.status = "incoming";
+		chan._digits = "";
+		chan._yate = _yate;
 
 		_yate._setlocal("id", chan.peerid);
 
@@ -776,7 +2154,7 @@ class Yate extends EventEmitter {
 						delete _yate._installs[handler_idx];
 						// update peerid
 						chan.id = message.id;
-						chan.status = message.answered || message.autoanswer ? "answered" : message.status;
+						chan.status = _isTrue(message.answered) || _isTrue(message.autoanswer) ? "answered" : message.status;
 						chan.ready = true;
 						// 
 						message.targetid = chan.peerid;
@@ -787,6 +2165,12 @@ class Yate extends EventEmitter {
 						_yate.acknowledge(message);
 						//
 						_yate.watch(() => {}, "chan.notify", "id", chan.id); // prevents watch/unwatch till channel lifetime
+						_yate.watch(message => _collectDtmf(chan, message), "chan.dtmf", { filterName: "id", filterValue: chan.id, owner: chan });
+						_yate.watch(() => {
+							chan.ready = false;
+							chan.status = "hangup";
+							chan.emit("hangup");
+						}, "chan.hangup", { filterName: "id", filterValue: chan.id, owner: chan });
 						if (typeof callback === "function") callback(message);
 						resolve(message);
 						return;
@@ -852,20 +2236,32 @@ class Yate extends EventEmitter {
 				}
 
 				// watcher
-				let handler;
-				_yate.watch(handler = (message) => {
+				let handler, onStop, onHangup;
+				let done = (message) => {
 					clearTimeout(timer);
 					_yate.unwatch(handler, "chan.notify", "targetid", notify);
-					resolve(message);
 					chan.removeListener("reset", reject);
-				}, "chan.notify", "targetid", notify);
+					chan.removeListener("stop", onStop);
+					chan.removeListener("hangup", onHangup);
+					resolve(message);
+				};
+				_yate.watch(handler = (message) => done(message), "chan.notify", "targetid", notify);
+
+				// stop() detaches media
+				chan.once("stop", onStop = () => {
+					_yate.enqueue(_detachMessage(attach));
+					attach.reason = "stopped";
+					done(attach);
+				});
+				chan.once("hangup", onHangup = () => {
+					attach.reason = "hangup";
+					done(attach);
+				});
 
 				// timeout
 				let timer = setTimeout(() => {
-					_yate.unwatch(handler, "chan.notify", "targetid", notify);
 					attach.reason = "eof";
-					resolve(attach);
-					chan.removeListener("reset", reject);
+					done(attach);
 				}, timeout ? timeout : _yate._call_timeout);
 
 				_yate.enqueue(attach);
@@ -937,8 +2333,19 @@ class Yate extends EventEmitter {
 
 		chan.reset = (message) => { chan.emit("reset", message) };
 
+		chan.getDigits = (options) => _getDigits(chan, options);
+
+		chan.playAndCollect = (prompts, options) => _playAndCollect(chan, prompts, options);
+
+		chan.say = (value, options) => _say(chan, value, options);
+
+		chan.record = (path, options) => _record(chan, path, options);
+
+		chan.stop = () => { chan.emit("stop") };
+
 		chan.watch = (handler, name) => {
 			if (typeof handler !== "function" || typeof name !== "string") return Promise.reject(new Error("Arguments error. Handler and message name required."));
+			if (name === "chan.dtmf") return _watchDtmf(chan, handler);
 			return _yate.watch(handler, name, "id", chan.id);
 		};
 	
@@ -949,8 +2356,7 @@ class Yate extends EventEmitter {
 
 		this._channel = chan;
 
-		let rl = createInterface(this.in);
-		rl.on("line", line => { this._read(line) });
+		this._init();
 		this.emit("_connect");
 
 		return chan;
@@ -998,18 +2404,34 @@ class Yate extends EventEmitter {
 
 		return Promise.all(
 			env.map(key => {
-				return new Promise(resolve => {
-					this.setlocal(value => {
+				return this.setlocal("engine." + key)
+					.then(value => {
 						ans[key] = value;
-						resolve(value);
-					}, "engine." + key);
-				})
+						return value;
+					});
 			})
 		).then(() => {
 			return ans;
 		});
 	}
 
+	/**
+	 * Sets the parameter types of the message for "typed" parameters model.
+	 * Parameters not in the schema and values not of the type stay strings.
+	 * @method
+	 * @param {string} name - message name (required)
+	 * @param {Object} schema - {parameter: "number"|"boolean"|"string"}, undefined to remove the schema
+	 * @example
+	 * let yate = new Yate({ params: "typed" });
+	 * yate.schema("call.cdr", { duration: "number", billtime: "number", answered: "boolean" });
+	 * yate.watch(cdr => console.log(cdr.duration + cdr.billtime), "call.cdr");
+	 */
+	schema(name, schema) {
+		if (typeof name !== "string") return;
+		if (schema && typeof schema === "object") this._schemas[name] = Object.assign({}, schema);
+		else delete this._schemas[name];
+	}
+
 	/**
 	 * Acknowledges the message.
 	 * Not needed in common cases because of all incoming messages acknowledges automatically
@@ -1032,9 +2454,14 @@ class Yate extends EventEmitter {
 	 * @method
 	 * @param {function} handler - message handler (required)
 	 * @param {string} name - message name (required)
-	 * @param {number} prio - priority of the handler on Yate's side, as low value as high proirity (optional, default value 100)
+	 * @param {number} prio - priority of the handler, as low value as high proirity (optional, default value 100).
+	 * Handlers of the same message are called one by one in priority order, each can modify the message and set retValue.
+	 * The handler returning true marks the message as handled and stops the chain, like Yate's own handlers.
+	 * The handler of the same message, filter and priority is replaced as well as the same handler installed again with the new priority,
+	 * the handlers of different priorities or filters make the chain.
 	 * @param {string} filter - filter is name of message parameter (optional, for example "called")
-	 * @param {string} fvalue - filter is value of message parameter (optional, for example "^9999.*")
+	 * @param {string} fvalue - filter is value of message parameter (optional, for example "^9999.*").
+	 * Exact filter like "^1234567890$" is passed to the Engine if it is the only filter of the message handlers, so the other messages do not reach the Application.
 	 * @returns {Promise} - resolve(true) on successfully installed handler, resolve(false) on fail, reject(Error) on error
 	 * @async
 	 * @example
@@ -1067,17 +2494,14 @@ class Yate extends EventEmitter {
 			filterValue = typeof fvalue === "string" ? fvalue : undefined;
 		}
 
-		// add / replace installed
-		let installed = false;
+		// add / replace installed, the handler of the same filter and priority (or the same handler) is replaced
 		let replace = -1;
 		let add = this._installs.length;
-		let reinstall = false;
 		for (let i = 0; i < this._installs.length; i++) {
-			if (!this._installs[i]) add = i;
-			if (this._installs[i] && this._installs[i].name === name) {
-				installed = true;
-				if (this._installs[i].priority !== priority) reinstall = true;
-				if (this._installs[i].filterName === filterName && this._installs[i].filterValue === filterValue) replace = i;
+			let item = this._installs[i];
+			if (!item) add = i;
+			if (item && item.name === name && item.filterName === filterName && item.filterValue === filterValue) {
+				if (item.priority === priority || item.handler === handler) replace = i;
 			}
 		}
 		let idx = replace < 0 ? add : replace;
@@ -1089,22 +2513,14 @@ class Yate extends EventEmitter {
 			filterValue: filterValue
 		};
 
-		if (!installed) {
-			// install
-			this._install(name, priority);
+		// install, reinstall with new priority or filter
+		if (this._installName(name)) {
 			return new Promise(resolve => {
 				this.once("_install," + name, success => {
-					if (!success) delete this._installs[idx];
-					resolve(success);
-				});
-			});
-		} else if(reinstall) {
-			// reinstall with new priority
-			this._uninstall(name);
-			this._install(name, priority);
-			return new Promise(resolve => {
-				this.once("_install," + name, success => {
-					if (!success) delete this._installs[idx];
+					if (!success) {
+						delete this._installs[idx];
+						delete this._installed[name];
+					}
 					resolve(success);
 				});
 			});
@@ -1113,6 +2529,30 @@ class Yate extends EventEmitter {
 		}
 	}
 
+	/*
+	 * Installs the message on Engine's side or reinstalls it if priority or filter was changed.
+	 * Engine's side priority is the highest priority (lowest value) of the remaining message handlers,
+	 * so it is raised back when the high priority handler is uninstalled.
+	 * The filter is passed to the Engine only if all handlers of the message have the same exact filter,
+	 * otherwise the messages are filtered locally in _read.
+	 * Returns true if install command was sent.
+	 */
+	_installName(name) {
+		// the highest priority of the message handlers
+		let priority;
+		this._installs.forEach(item => {
+			if (item && item.name === name && typeof item.priority === "number" && (priority === undefined || item.priority < priority)) priority = item.priority;
+		});
+		if (priority === undefined) priority = 100;
+		let filter = _engineFilter(this._installs, name);
+		let current = this._installed[name];
+		if (current && current.priority === priority && current.filterName === filter.name && current.filterValue === filter.value) return false;
+		if (current) this._uninstall(name);
+		this._installed[name] = { priority: priority, filterName: filter.name, filterValue: filter.value };
+		this._install(name, priority, filter.name, filter.value);
+		return true;
+	}
+
 	/**
 	 * Removes the handler from a specific message
 	 * @method
@@ -1174,10 +2614,13 @@ class Yate extends EventEmitter {
 
 		if (!installed) {
 			this._uninstall(name);
+			delete this._installed[name];
 			return new Promise(resolve => {
-				this.on("_uninstall," + name, success => resolve(success));
+				this.once("_uninstall," + name, success => resolve(success));
 			});
 		} else {
+			// the rest of handlers may have lower priority or common filter
+			if (this._installed[name]) this._installName(name);
 			return Promise.resolve(false);
 		}
 	}
@@ -1188,6 +2631,10 @@ class Yate extends EventEmitter {
 	 * @method
 	 * @param {function} handler - function to be message handler (required)
 	 * @param {string} name - message name (required)
+	 * @param {string|Object} filterName - filter is name of message parameter or options {filterName, filterValue, owner} (optional)
+	 * @param {string} filterValue - filter is value of message parameter (optional)
+	 * The handler of the same filter is replaced. The handler of owner (the component like ChannelRegistry) is replaced or removed only with the same owner and handler,
+	 * so several components and the script can watch the same message.
 	 * @returns {Promise} - resolve(true) on successfully installed handler, resolve(false) on fail, reject(Error) on error.
 	 * @async
 	 * @example
@@ -1207,37 +2654,14 @@ class Yate extends EventEmitter {
 		if (typeof handler !== "function" || typeof name !== "string")
 			return Promise.reject(new Error("Watch arguments error. Handler and message name are required."));
 
-		// add / replace watched
-		let watched = false;
-		let replace = -1;
-		let add = this._watches.length;
-		for (let i = 0; i < this._watches.length; i++) {
-			if (!this._watches[i]) add = i;
-			if (this._watches[i] && this._watches[i].name === name) {
-				watched = true;
-				if (this._watches[i].filterName === filterName && this._watches[i].filterValue === filterValue) replace = i;
-			}
-		}
-		
-		let idx = replace < 0 ? add : replace;
-		this._watches[idx] = {
+		let options = filterName && typeof filterName === "object" ? filterName : { filterName: filterName, filterValue: filterValue };
+		return this._addWatch({
 			name: name,
 			handler: handler,
-			filterName: typeof filterName === "string" ? filterName : undefined,
-			filterValue: typeof filterValue === "string" ? filterValue : undefined
-		};
-		if (!watched) {
-			// watch
-			this._watch(name);
-			return new Promise(resolve => {
-				this.once("_watch," + name, success => {
-					if (!success) delete this._watches[idx];
-					resolve(success);
-				});
-			});
-		} else {
-			return Promise.resolve(true);
-		}
+			filterName: typeof options.filterName === "string" ? options.filterName : undefined,
+			filterValue: typeof options.filterValue === "string" ? options.filterValue : undefined,
+			owner: options.owner && typeof options.owner === "object" ? options.owner : undefined
+		});
 	}
 
 	/**
@@ -1279,6 +2703,7 @@ class Yate extends EventEmitter {
 				if (filterValue && this._watches[i].filterValue !== filterValue) continue;
 				if (handler && this._watches[i].handler !== handler) continue;
 				if (!handler && !filterName && !filterValue && this._watches[i].filterName && this._watches[i].filterValue) continue;
+				if (!handler && this._watches[i].owner) continue; // removed by its owner only
 				delete this._watches[i];
 			}
 		}
@@ -1295,7 +2720,7 @@ class Yate extends EventEmitter {
 		if (!watched) {
 			this._unwatch(name);
 			return new Promise(resolve => {
-				this.on("_uninstall," + name, success => resolve(success));
+				this.once("_unwatch," + name, success => resolve(success));
 			});
 		} else {
 			return Promise.resolve(false);
@@ -1307,7 +2732,11 @@ class Yate extends EventEmitter {
 	 * @method
 	 * @param {string} name - parameter name (required)
 	 * @param {string} value - parameter value (optional, if undefined the method returns the parameter value)
-	 * @returns {Promise} - resolve(value or success)
+	 * @param {Object} options - (optional)
+	 * @param {number} options.timeout - overrides dispatch_timeout
+	 * @param {boolean} options.strict - overrides strict option of Yate
+	 * @returns {Promise} - resolve(value or success), resolve(undefined) if the Engine refused, resolve(false) on timeout.
+	 * In strict mode reject(DispatchTimeoutError|NotConnectedError) on timeout, reject(ProtocolError) if the Engine did not understand the command.
 	 * @async
 	 * @example
 	 * const {Yate, YateMessage} = require("next-yate");
@@ -1317,20 +2746,28 @@ class Yate extends EventEmitter {
 	 * console.log(ver);
 	 * @see https://docs.yate.ro/wiki/External_module_command_flow
 	 */
-	setlocal(name, value) {
+	setlocal(name, value, options = {}) {
 		if (typeof name === "string" && (
 			typeof value === "string" ||
 			typeof value === "boolean" ||
 			typeof value === "number" ||
 			value === undefined) ) {
 
-			return new Promise( (resolve) => {
+			let strict = "strict" in options ? options.strict : this._strict;
+			let start = Date.now();
+			return new Promise( (resolve, reject) => {
 				this._setlocal(name, value);
 				let event = "_setlocal," + name;
-				//let handler;
+				let handler;
 
-				this.once(event, (ans) => {
+				this.once(event, handler = (ans) => {
 					clearTimeout(timeout);
+					if (ans instanceof ProtocolError) {
+						ans.elapsed = Date.now() - start;
+						if (strict) reject(ans);
+						else resolve(undefined);
+						return;
+					}
 					// push or replace to setlocals []
 					if (value !== undefined && ans._success) {
 						let idx = this._setlocals.length;
@@ -1347,9 +2784,10 @@ class Yate extends EventEmitter {
 
 				// skip setlocal query by timeout
 				let timeout = setTimeout(() => {
-					//this.removeListener(event, handler);
-					resolve(false);
-				}, this._dispatch_timeout);
+					this.removeListener(event, handler);
+					if (strict) reject(this._timeoutError("Setlocal " + name, name, start));
+					else resolve(false);
+				}, typeof options.timeout === "number" ? options.timeout : this._dispatch_timeout);
 
 			});
 		} else {
@@ -1357,11 +2795,62 @@ class Yate extends EventEmitter {
 		}
 	}
 
+	/**
+	 * Adds the rmanager command.
+	 * The first call installs "engine.command" and "engine.help" handlers, the next commands share them.
+	 * Syntax: name and literal words, &lt;arg&gt; - required argument, [arg] - optional argument, [args...] - the rest of arguments,
+	 * [--option X] - option with value, [--flag] - boolean option.
+	 * Handler gets the parsed arguments {arg: value, option: value} and returns the output:
+	 * string, Array of rows (objects or arrays) formatted as table, Object formatted as "key: value" lines, or Promise of them.
+	 * @method
+	 * @param {string} syntax - like "route <number> [--caller X]" (required)
+	 * @param {function} handler - function(args, message) (required)
+	 * @param {Object} options - (optional)
+	 * @param {string} options.help - description for "help route"
+	 * @param {Object} options.complete - completions of arguments and options {name: Array or function(args, partword) returning Array}
+	 * @param {Array} options.columns - columns of the table output, default keys of the rows
+	 * @returns {Promise} - resolve(true) if the handlers are installed
+	 * @async
+	 * @example
+	 * yate.command("route <number> [--caller X]", async args => {
+	 *     let res = await yate.dispatch(new YateMessage("call.route", { called: args.number, caller: args.caller }));
+	 *     return [{ called: args.number, route: res.retValue() || "None", handlers: res.handlers }];
+	 * }, { help: "Routes the number like incoming call", complete: { caller: ["100", "200"] } });
+	 * // rmanager> route 100 --caller 200
+	 * @see https://docs.yate.ro/wiki/Engine.command
+	 */
+	command(syntax, handler, options = {}) {
+		if (typeof syntax !== "string" || typeof handler !== "function")
+			return Promise.reject(new Error("Command arguments error. Syntax and handler are required."));
+		let spec;
+		try {
+			spec = _commandSpec(syntax);
+		} catch (error) {
+			return Promise.reject(error);
+		}
+		spec.handler = handler;
+		spec.help = typeof options.help === "string" ? options.help : "";
+		spec.complete = Object.assign({}, options.complete);
+		spec.columns = Array.isArray(options.columns) ? options.columns : undefined;
+
+		let idx = this._commands.findIndex(item => item.syntax === spec.syntax);
+		this._commands[idx < 0 ? this._commands.length : idx] = spec;
+		if (!this._commanding) {
+			this._commanding = Promise.all([
+				this.install(msg => _commandHandler(this, msg), "engine.command"),
+				this.install(msg => _helpHandler(this, msg), "engine.help")
+			]).then(res => res.every(success => success));
+		}
+		return this._commanding;
+	}
+
 	/**
 	 * Enqueues the Message in the Yate engine
 	 * @method
 	 * @param {YateMessage} message (required)
-	 * @returns {Promise} - resolve(YateMessage) with unhandled message or reject(Error) on error
+	 * @param {Object} options - (optional)
+	 * @param {number} options.ttl - time to live in the offline queue in milliseconds, overrides queue_ttl
+	 * @returns {Promise} - resolve(YateMessage) with unhandled message or reject(Error) on error, reject(QueueOverflowError) if the offline queue refused the message
 	 * @async
 	 * @example
 	 * const {Yate, YateMessage} = require("next-yate");
@@ -1371,9 +2860,11 @@ class Yate extends EventEmitter {
 	 * yate.equeue(m);
 	 * @see Yate#dispatch
 	 */
-	enqueue(msg) {
+	enqueue(msg, options = {}) {
 		if ("_id" in msg && "_name" in msg && "_time" in msg) {
-			this._dispatch(msg);
+			let written = this._dispatch(msg, options.ttl);
+			if (written instanceof Error) return Promise.reject(written);
+			if (!written) return Promise.reject(this._overflowError(msg));
 			return Promise.resolve(msg);
 		} else {
 			return Promise.reject(new Error("Equeue arguments error. YateMessage required."));
@@ -1384,7 +2875,12 @@ class Yate extends EventEmitter {
 	 * Dispatches the Message in the Yate engine.
 	 * @method
 	 * @param {YateMessage} message (required)
-	 * @returns {Promise} - reolve(YateMessage) where YateMessage is handled message, reject(Error) on error
+	 * @param {Object} options - (optional)
+	 * @param {number} options.timeout - overrides dispatch_timeout
+	 * @param {boolean} options.strict - overrides strict option of Yate
+	 * @param {number} options.ttl - time to live in the offline queue in milliseconds, overrides queue_ttl
+	 * @returns {Promise} - reolve(YateMessage) where YateMessage is handled message or the original unhandled message on timeout, reject(Error) on error.
+	 * In strict mode reject(NotConnectedError) if not connected, reject(DispatchTimeoutError) on timeout, reject(ProtocolError) if the Engine did not understand the message.
 	 * @async
 	 * @example
 	 * const {Yate, YateMessage} = require("next-yate");
@@ -1396,29 +2892,114 @@ class Yate extends EventEmitter {
 	 *           err => {console.log("Dispatch error\n", err)} );
 	 * @see Yate#enqueue
 	 */
-	dispatch(msg) {
+	dispatch(msg, options = {}) {
 		if ("_id" in msg && "_name" in msg && "_time" in msg ) {
-			return new Promise(resolve => {
-				this._dispatch(msg);
+			let strict = "strict" in options ? options.strict : this._strict;
+			let start = Date.now();
+			if (strict && !this._connected)
+				return Promise.reject(new NotConnectedError("Not connected. Message " + msg._name + " was not dispatched", { id: msg._id, elapsed: 0 }));
+
+			this._metrics.dispatched++;
+			return new Promise((resolve, reject) => {
 				let event = "_answer," + msg._id;
 				let handler;
 				
 				this.once(event, handler = (m) => {
 					clearTimeout(timeout);
+					if (m instanceof YateError) { // ProtocolError or NotConnectedError of the dropped message
+						m.elapsed = Date.now() - start;
+						if (strict) return reject(m);
+						msg._handled = false;
+						return resolve(msg);
+					}
+					_observe(this._metrics.dispatch_latency, Date.now() - start);
 					resolve(m);
 				});
 				// kill slow dispatches by timeout
 				let timeout = setTimeout(() => {
+					this._metrics.timeouts++;
 					this.removeListener(event, handler);
+					if (strict) return reject(this._timeoutError("Message " + msg._name, msg._id, start));
 					msg._handled = false;
 					resolve(msg);
-				}, this._dispatch_timeout);
+				}, typeof options.timeout === "number" ? options.timeout : this._dispatch_timeout);
+
+				if (this._dispatch(msg, options.ttl) === false) {
+					clearTimeout(timeout);
+					this.removeListener(event, handler);
+					reject(this._overflowError(msg));
+				}
 			});
 		} else {
 			return Promise.reject(new Error("Dispach arguments error. YateMessage required."));
 		}
 	}
 
+	/**
+	 * Runs SQL query on the database account of the Engine by dispatching "database" message.
+	 * The values are bound to "?" placeholders from Array or ":name" placeholders from Object:
+	 * strings are quoted with doubled "'", numbers and booleans are written as is, null and undefined become NULL, Arrays become comma separated lists.
+	 * The string literal syntax depends on the database, so a string value with backslash is refused unless the dialect is given:
+	 * "standard" if backslash is not an escape character (PostgreSQL with standard_conforming_strings, the default, or MySQL with NO_BACKSLASH_ESCAPES),
+	 * "mysql" for the default MySQL mode, backslashes are escaped too.
+	 * @method
+	 * @param {string} account - database account of the Engine like "pgsqldb" account name (required)
+	 * @param {string} sql - query (required)
+	 * @param {Array|Object} params - values of the placeholders (optional)
+	 * @param {Object} options - see dispatch() options (optional)
+	 * @param {string} options.dialect - string literal syntax of the database: "standard" or "mysql", default none (backslashes are refused)
+	 * @returns {Promise} - resolve(YateMessage) with "columns", "rows", "affected" and "error" parameters, use getColumn(), getRow() and getResult() to read the rows indexed from 0.
+	 * The message is not handled if the account is unknown. Reject(Error) if a placeholder value is missing or invalid, see dispatch() for other errors.
+	 * @async
+	 * @example
+	 * let res = await yate.query("billing", "SELECT name, credit FROM users WHERE number = ? AND enabled = ?", [msg.caller, true]);
+	 * if (res.handled && !res.error && res.getParam("rows") > 0) console.log(res.getRow(0).name, res.getResult(0, "credit"));
+	 * @see https://docs.yate.ro/wiki/Database
+	 */
+	query(account, sql, params, options = {}) {
+		if (typeof account !== "string" || !account || typeof sql !== "string" || !sql)
+			return Promise.reject(new Error("Query arguments error. Account and SQL required."));
+		if (options.dialect !== undefined && options.dialect !== "standard" && options.dialect !== "mysql")
+			return Promise.reject(new Error("Query arguments error. Dialect must be \"standard\" or \"mysql\"."));
+		let query;
+		try {
+			query = _bindSql(sql, params, options.dialect);
+		} catch (error) {
+			return Promise.reject(error);
+		}
+		return this.dispatch(YateMessage.create("database", { account: account, query: query, results: true }), options);
+	}
+
+	/**
+	 * Requests the status of the Engine modules by dispatching engine.status message.
+	 * @method
+	 * @param {string} module - module name like "sip", all modules if undefined (optional)
+	 * @param {Object} options - see dispatch() options (optional)
+	 * @param {boolean} options.details - request the details like channels of the module, default false
+	 * @returns {Promise} - resolve(Object) status of the module or undefined if it did not answer,
+	 * resolve(Array) of all modules if the module is not specified, see YateStatus.parse()
+	 * @async
+	 * @example
+	 * let sip = await yate.status("sip", { details: true });
+	 * console.log(sip.counters.chans, sip.details.map(chan => chan.id + " " + chan.Status));
+	 * @see YateStatus
+	 */
+	status(module, options = {}) {
+		if (module && typeof module === "object") {
+			options = module;
+			module = undefined;
+		}
+		if (module !== undefined && typeof module !== "string")
+			return Promise.reject(new Error("Status arguments error. Module name must be a string."));
+		let params = { details: !!options.details };
+		if (module) params.module = module;
+		return this.dispatch(YateMessage.engineStatus(params), options)
+			.then(msg => {
+				let list = YateStatus.parse(msg.retValue());
+				return module ? list.find(status => status.name === module) : list;
+			});
+	}
+
 	/**
 	 * Output data to Yate log.
 	 * @method
@@ -1428,57 +3009,106 @@ class Yate extends EventEmitter {
 		args.join(" ").split("\n").forEach(l => this._output(l));
 	}
 
+	/**
+	 * Returns the runtime metrics of the Application.
+	 * Latencies are histograms {count, sum, buckets: {"5": count, ..., "+Inf": count}} in milliseconds, the buckets are cumulative.
+	 * @method
+	 * @param {string} format - "prometheus" to get Prometheus text format (optional)
+	 * @returns {Object|string} - {engine, connected, uptime, messages: {name: count}, notifications: {name: count}, handlers: {failed, late},
+	 * handler_latency, acknowledged, dispatched, dispatch_timeouts, dispatch_latency, queue, queue_dropped, reconnects, channels}
+	 * @example
+	 * let yate = new Yate({ host: "127.0.0.1", metrics_port: 9100 }); // curl http://127.0.0.1:9100/metrics
+	 * setInterval(() => console.log(yate.metrics().dispatch_latency), 60000);
+	 */
+	metrics(format) {
+		let metrics = {
+			engine: this._engine,
+			connected: this._connected,
+			uptime: Date.now() - this._metrics.started,
+			messages: Object.assign({}, this._metrics.messages),
+			notifications: Object.assign({}, this._metrics.notifications),
+			handlers: Object.assign({}, this._counters),
+			handler_latency: _histogramSnapshot(this._metrics.handler_latency),
+			acknowledged: this._metrics.acknowledged,
+			dispatched: this._metrics.dispatched,
+			dispatch_timeouts: this._metrics.timeouts,
+			dispatch_latency: _histogramSnapshot(this._metrics.dispatch_latency),
+			queue: this._queue.length,
+			queue_dropped: this._metrics.dropped,
+			reconnects: this._metrics.reconnects,
+			channels: this._channels.size + (typeof this._channel === "object" && this._channel.ready ? 1 : 0)
+		};
+		return format === "prometheus" ? _prometheus([metrics]) : metrics;
+	}
+
+	// local HTTP endpoint of Prometheus metrics
+	_listenMetrics() {
+		if (this._metrics_port === undefined || this._metricsServer) return;
+		this._metricsServer = _metricsServer(this._metrics_port, this._metrics_host, () => this.metrics("prometheus"),
+			error => this.output("next-yate metrics endpoint " + this._metrics_host + ":" + this._metrics_port + " error: " + error.message));
+	}
+
+	// engine.status handler, once for all reconnects
+	_installStatus() {
+		if (!this._status || this._engineStatus) return;
+		this._engineStatus = msg => _statusHandler(this, msg);
+		this.install(this._engineStatus, "engine.status");
+	}
+
 	// External module command flow reader
 	_read(line) {
+		let record;
+		try {
+			record = _parseLine(line);
+		} catch (error) {
+			this._protocolError(error);
+			return;
+		}
+		this._receive(record, line);
+	}
+
+	// the line is not understood, ParseError -> ProtocolError
+	_protocolError(error) {
+		if (this._debug) this.emit("_debug", "<-- " + error.line);
+		this._tracer.error("in", error.message, error.line);
+		this.emit("protocolError", new ProtocolError(error.message, { line: error.line, position: error.position }));
+	}
+
+	// parsed line
+	_receive(record, line) {
 		if (this._debug) this.emit("_debug", "<-- " + line);
-		let msg = _parseMessage(line);
+		this._tracer.trace("in", line, record);
+		let msg = _parseMessage(record, line, this._params, this._schemas);
 		msg._yate = this; // append link to parent Yate
+		msg._engine = this._engine; // the Engine the message came from
 		switch (msg._type) {
 			case "answer":
 				this.emit("_answer," + msg._id, msg); // _answer,id = dispatch result
 				break;
 			case "incoming":
-				// installed
+				this._metrics.messages[msg._name] = (this._metrics.messages[msg._name] || 0) + 1;
+				// installed, one by one in priority order until some handler returns true
 				// eslint-disable-next-line no-case-declarations
-				let promises = [];
-				this._installs.forEach(item => {
-					if (item.name === msg.name && typeof item.handler === "function") {
-						if (typeof item.filterName === "string" && typeof item.filterValue === "string") {
-							if (item.filterName in msg && RegExp(item.filterValue).test(msg[item.filterName])) {
-								promises.push(item.handler(msg));
-							}
-						} else {
-							promises.push(item.handler(msg));
-						}
-					}
-				});
-				if (promises.length > 0) {
-					Promise.all(promises)
-						.then(res => {
-							for (let i = 0; i < res.length; i++) {
-								if (typeof res[i] === "boolean" && res[i]) {
-									msg._handled = true;
-									break;
-								}
-							}
-							this._acknowledge(msg);
-						});
-				} else {
-					this._acknowledge(msg);
-				}
+				let deadline = Date.now() + _acknowledgeDeadline(this._acknowledge_timeout);
+				_handlersChain(this._installs, msg)
+					.reduce((chain, item) => chain.then(handled => {
+						if (handled || msg._acknowledged) return handled;
+						return this._runHandler(item, msg, deadline);
+					}), Promise.resolve(false))
+					.then(handled => {
+						if (handled) msg._handled = true;
+						this._acknowledge(msg);
+					});
 				break;
 			case "notification":
-				// watched
-				this._watches.forEach(item => {
-					if (item.name === msg.name && typeof item.handler === "function") {
-						if (typeof item.filterName === "string" && typeof item.filterValue === "string") {
-							if (item.filterName in msg && RegExp(item.filterValue).test(msg[item.filterName])) {
-								item.handler(msg);
-							}
-						} else {
-							item.handler(msg);
-						}
-					}
+				this._metrics.notifications[msg._name] = (this._metrics.notifications[msg._name] || 0) + 1;
+				// watched, the handler removed by the previous one (like chan.hangup cleanup of the channel) still gets the message
+				this._watches.filter(item => item.name === msg.name && typeof item.handler === "function" && _filterMatch(item, msg)).forEach(item => {
+					new Promise(resolve => resolve(item.handler(msg)))
+						.catch(error => {
+							this._counters.failed++;
+							this._handlerError(msg, error);
+						});
 				});
 				break;
 
@@ -1503,28 +3133,142 @@ class Yate extends EventEmitter {
 				break;
 
 			case "error":
+				// Error in: %%>message:<id>:... or %%>setlocal:<name>:...
+				// eslint-disable-next-line no-case-declarations
+				let failed = ("" + msg._retvalue).match(/^Error in: ?%%>(message|setlocal):([^:]*)/);
+				if (failed) {
+					let error = new ProtocolError("Engine did not understand " + failed[1] + " " + failed[2], { id: failed[2], line: msg._retvalue });
+					this.emit((failed[1] === "message" ? "_answer," : "_setlocal,") + failed[2], error);
+				}
 				this.emit("_error", msg._retvalue);
 		}
 	}
 
+	// sends the lines queued while disconnected, the commands go first
+	_flush() {
+		let entry;
+		for (let [key, line] of this._control) {
+			if (!this._connected) break;
+			this._control.delete(key);
+			this._write(line);
+		}
+		while (this._connected && (entry = this._queue.shift())) {
+			if (entry.output) this._output(entry.line);
+			else this._write(entry.line);
+		}
+	}
+
+	// offline queue refused the message
+	_overflowError(msg) {
+		return new QueueOverflowError("Offline queue is full. Message " + msg._name + " was not queued", { id: msg._id, size: this._queue.size });
+	}
+
+	// strict mode timeout
+	_timeoutError(what, id, start) {
+		let elapsed = Date.now() - start;
+		if (!this._connected) return new NotConnectedError("Not connected. " + what + " has not been answered", { id: id, elapsed: elapsed });
+		return new DispatchTimeoutError(what + " has not been answered in " + elapsed + "ms", { id: id, elapsed: elapsed });
+	}
+
+	/*
+	 * Runs the installed handler isolated from the others.
+	 * Resolves true if the handler returned true, false if it failed or was late.
+	 * The late handler's message is acknowledged with whatever state it has.
+	 */
+	_runHandler(item, msg, deadline) {
+		return new Promise(resolve => {
+			let settled = false;
+			let start = Date.now();
+			let timer = setTimeout(() => {
+				settled = true;
+				this._counters.late++;
+				msg._outcome = "late";
+				let error = new Error("Handler timeout of message " + msg._name);
+				error.timeout = true;
+				this._handlerError(msg, error);
+				this._acknowledge(msg);
+				resolve(false);
+			}, Math.max(0, Math.min(this._handler_timeout, deadline - Date.now())));
+
+			new Promise(res => res(item.handler(msg)))
+				.then(res => {
+					if (settled) return;
+					settled = true;
+					clearTimeout(timer);
+					_observe(this._metrics.handler_latency, Date.now() - start);
+					resolve(typeof res === "boolean" && res);
+				}, error => {
+					if (settled) return;
+					settled = true;
+					clearTimeout(timer);
+					_observe(this._metrics.handler_latency, Date.now() - start);
+					this._counters.failed++;
+					if (!msg._outcome) msg._outcome = "failed";
+					this._handlerError(msg, error);
+					resolve(false);
+				});
+		});
+	}
+
+	_handlerError(msg, error) {
+		if (this._debug) this.emit("_debug", "<Handler> " + msg._name + " " + error);
+		this.emit("handlerError", msg, error);
+	}
+
 	/*
 	 * External module protocol, direction application -> engine
 	 */
-	_write(line) {
-		if (line.length > this.bufsize) line = line.substr(0, this.bufsize); // trim the line to max buffer size
+	/*
+	 * Returns false if the offline queue refused the line,
+	 * ProtocolError if the line exceeds bufsize, it is not sent but reported with "protocolError" event
+	 * and as the answer of the message with options.id
+	 */
+	_write(line, options = {}) {
+		let size = Buffer.byteLength(line) + 1;
+		if (size > this._bufsize) {
+			let error = new ProtocolError("Line of " + size + " bytes exceeds bufsize " + this._bufsize, { line: line, id: options.id, bufsize: this._bufsize, outgoing: true });
+			this._tracer.error("out", error.message, line);
+			this.emit("protocolError", error);
+			if (options.id) this.emit("_answer," + options.id, error);
+			return error;
+		}
 		if (this._connected) {
 			if (this._debug) this.emit("_debug", "--> " + line);
+			this._tracer.trace("out", line, undefined, options.outcome ? { outcome: options.outcome } : undefined);
 			this.out.write(line.endsWith("\n") ? line : line + "\n");
-		} else {
-			// scheduled line
-			this.once("_connect", () => { this._write(line) });
+			return true;
+		}
+		if (_CONTROL.test(line)) {
+			this._keepControl(line);
+			return true;
 		}
+		return this._queue.push(line, options); // scheduled line
+	}
+
+	/*
+	 * Keeps the control line while disconnected, one line per message or setlocal name,
+	 * the latest line supersedes the previous one: uninstall supersedes install of the same message and so on.
+	 * The superseded install or watch of the message left without handlers is answered as failed,
+	 * the superseded uninstall or unwatch as successful, the others are answered by the Engine to the latest line.
+	 */
+	_keepControl(line) {
+		let record = _parseLine(line);
+		let command = record.keyword.replace(/^%%>(un)?/, "");
+		let key = command + "," + record.name + (command === "setlocal" && record.value === "" ? ",?" : ""); // the query keeps the change
+		let previous = this._control.get(key);
+		this._control.delete(key); // the latest goes last
+		this._control.set(key, line);
+		let superseded = previous && _parseLine(previous).keyword;
+		if (!superseded || superseded === record.keyword) return;
+		let handlers = command === "install" ? this._installs : this._watches;
+		if (superseded.startsWith("%%>un")) this.emit("_" + superseded.substr(3) + "," + record.name, true);
+		else if (!handlers.some(item => item && item.name === record.name)) this.emit("_" + command + "," + record.name, false);
 	}
 
 	// %%>connect:<role>[:<id>][:<type>]
 	_connect(role, id, type) {
 		if (role.match(/^(global|channel|play|record|playrec)$/))
-			this._write("%%>connect:" + role + (id ? ":" + _escape(id) : "") + (type ? ":" + _escape(type) : ""));
+			this._write(_formatLine({ keyword: "%%>connect", role: role, id: id || (type ? "" : undefined), type: type || undefined }));
 	}
 
 	// %%>output:arbitrary unescaped string
@@ -1533,9 +3277,9 @@ class Yate extends EventEmitter {
 		// use its own out.write without debug! loops
 		if (!this._connected) {
 			// scheduled command
-			this.once("_connect", () => { this._output(line) });
+			this._queue.push(line, { output: true });
 		} else {
-			this.out.write("%%>output:" + _unescape(line.endsWith("\n") ? line : line + "\n"));
+			this.out.write(_formatLine({ keyword: "%%>output", text: line }) + "\n");
 		}
 	}
 
@@ -1543,260 +3287,2176 @@ class Yate extends EventEmitter {
 	_acknowledge(msg) {
 		if (msg._type !== "incoming" || msg._acknowledged) return;
 		msg._acknowledged = true;
-		this._write("%%<message:" + _escape(msg._id) + ":" + _bool2str(msg._handled) + "::" + _escape(msg._retvalue) + _par2str(msg));
+		this._metrics.acknowledged++;
+		let outcome = msg._outcome === "late" ? "late" : msg._handled ? "handled" : msg._outcome || "unhandled";
+		let record = { keyword: "%%<message", id: msg._id, handled: msg._handled, name: "", retvalue: msg._retvalue, params: _msgParams(msg) };
+		if (!(this._write(_formatLine(record), { outcome: outcome }) instanceof Error)) return;
+		// the Engine waits for the answer anyway: without the changed parameters, then without the result
+		record.params = undefined;
+		if (!(this._write(_formatLine(record), { outcome: outcome }) instanceof Error)) return;
+		this._write(_formatLine({ keyword: "%%<message", id: msg._id, handled: false, name: "", retvalue: "" }), { outcome: "failed" });
 	}
 
 	// %%>setlocal:<name>:<value>
-	_setlocal(name, value) { this._write("%%>setlocal:" + name + ":" + _escape(value)) }
+	_setlocal(name, value) { this._write(_formatLine({ keyword: "%%>setlocal", name: name, value: value === undefined ? "" : value })) }
 
 	// %%>watch:<name>
-	_watch(name) { this._write("%%>watch:" + _escape(name)) }
+	_watch(name) { this._write(_formatLine({ keyword: "%%>watch", name: name })) }
+
+	/*
+	 * Adds / replaces the watch handler {name, handler, filterName, filterValue, owner}.
+	 * The handler of the library component {owner} is replaced only by the same owner and handler,
+	 * so several components and the script can watch the same message.
+	 */
+	_addWatch(entry) {
+		let watched = false;
+		let replace = -1;
+		let add = this._watches.length;
+		for (let i = 0; i < this._watches.length; i++) {
+			let item = this._watches[i];
+			if (!item) add = i;
+			if (item && item.name === entry.name) {
+				watched = true;
+				if (entry.owner ? item.owner === entry.owner && item.handler === entry.handler
+					: !item.owner && item.filterName === entry.filterName && item.filterValue === entry.filterValue) replace = i;
+			}
+		}
+
+		let idx = replace < 0 ? add : replace;
+		this._watches[idx] = entry;
+		if (!watched) {
+			// watch
+			this._watch(entry.name);
+			return new Promise(resolve => {
+				this.once("_watch," + entry.name, success => {
+					if (!success) delete this._watches[idx];
+					resolve(success);
+				});
+			});
+		} else {
+			return Promise.resolve(true);
+		}
+	}
 
 	// %%>unwatch:<name>
-	_unwatch(name) { this._write("%%>unwatch:" + _escape(name)) }
+	_unwatch(name) { this._write(_formatLine({ keyword: "%%>unwatch", name: name })) }
 
 	// %%>install:[<priority>]:<name>[:<filter-name>[:<filter-value>]]
 	_install(name, priority, filter, fvalue) {
 		priority = ("" + priority).match(/^\d+$/) ? priority : 100;
-        if (filter && fvalue)
-            this._write("%%>install:" + priority + ":" + _escape(name) + ":" + filter + ":" + fvalue);
-        else
-            this._write("%%>install:" + priority + ":" + _escape(name));
+		let filtered = filter && typeof fvalue === "string";
+		this._write(_formatLine({ keyword: "%%>install", priority: priority, name: name, filterName: filtered ? filter : undefined, filterValue: filtered ? fvalue : undefined }));
 	}
 
 	// %%>uninstall:<name>
-	_uninstall(name) { this._write("%%>uninstall:" + _escape(name)) }
+	_uninstall(name) { this._write(_formatLine({ keyword: "%%>uninstall", name: name })) }
 
 	// %%>message:<id>:<time>:<name>:<retvalue>[:<key>=<value>...]
-	_dispatch(msg) {
-		if (msg._type !== "outgoing") return;
-		this._write("%%>message:" + _escape(msg._id) + ":" + msg._time + ":" + _escape(msg._name) + ":" + _par2str(msg));
+	_dispatch(msg, ttl) {
+		if (msg._type !== "outgoing") return true;
+		return this._write(_formatLine({ keyword: "%%>message", id: msg._id, time: msg._time, name: msg._name, retvalue: msg._retvalue, params: _msgParams(msg) }), { id: msg._id, ttl: ttl });
 	}
 }
 
-/*
- * Dump stream to string.
- * Emits the event "dump" when dump is finished
+/**
+ * YatePool connects the Application to several Engines, for example primary and standby.
+ * The same installs, watches and setlocals are mirrored on every Engine.
+ * Outgoing messages are dispatched to the Engine chosen by mode:
+ * "failover" (default) - the first connected Engine in hosts order, "round-robin" - connected Engines in turn.
+ * Incoming messages are acknowledged to the Engine they came from, message._engine is its name.
+ * @class
+ * @param {Object} options - options of every Yate, see Yate (optional)
+ * @param {Array} options.hosts - Engines as "host:port" strings or {host, port, path, engine} objects (required)
+ * @param {string} options.mode - "failover" or "round-robin", default "failover"
+ * @fires YatePool#connecting - (attempt, yate)
+ * @fires YatePool#connected - (yate)
+ * @fires YatePool#disconnected - (reason, yate)
+ * @fires YatePool#reconnecting - (attempt, delay, yate)
+ * @fires YatePool#restored - (success, yate)
+ * @fires YatePool#handlerError - (message, error, yate)
+ * @example
+ * const {YatePool, YateMessage} = require("next-yate");
+ * let pool = new YatePool({ hosts: ["10.0.0.1:5040", "10.0.0.2:5040"], trackname: "router" });
+ * pool.on("disconnected", (reason, yate) => console.log(yate.engine, reason));
+ * pool.init();
+ * pool.install(message => {
+ *     console.log("call.route from", message._engine);
+ *     message.retValue("tone/ring");
+ *     return true;
+ * }, "call.route");
+ * pool.dispatch(new YateMessage("engine.status", { module: "sip" })); // to the primary or to the standby
+ * @see Yate
  */
-class DumpStream extends Writable {
-	constructor(options) {
-		super(options);
-	}
-	_write(chunk, encoding, callback) {
-		let dump = "";
-		dump += chunk;
-		callback();
-		this.emit("dump", dump);
+class YatePool extends EventEmitter {
+	constructor(options = {}) {
+		super();
+		if (!Array.isArray(options.hosts) || !options.hosts.length)
+			throw new Error("YatePool arguments error. Hosts are required.");
+		this._mode = options.mode === "round-robin" ? "round-robin" : "failover";
+		this._next = 0;
+		this._metrics_port = typeof options.metrics_port == "number" ? options.metrics_port : undefined;
+		this._metrics_host = typeof options.metrics_host == "string" ? options.metrics_host : _METRICS_HOST;
+		this._metricsServer = null;
+		this._engines = options.hosts.map(host => {
+			let yate = new Yate(Object.assign({}, options, { metrics_port: undefined }, _hostOptions(host))); // one endpoint of the pool
+			["connecting", "connected", "disconnected", "reconnecting", "restored", "handlerError"].forEach(event => {
+				yate.on(event, (...args) => this.emit(event, ...args, yate));
+			});
+			return yate;
+		});
 	}
-}
 
-/*
- * External module protocol, direction application <- engine.
- * https://docs.yate.ro/wiki/External_module_command_flow
- */
-function _parseMessage(str) {
-	let arg = str.split(":");
-	let params = {};
-	switch (arg[0]) {
-		case "%%>message": // %%>message:<id>:<time>:<name>:<retvalue>[:<key>=<value>...]
-			params._id = arg[1];
-			params._time = arg[2];
-			params._name = arg[3];
-			params._retvalue = _unescape(arg[4]);
-			params._type = "incoming";
-			params._acknowledged = false;
-			break;
-		case "%%<message": // %%<message:<id>:<processed>:[<name>]:<retvalue>[:<key>=<value>...]
-			params._id = arg[1];
-			params._handled = _str2bool(arg[2]);
-			params._name = arg[3];
-			params._retvalue = _unescape(arg[4]);
-			params._type = params._id ? "answer" : "notification";
-			break;
-		case "%%<install": // %%<install:<priority>:<name>:<success>
-			params._priority = arg[1];
-			params._name = arg[2];
-			params._success = _str2bool(arg[3]);
-			params._type = "install";
-			break;
-		case "%%<uninstall": // %%<uninstall:<priority>:<name>:<success>
-			params._priority = arg[1];
-			params._name = arg[2];
-			params._success = arg[3];
-			params._type = "uninstall";
-			break;
-		case "%%<watch": // %%<watch:<name>:<success>
-			params._name = arg[1];
-			params._success = _str2bool(arg[2]);
-			params._type = "watch";
-			break;
-		case "%%<unwatch": // %%<watch:<name>:<success>
-			params._name = arg[1];
-			params._success = _str2bool(arg[2]);
-			params._type = "unwatch";
-			break;
-		case "%%<setlocal": // %%<setlocal:<name>:<value>:<success>
-			params._name = arg[1];
-			params._retvalue = _unescape(arg[2]);
-			params._success = _str2bool(arg[3]);
-			params._type = "setlocal";
-			break;
-		case "Error in":
-		default:
-			params._name = "error";
-			params._type = "error";
-			params._retvalue = str;
-	}
-	// message param parser
-	if (
-		params._type === "incoming" ||
-		params._type === "answer" ||
-		params._type === "notification"
-	) {
-		let par = arg.slice(5);
-		for (let i = 0; i < par.length; i++) {
-			let pos = par[i].indexOf("=");
-			if (pos > 0) {
-				let key = par[i].substr(0, pos);
-				params[_unescape(key)] = _unescape(par[i].substr(pos + 1));
-			}
+	get engines() { return this._engines.slice() }
+	set engines(value) {} // readonly
+	get mode() { return this._mode }
+	set mode(value) { if (value === "failover" || value === "round-robin") this._mode = value }
+	get connected() { return this._engines.some(yate => yate.connected) }
+	set connected(value) {} // readonly
+
+	/**
+	 * Connects all Engines of the pool
+	 * @method
+	 * @param {function} callback - callback will executed once after the first Engine is connected
+	 * @returns {Promise} - resolve(true) when the first Engine is connected, resolve(false) when every Engine has failed the first attempt,
+	 * the Engines keep reconnecting if reconnect option is true
+	 * @async
+	 */
+	init(callback) {
+		if (this._metrics_port !== undefined && !this._metricsServer) {
+			this._metricsServer = _metricsServer(this._metrics_port, this._metrics_host, () => this.metrics("prometheus"),
+				error => this.engine().output("next-yate metrics endpoint " + this._metrics_host + ":" + this._metrics_port + " error: " + error.message));
 		}
-		// parent.child -> parent { child }
-		params = _str2obj(params);
+		return new Promise(resolve => {
+			let failed = new Set();
+			let listeners = new Map(); // yate -> "reconnecting" listener, the first retry means the first attempt failed
+			let finish = success => {
+				if (!listeners.size) return; // resolved
+				listeners.forEach((listener, yate) => yate.removeListener("reconnecting", listener));
+				listeners.clear();
+				if (success && typeof callback === "function") callback(); // <-- callback
+				resolve(success);
+			};
+			let fail = yate => {
+				failed.add(yate);
+				if (failed.size === this._engines.length) finish(false);
+			};
+			this._engines.forEach(yate => {
+				let listener = () => fail(yate);
+				listeners.set(yate, listener);
+				yate.on("reconnecting", listener);
+			});
+			this._engines.forEach(yate => {
+				yate.init().then(success => success || yate.connected ? finish(true) : fail(yate));
+			});
+		});
 	}
-	return new YateMessage(params._name, params);
-}
 
-/*
- * Every command is sent on its own newline (\n, ^J, decimal 10) delimited line.
- * Any value that contains special characters (ASCII code lower than 32) MUST have them converted to %<upcode>
- * where <upcode> is the character with a numeric value equal with 64 + original ASCII code.
- * The % character itself MUST be converted to a special %% representation.
- * Characters with codes higher than 32 (except %) SHOULD not be escaped but may be so.
- * A %-escaped code may be received instead of an unescaped character anywhere except in the initial keyword or the delimiting colon (:) characters.
- * Anywhere in the line except the initial keyword a % character not followed by a character with a numeric value higher than 64 (40H, 0x40, "@") or another % is an error.
- */
-function _escape(str, extra) {
-	if (str === undefined || str === null) return "";
-	str = str + ""; // all to string
-	let res = "";
-	for (let i = 0; i < str.length; i++) {
-		let chr = str.charAt(i);
-		if (chr.charCodeAt(0) < 32 || chr === ":" || chr === extra) {
-			chr = String.fromCharCode(chr.charCodeAt(0) + 64);
-			res += "%";
-		} else if (chr === "%") {
-			res += chr;
-		}
-		res += chr;
+	/**
+	 * Closes the metrics endpoint of the pool
+	 * @method
+	 * @returns {Promise}
+	 * @async
+	 */
+	close() {
+		let server = this._metricsServer;
+		this._metricsServer = null;
+		if (!server) return Promise.resolve();
+		return new Promise(resolve => server.close(() => resolve()));
 	}
-	return res;
-}
 
-function _unescape(str) {
-	let res = "";
-	for (let i = 0; i < str.length; i++) {
-		let chr = str.charAt(i);
-		if (chr === "%") {
-			i++;
-			chr = str.charAt(i);
-			if (chr !== "%") chr = String.fromCharCode(chr.charCodeAt(0) - 64);
-		}
-		res += chr;
+	/**
+	 * Chooses the Engine for the next outgoing message.
+	 * If no Engine is connected the first one is chosen and the message waits in its offline queue.
+	 * @method
+	 * @returns {Yate}
+	 */
+	engine() {
+		let connected = this._engines.filter(yate => yate.connected);
+		if (!connected.length) return this._engines[0];
+		if (this._mode === "failover") return connected[0];
+		return connected[this._next++ % connected.length];
 	}
-	return res;
-}
 
-// false -> "false"
-function _bool2str(bool) {
-	return bool ? "true" : "false";
-}
+	/**
+	 * Dispatches the Message in the chosen Engine
+	 * @method
+	 * @see Yate#dispatch
+	 */
+	dispatch(msg, options) { return this.engine().dispatch(msg, options) }
 
-// "true" -> true
-function _str2bool(str) {
-	return str === "true";
-}
+	/**
+	 * Enqueues the Message in the chosen Engine
+	 * @method
+	 * @see Yate#enqueue
+	 */
+	enqueue(msg, options) { return this.engine().enqueue(msg, options) }
 
-// stringify message params
-function _par2str(msg, empty = false) {
-	msg = _obj2str(msg);
-	let res = "";
-	for (let key in msg) {
-		if (
-			("" + key).charAt(0) === "_" ||
-			typeof msg[key] === "object" ||
-			typeof msg[key] === "function"
-		)
-			continue;
-		let val = msg[key].toString();
-		if (val) {
-			res += ":" + _escape(key) + "=" + _escape(val);
-		} else if (empty) {
-			res += ":" + _escape(key);
-		}
-	}
-	return res;
-}
+	/**
+	 * Runs SQL query on the chosen Engine
+	 * @method
+	 * @see Yate#query
+	 */
+	query(account, sql, params, options) { return this.engine().query(account, sql, params, options) }
 
-// stringify object
-function _obj2str(obj, rootkey) {
-	let res = {};
-	let pref = rootkey ? rootkey + "." : "";
-	for (let key in obj) {
-		if (("" + key).charAt(0) === "_") continue;
-		if (typeof obj[key] === "function") continue;
-		if (typeof obj[key] === "undefined") continue;
-		if (typeof obj[key] === "object") {
-			let subobj = _obj2str(obj[key], key);
-			for (let subkey in subobj) {
-				res[pref + subkey] = subobj[subkey];
-			}
-		} else {
-			let val = obj[key].toString();
-			if (rootkey === key) {
-				res[key] = val;
-			} else {
-				res[pref + key] = val;
-			}
-		}
-	}
-	return res;
-}
+	/**
+	 * Requests the status of the chosen Engine modules
+	 * @method
+	 * @see Yate#status
+	 */
+	status(module, options) { return this.engine().status(module, options) }
 
-// parent.child -> parent: { child }
-function _str2obj(obj) {
-	let res = {};
-	for (let key in obj) {
-		let val = obj[key];
-		if (val === "false") {
-			val = false;
-		} else if (val === "true") {
-			val = true;
-		}
-		if (key.indexOf(".")) {
-			key.split(".").reduce((object, key, index, arr) => {
-				if (index === arr.length - 1) {
-					if (typeof object === "object" && key in object) {
-						object[key][key] = val;
-					} else {
-						object[key] = val;
-					}
-				} else {
-					if (typeof object === "object" && key in object) {
-						if (typeof object[key] !== "object") {
-							object[key] = { [key]: object[key] };
-						}
-					} else {
-						object[key] = {};
-					}
-				}
-				return object[key];
-			}, res);
-		} else {
-			res[key] = val;
-		}
+	/**
+	 * Returns the metrics of every Engine
+	 * @method
+	 * @param {string} format - "prometheus" to get Prometheus text format of all Engines labeled by engine (optional)
+	 * @returns {Array|string} - Array of the metrics in hosts order
+	 * @see Yate#metrics
+	 */
+	metrics(format) {
+		let list = this._engines.map(yate => yate.metrics());
+		return format === "prometheus" ? _prometheus(list) : list;
 	}
-	return res;
+
+	/**
+	 * Output data to the log of the chosen Engine
+	 * @method
+	 * @see Yate#output
+	 */
+	output(...args) { this.engine().output(...args) }
+
+	/**
+	 * Sets the handler on every Engine
+	 * @method
+	 * @returns {Promise} - resolve(true) if all Engines installed the handler
+	 * @see Yate#install
+	 */
+	install(...args) { return this._mirror("install", args).then(res => res.every(success => success)) }
+
+	/**
+	 * Removes the handler on every Engine
+	 * @method
+	 * @returns {Promise} - resolve(true) if all Engines uninstalled the message
+	 * @see Yate#uninstall
+	 */
+	uninstall(...args) { return this._mirror("uninstall", args).then(res => res.every(success => success)) }
+
+	/**
+	 * Sets the watch handler on every Engine
+	 * @method
+	 * @returns {Promise} - resolve(true) if all Engines watch the message
+	 * @see Yate#watch
+	 */
+	watch(...args) { return this._mirror("watch", args).then(res => res.every(success => success)) }
+
+	/**
+	 * Removes the watch handler on every Engine
+	 * @method
+	 * @returns {Promise} - resolve(true) if all Engines unwatched the message
+	 * @see Yate#unwatch
+	 */
+	unwatch(...args) { return this._mirror("unwatch", args).then(res => res.every(success => success)) }
+
+	/**
+	 * Adds the rmanager command on every Engine
+	 * @method
+	 * @returns {Promise} - resolve(true) if all Engines installed the command handlers
+	 * @see Yate#command
+	 */
+	command(...args) { return this._mirror("command", args).then(res => res.every(success => success)) }
+
+	/**
+	 * Sets the local parameter on every Engine
+	 * @method
+	 * @returns {Promise} - resolve(Array) of the values in hosts order
+	 * @see Yate#setlocal
+	 */
+	setlocal(...args) { return this._mirror("setlocal", args) }
+
+	// calls the method of every Yate
+	_mirror(method, args) {
+		return Promise.all(this._engines.map(yate => yate[method](...args)));
+	}
+}
+
+/**
+ * ChannelRegistry keeps the live map of every channel of the Engine.
+ * It watches chan.startup, call.ringing, call.answered, chan.disconnected and chan.hangup,
+ * and resyncs the channels from engine.status details after init() and after every reconnect.
+ * Channel is {id, peerid, module, caller, called, direction, status, address, billid, reason, started, answered} where times are in milliseconds,
+ * the channels found by resync have only id, peerid, module, status and address.
+ * @class
+ * @param {Yate} yate - Yate instance (required)
+ * @fires ChannelRegistry#add - (channel) new channel
+ * @fires ChannelRegistry#update - (channel, changes) channel status or parameters changed, changes is {key: old value}
+ * @fires ChannelRegistry#remove - (channel, reason) channel hung up or missing on resync
+ * @fires ChannelRegistry#resync - (channels) Array of channels after resync
+ * @example
+ * const { Yate, ChannelRegistry } = require("next-yate");
+ * let yate = new Yate({ host: "127.0.0.1" });
+ * let registry = new ChannelRegistry(yate);
+ * yate.init(() => registry.init());
+ * registry.on("update", (chan, changes) => { if (changes.status) console.log(chan.id, changes.status, "->", chan.status) });
+ * console.log(registry.byStatus("answered").length, "calls in progress");
+ */
+class ChannelRegistry extends EventEmitter {
+	constructor(yate) {
+		if (!(yate instanceof Yate)) throw new Error("ChannelRegistry arguments error. Yate required.");
+		super();
+		this._yate = yate;
+		this._channels = new Map(); // id -> channel
+		this._handlers = {
+			"chan.startup": msg => this._startup(msg),
+			"call.ringing": msg => this._update(msg, { status: "ringing" }),
+			"call.answered": msg => this._update(msg, { status: "answered", answered: Date.now() }),
+			"chan.disconnected": msg => this._update(msg, { status: "disconnected", reason: _registryParam(msg, "reason") }),
+			"chan.hangup": msg => this._hangup(msg)
+		};
+		this._restored = success => { if (success) this.resync() };
+		this._running = false;
+		this._resyncs = new Set(); // Maps of the channels changed by messages while engine.status is pending: id -> hung up
+	}
+
+	get size() { return this._channels.size }
+	set size(value) {} // readonly
+
+	/**
+	 * Starts watching the channels and resyncs them
+	 * @method
+	 * @returns {Promise} - resolve(true) if all messages are watched
+	 * @async
+	 */
+	init() {
+		if (!this._running) {
+			this._running = true;
+			this._yate.on("restored", this._restored);
+		}
+		// owned by the registry, the watches of the script and of other registries stay intact
+		return Promise.all(Object.keys(this._handlers).map(name => this._yate.watch(this._handlers[name], name, { owner: this })))
+			.then(res => this.resync().then(() => res.every(success => success)));
+	}
+
+	/**
+	 * Stops watching and clears the registry
+	 * @method
+	 * @returns {Promise}
+	 * @async
+	 */
+	close() {
+		this._running = false;
+		this._yate.removeListener("restored", this._restored);
+		this._channels.clear();
+		return Promise.all(Object.keys(this._handlers).map(name => this._yate.unwatch(this._handlers[name], name)));
+	}
+
+	/**
+	 * Reloads the channels from engine.status details of the channel modules.
+	 * Missing channels are removed with reason "resync", new channels are added.
+	 * The channels started, updated or hung up while engine.status was pending keep the state of their messages.
+	 * @method
+	 * @returns {Promise} - resolve(Array) of channels, resolve(false) if the Engine did not answer
+	 * @async
+	 */
+	resync() {
+		let changed = new Map();
+		this._resyncs.add(changed);
+		return this._yate.status({ details: true })
+			.then(modules => {
+				this._resyncs.delete(changed);
+				let found = new Map();
+				modules.forEach(module => {
+					if (!module.format || !module.format.includes("Status")) return;
+					module.details.forEach(row => {
+						if (("" + row.id).indexOf("/") < 0) return;
+						found.set(row.id, { id: row.id, module: module.name, status: row.Status, address: row.Address, peerid: row.Peer || undefined });
+					});
+				});
+				if (!modules.length) return false; // not answered
+				this._channels.forEach(chan => { if (!found.has(chan.id) && !changed.has(chan.id)) this._remove(chan.id, "resync") });
+				found.forEach(item => {
+					if (this._channels.has(item.id)) {
+						if (!changed.has(item.id)) this._set(this._channels.get(item.id), { status: item.status, peerid: item.peerid });
+					} else if (!changed.get(item.id)) {
+						this._add(item);
+					}
+				});
+				let list = this.list();
+				this.emit("resync", list);
+				return list;
+			}, () => {
+				this._resyncs.delete(changed);
+				return false;
+			});
+	}
+
+	/**
+	 * @method
+	 * @param {string} id - channel id like "sip/1"
+	 * @returns {Object} - channel or undefined
+	 */
+	get(id) { return this._channels.get(id) }
+
+	/**
+	 * @method
+	 * @param {function} filter - function(channel) returning true for the channels to return (optional)
+	 * @returns {Array} - channels
+	 */
+	list(filter) {
+		let list = Array.from(this._channels.values());
+		return typeof filter === "function" ? list.filter(filter) : list;
+	}
+
+	/**
+	 * @method
+	 * @param {string} billid
+	 * @returns {Array} - channels of the call
+	 */
+	byBillid(billid) { return this.list(chan => chan.billid === billid) }
+
+	/**
+	 * @method
+	 * @param {string} caller
+	 * @returns {Array} - channels of the caller
+	 */
+	byCaller(caller) { return this.list(chan => chan.caller === caller) }
+
+	/**
+	 * @method
+	 * @param {string} status - like "answered"
+	 * @returns {Array} - channels with the status
+	 */
+	byStatus(status) { return this.list(chan => chan.status === status) }
+
+	_startup(msg) {
+		let id = _registryParam(msg, "id");
+		let chan = {
+			id: id,
+			peerid: _registryParam(msg, "peerid"),
+			module: _registryParam(msg, "module") || id.split("/")[0],
+			caller: _registryParam(msg, "caller"),
+			called: _registryParam(msg, "called"),
+			direction: _registryParam(msg, "direction"),
+			status: _registryParam(msg, "status") || "startup",
+			address: _registryParam(msg, "address"),
+			billid: _registryParam(msg, "billid"),
+			started: Date.now()
+		};
+		this._changed(id);
+		if (this._channels.has(id)) this._set(this._channels.get(id), chan);
+		else this._add(chan);
+	}
+
+	_update(msg, changes) {
+		let id = _registryParam(msg, "id");
+		this._changed(id);
+		let chan = this._channels.get(id);
+		if (!chan) return;
+		["peerid", "billid", "caller", "called"].forEach(key => {
+			let value = _registryParam(msg, key);
+			if (value !== undefined && chan[key] === undefined) changes[key] = value;
+		});
+		if (!changes.peerid && _registryParam(msg, "targetid")) changes.peerid = _registryParam(msg, "targetid");
+		this._set(chan, changes);
+	}
+
+	_hangup(msg) {
+		let id = _registryParam(msg, "id");
+		this._changed(id, true);
+		this._remove(id, _registryParam(msg, "reason") || "hangup");
+	}
+
+	// the pending resyncs keep the state of the message, do not add the channel hung up
+	_changed(id, hangup) {
+		this._resyncs.forEach(changed => changed.set(id, !!hangup));
+	}
+
+	_add(chan) {
+		for (let key in chan) if (chan[key] === undefined) delete chan[key];
+		this._channels.set(chan.id, chan);
+		this.emit("add", chan);
+	}
+
+	_set(chan, values) {
+		let changes = {};
+		for (let key in values) {
+			if (values[key] === undefined || values[key] === chan[key]) continue;
+			changes[key] = chan[key];
+			chan[key] = values[key];
+		}
+		if (Object.keys(changes).length) this.emit("update", chan, changes);
+	}
+
+	_remove(id, reason) {
+		let chan = this._channels.get(id);
+		if (!chan) return;
+		this._channels.delete(id);
+		this.emit("remove", chan, reason);
+	}
+}
+
+/**
+ * CdrCollector assembles the call records from call.cdr operations of all legs with the same billid
+ * and writes the finalized record to the sinks: CSV or JSONL file with rotation, or callback.
+ * The record is the parameters of the incoming leg (or the first one) with the legs Array, billid,
+ * the earliest time and the longest duration, billtime and ringtime in seconds, incomplete: true if the call timed out.
+ * The sink row is made by the fields mapping {column: parameter name | function(record)} or Array of parameter names.
+ * Every call.cdr is appended to the journal file and replayed by init() after restart,
+ * so the record is written at least once. The journal is appended asynchronously in batches synced to disk,
+ * the crash of the process or host loses at most the last batch which was not synced yet. The failed sinks are retried every minute and after restart,
+ * the journal keeps which sinks (by their index) already got the record, so they do not get it twice.
+ * @class
+ * @param {Yate} yate - Yate instance (required)
+ * @param {Object} options - (optional)
+ * @param {Array|Object|function} options.sinks - callback function(row, record) returning Promise or {type: "csv"|"jsonl", file, fields, separator, maxSize, maxFiles}, maxSize default 10 MB, maxFiles default 5
+ * @param {Object|Array} options.fields - default fields of the sinks, default billid, time (ISO), caller, called, address, direction, status, reason, duration, billtime, ringtime, legs (count)
+ * @param {string} options.journal - journal file name, default undefined - no journal
+ * @param {number} options.delay - ms to wait for the other legs after all known legs are finalized, default 1000
+ * @param {number} options.timeout - ms without call.cdr of the call to write it as incomplete, 0 - never, default 6 hours
+ * @fires CdrCollector#record - (record) the record is finalized
+ * @fires CdrCollector#error - (error) sink or journal failed, emitted only if listened
+ * @example
+ * const { Yate, CdrCollector } = require("next-yate");
+ * let yate = new Yate({ host: "127.0.0.1" });
+ * let cdr = new CdrCollector(yate, {
+ *     journal: "/var/lib/billing/cdr.journal",
+ *     sinks: [
+ *         { type: "csv", file: "/var/lib/billing/cdr.csv" },
+ *         (row, record) => db.insert("cdr", row)
+ *     ],
+ *     fields: { id: "billid", from: "caller", to: "called", seconds: record => Math.round(record.billtime) }
+ * });
+ * yate.init(() => cdr.init());
+ */
+class CdrCollector extends EventEmitter {
+	constructor(yate, options = {}) {
+		if (!(yate instanceof Yate)) throw new Error("CdrCollector arguments error. Yate required.");
+		super();
+		this._yate = yate;
+		this._sinks = (Array.isArray(options.sinks) ? options.sinks : options.sinks ? [options.sinks] : []).map(_cdrSink);
+		this._fields = options.fields && typeof options.fields === "object" ? options.fields : _CDR_FIELDS;
+		this._journal = typeof options.journal == "string" ? options.journal : undefined;
+		this._delay = (typeof options.delay == "number" && options.delay >= 0) ? options.delay : _CDR_DELAY;
+		this._timeout = (typeof options.timeout == "number" && options.timeout >= 0) ? options.timeout : _CDR_TIMEOUT;
+		this._calls = new Map(); // billid -> {billid, legs: Map(chan -> params), finalized: Set(chan), delivered: Set(sink index), updated, timer}
+		this._delivering = 0;
+		this._undelivered = new Map(); // billid -> {record, delivered: Set(sink index)} of the failed sinks to retry
+		this._output = this._journal ? new AppendFile(this._journal, {}, error => this._failed(error)) : null;
+		this._sinks.forEach(sink => {
+			if (sink.file) sink.output = new AppendFile(sink.file, sink, error => this._failed(error));
+		});
+		this._handler = msg => this._operation(Object.assign({}, msg._raw || _msgParams(msg)), true); // "time" parameter is the message time
+		this._timer = null;
+	}
+
+	get size() { return this._calls.size }
+	set size(value) {} // readonly
+
+	/**
+	 * Replays the journal and starts watching call.cdr
+	 * @method
+	 * @returns {Promise} - resolve(true) if call.cdr is watched
+	 * @async
+	 */
+	init() {
+		if (this._journal && existsSync(this._journal)) {
+			readFileSync(this._journal, "utf8").split("\n").forEach(line => {
+				let entry;
+				try {
+					entry = JSON.parse(line);
+				} catch (error) {
+					return; // empty or torn by the crash
+				}
+				if (entry.done) this._forget(entry.done);
+				else if (entry.delivered) this._delivered(entry.delivered, entry.sinks);
+				else this._operation(entry, false);
+			});
+			this._compact();
+			this._output.close(); // the next line goes to the compacted journal
+		}
+		if (!this._timer) {
+			this._timer = setInterval(() => {
+				if (this._timeout) this._expire();
+				this._retry();
+			}, this._timeout ? Math.min(this._timeout, _CDR_CHECK) : _CDR_CHECK);
+			this._timer.unref();
+		}
+		// owned by the collector, the watch of the script and of other collectors stay intact
+		return this._yate.watch(this._handler, "call.cdr", { owner: this });
+	}
+
+	/**
+	 * Stops watching, writes the calls waiting for the other legs.
+	 * The calls in progress stay in the journal.
+	 * @method
+	 * @returns {Promise}
+	 * @async
+	 */
+	close() {
+		clearInterval(this._timer);
+		this._timer = null;
+		let finalized = [];
+		this._calls.forEach(call => {
+			clearTimeout(call.timer);
+			if (call.finalized.size === call.legs.size) finalized.push(this._finalize(call));
+		});
+		return Promise.all(finalized.concat(this._yate.unwatch(this._handler, "call.cdr")))
+			.then(() => Promise.all(this._sinks.filter(sink => sink.output).map(sink => sink.output.close())
+				.concat(this._output ? this._output.close() : [])));
+	}
+
+	_operation(params, live) {
+		let chan = params.chan || params.cdrid;
+		let billid = params.billid || chan;
+		if (!billid) return;
+		if (live) this._append(params);
+		let call = this._calls.get(billid);
+		if (!call) {
+			call = { billid: billid, legs: new Map(), finalized: new Set(), delivered: new Set(), updated: 0, timer: null };
+			this._calls.set(billid, call);
+		}
+		call.updated = Date.now();
+		let leg = Object.assign(call.legs.get(chan) || {}, params);
+		delete leg.operation;
+		call.legs.set(chan, leg);
+		if (!params.operation || params.operation === "finalize") call.finalized.add(chan);
+		clearTimeout(call.timer);
+		call.timer = call.finalized.size === call.legs.size ? setTimeout(() => this._finalize(call), this._delay) : null;
+	}
+
+	_forget(billid) {
+		let call = this._calls.get(billid);
+		if (call) clearTimeout(call.timer);
+		this._calls.delete(billid);
+	}
+
+	_expire() {
+		let now = Date.now();
+		this._calls.forEach(call => { if (now - call.updated >= this._timeout) this._finalize(call, true) });
+	}
+
+	// replayed sinks that already got the record
+	_delivered(billid, sinks) {
+		let call = this._calls.get(billid);
+		if (call && Array.isArray(sinks)) sinks.forEach(index => call.delivered.add(index));
+	}
+
+	_finalize(call, incomplete) {
+		this._forget(call.billid);
+		let record = _cdrRecord(call, incomplete);
+		this.emit("record", record);
+		return this._distribute(call.billid, record, call.delivered).then(() => record);
+	}
+
+	// delivers the record to the sinks that did not get it yet, the failed sinks wait for _retry()
+	_distribute(billid, record, delivered) {
+		this._delivering++;
+		let pending = this._sinks.map((sink, index) => index).filter(index => !delivered.has(index));
+		return Promise.all(pending.map(index => new Promise(resolve => resolve(this._deliver(this._sinks[index], record)))
+			.then(() => delivered.add(index), error => this._failed(error))))
+			.then(() => {
+				this._delivering--;
+				if (delivered.size < this._sinks.length) {
+					this._undelivered.set(billid, { record: record, delivered: delivered });
+					if (delivered.size) this._append({ delivered: billid, sinks: Array.from(delivered) });
+				} else {
+					this._undelivered.delete(billid);
+					this._done(billid);
+				}
+			});
+	}
+
+	_retry() {
+		this._undelivered.forEach((item, billid) => {
+			this._undelivered.delete(billid);
+			this._distribute(billid, item.record, item.delivered);
+		});
+	}
+
+	_deliver(sink, record) {
+		let row = _cdrRow(record, sink.fields || this._fields);
+		if (sink.callback) return sink.callback(row, record);
+		let columns = Object.keys(row);
+		if (sink.type === "jsonl") return sink.output.append(JSON.stringify(row) + "\n");
+		return sink.output.append(_csvLine(columns.map(column => row[column]), sink.separator), _csvLine(columns, sink.separator));
+	}
+
+	_append(entry) {
+		if (this._output) this._output.append(JSON.stringify(entry) + "\n").catch(error => this._failed(error));
+	}
+
+	// marks the record written, the journal is emptied when nothing is left
+	_done(billid) {
+		if (!this._output) return;
+		if (!this._calls.size && !this._delivering && !this._undelivered.size) this._output.truncate().catch(error => this._failed(error));
+		else this._append({ done: billid });
+	}
+
+	// rewrites the journal with the calls in progress and their delivered sinks only
+	_compact() {
+		let lines = "";
+		this._calls.forEach(call => {
+			call.legs.forEach(leg => {
+				let params = Object.assign({}, leg);
+				if (!call.finalized.has(leg.chan || leg.cdrid)) params.operation = "update";
+				lines += JSON.stringify(params) + "\n";
+			});
+			if (call.delivered.size) lines += JSON.stringify({ delivered: call.billid, sinks: Array.from(call.delivered) }) + "\n";
+		});
+		try {
+			writeFileSync(this._journal + ".tmp", lines);
+			renameSync(this._journal + ".tmp", this._journal);
+		} catch (error) {
+			this._failed(error);
+		}
+	}
+
+	// sink and journal errors are reported only if someone listens
+	_failed(error) {
+		if (this.listenerCount("error")) this.emit("error", error);
+	}
+}
+
+/*
+ * Appends the data to the file through one descriptor without blocking,
+ * the data appended while the previous batch is written goes to the disk at once.
+ * options {maxSize, maxFiles} rotate the file, onError(error) reports the failed rotation.
+ */
+class AppendFile {
+	constructor(file, options, onError) {
+		this._file = file;
+		this._maxSize = options.maxSize || Infinity;
+		this._maxFiles = options.maxFiles;
+		this._onError = onError;
+		this._fd = null;
+		this._size = 0;
+		this._batch = []; // {data, header, truncate, resolve, reject}
+		this._busy = false;
+	}
+
+	// resolve() when the data is flushed to the disk, the header goes first to the empty file
+	append(data, header) {
+		return new Promise((resolve, reject) => this._push({ data: data, header: header, resolve: resolve, reject: reject }));
+	}
+
+	// empties the file, the data appended before is dropped
+	truncate() {
+		return new Promise((resolve, reject) => this._push({ data: "", truncate: true, resolve: resolve, reject: reject }));
+	}
+
+	// resolve() when the appended data is written and the descriptor is closed
+	close() {
+		return new Promise(resolve => this._push({ data: "", close: true, resolve: resolve }));
+	}
+
+	_push(item) {
+		this._batch.push(item);
+		if (!this._busy) this._write();
+	}
+
+	_write() {
+		let batch = this._batch;
+		if (!batch.length) return;
+		this._batch = [];
+		this._busy = true;
+		let done = error => {
+			this._busy = false;
+			batch.forEach(item => error && item.reject ? item.reject(error) : item.resolve());
+			this._write();
+		};
+		let start = batch.map(item => !!item.truncate).lastIndexOf(true) + 1;
+		let items = batch.slice(start).filter(item => item.data);
+		let closing = batch.some(item => item.close);
+		if (!start && !items.length) return closing ? this._close(done) : done();
+		this._open(error => {
+			if (error) return done(error);
+			let write = () => {
+				let data = items.map(item => item.data).join("");
+				if (!this._size && items.length && items[0].header) data = items[0].header + data;
+				if (!data) return closing ? this._close(done) : done();
+				appendFile(this._fd, data, error => {
+					if (error) return done(error);
+					this._size += Buffer.byteLength(data);
+					fsync(this._fd, error => {
+						if (error) return done(error);
+						if (closing) return this._close(done);
+						if (this._size < this._maxSize) return done();
+						this._close(() => _rotate(this._file, this._maxFiles, error => {
+							if (error) this._onError(error); // the data is written anyway
+							done();
+						}));
+					});
+				});
+			};
+			if (!start) return write();
+			ftruncate(this._fd, 0, error => {
+				if (error) return done(error);
+				this._size = 0;
+				write();
+			});
+		});
+	}
+
+	_open(callback) {
+		if (this._fd !== null) return callback();
+		open(this._file, "a", (error, fd) => {
+			if (error) return callback(error);
+			fstat(fd, (error, stats) => {
+				if (error) return close(fd, () => callback(error));
+				this._fd = fd;
+				this._size = stats.size;
+				callback();
+			});
+		});
+	}
+
+	_close(callback) {
+		let fd = this._fd;
+		this._fd = null;
+		if (fd === null) return callback();
+		close(fd, () => callback());
+	}
+}
+
+/*
+ * Dump stream to string.
+ * Emits the event "dump" when dump is finished
+ */
+class DumpStream extends Writable {
+	constructor(options) {
+		super(options);
+	}
+	_write(chunk, encoding, callback) {
+		let dump = "";
+		dump += chunk;
+		callback();
+		this.emit("dump", dump);
+	}
+}
+
+/*
+ * Handlers of the incoming message sorted by priority.
+ */
+function _handlersChain(installs, msg) {
+	let chain = [];
+	installs.forEach((item, idx) => {
+		if (item && item.name === msg.name && typeof item.handler === "function" && _filterMatch(item, msg)) chain.push({ item: item, idx: idx });
+	});
+	return chain
+		.sort((a, b) => (a.item.priority - b.item.priority) || (a.idx - b.idx))
+		.map(entry => entry.item);
+}
+
+// the message is acknowledged by the Application before the Engine's own timeout expires
+function _acknowledgeDeadline(timeout) {
+	return timeout - Math.min(_ACKNOWLEDGE_MARGIN, timeout / 10);
+}
+
+// local filter of install or watch
+function _filterMatch(item, msg) {
+	if (typeof item.filterName !== "string" || typeof item.filterValue !== "string") return true;
+	return item.filterName in msg && RegExp(item.filterValue).test(msg[item.filterName]);
+}
+
+/*
+ * Engine's side filter of the installed message {name, value}.
+ * Only exact filters "^value$" have the same meaning for the Engine and for local RegExp filtering,
+ * and all handlers of the message must have the same filter.
+ */
+function _engineFilter(installs, name) {
+	let filter;
+	for (let i = 0; i < installs.length; i++) {
+		let item = installs[i];
+		if (!item || item.name !== name) continue;
+		let value = typeof item.filterName === "string" && typeof item.filterValue === "string" ? _exactValue(item.filterValue) : undefined;
+		if (value === undefined) return {};
+		if (filter && (filter.name !== item.filterName || filter.value !== value)) return {};
+		filter = { name: item.filterName, value: value };
+	}
+	return filter || {};
+}
+
+// "^value$" -> "value"
+function _exactValue(regexp) {
+	let match = regexp.match(/^\^((?:[^\\^$.|?*+()[\]{}]|\\[\\^$.|?*+()[\]{}/-])*)\$$/);
+	return match ? match[1].replace(/\\(.)/g, "$1") : undefined;
+}
+
+// YatePool host: "host:port", "/socket/path" or {host, port, path, engine}
+function _hostOptions(host) {
+	if (typeof host === "object") return Object.assign({}, host);
+	host = "" + host;
+	if (host.charAt(0) === "/") return { path: host };
+	let pos = host.lastIndexOf(":");
+	if (pos < 0) return { host: host };
+	return { host: host.substr(0, pos), port: parseInt(host.substr(pos + 1)) };
+}
+
+// tls.connect() options from Yate options, ca, cert and key are PEM or file names
+function _tlsOptions(options) {
+	let res = Object.assign({}, typeof options.tls === "object" ? options.tls : {});
+	["ca", "cert", "key"].forEach(key => { if (options[key] !== undefined) res[key] = options[key] });
+	if (!res.servername && options.host && !/^[\d.:]+$/.test(options.host)) res.servername = options.host;
+	return res;
+}
+
+// file names of ca, cert and key -> contents, read on every connect to pick up the renewed certificates
+function _tlsFiles(tls) {
+	let res = Object.assign({}, tls);
+	["ca", "cert", "key"].forEach(key => {
+		let value = res[key];
+		if (typeof value === "string" && value.indexOf("-----BEGIN") < 0) res[key] = readFileSync(value);
+	});
+	return res;
+}
+
+// reconnect interval of the attempt: first * factor^(attempt - 1) limited by max, +-jitter
+function _backoff(attempt, first, max, factor, jitter) {
+	let delay = Math.min(max, first * Math.pow(factor, attempt - 1));
+	delay += delay * jitter * (Math.random() * 2 - 1);
+	return Math.max(0, Math.round(delay));
+}
+
+/*
+ * DTMF buffer of YateChannel and toChannel() channel.
+ * Every "chan.dtmf" of the channel is appended to chan._digits and emitted as "dtmf" event.
+ */
+function _collectDtmf(chan, message) {
+	chan._digits += message.text === undefined ? "" : "" + message.text;
+	chan.emit("dtmf", message);
+}
+
+// chan.watch(handler, "chan.dtmf") replaces the previous handler only
+function _watchDtmf(chan, handler) {
+	if (chan._dtmfHandler) chan.removeListener("dtmf", chan._dtmfHandler);
+	chan._dtmfHandler = handler;
+	chan.on("dtmf", handler);
+	return Promise.resolve(true);
+}
+
+// chan.getDigits()
+function _getDigits(chan, options = {}) {
+	if (!chan.ready) return Promise.resolve(false);
+	let max = typeof options.max === "number" && options.max > 0 ? options.max : Infinity;
+	let terminators = typeof options.terminators === "string" ? options.terminators : _DTMF_TERMINATORS;
+	let firstDigitTimeout = typeof options.firstDigitTimeout === "number" ? options.firstDigitTimeout : _FIRST_DIGIT_TIMEOUT;
+	let interDigitTimeout = typeof options.interDigitTimeout === "number" ? options.interDigitTimeout : _INTER_DIGIT_TIMEOUT;
+	if (options.flush) chan._digits = "";
+
+	return new Promise((resolve, reject) => {
+		let digits = "";
+		let timer;
+
+		let cleanup = () => {
+			clearTimeout(timer);
+			chan.removeListener("dtmf", onDtmf);
+			chan.removeListener("hangup", onHangup);
+			chan.removeListener("reset", onReset);
+		};
+
+		let done = (reason, terminator) => {
+			cleanup();
+			let result = { digits: digits, reason: reason };
+			if (terminator) result.terminator = terminator;
+			resolve(result);
+		};
+
+		// take digits from the buffer, returns true if complete
+		let consume = () => {
+			while (chan._digits.length > 0) {
+				let chr = chan._digits.charAt(0);
+				chan._digits = chan._digits.slice(1);
+				if (terminators.indexOf(chr) >= 0) {
+					done("terminator", chr);
+					return true;
+				}
+				digits += chr;
+				if (digits.length >= max) {
+					done("max");
+					return true;
+				}
+			}
+			return false;
+		};
+
+		let wait = () => {
+			clearTimeout(timer);
+			timer = setTimeout(() => done("timeout"), digits.length > 0 ? interDigitTimeout : firstDigitTimeout);
+		};
+
+		let onDtmf = () => { if (!consume()) wait() };
+		let onHangup = () => done("hangup");
+		let onReset = (message) => {
+			cleanup();
+			reject(message);
+		};
+
+		if (consume()) return;
+		chan.on("dtmf", onDtmf);
+		chan.once("hangup", onHangup);
+		chan.once("reset", onReset);
+		wait();
+	});
+}
+
+// chan.playAndCollect()
+function _playAndCollect(chan, prompts, options = {}) {
+	if (!chan.ready) return Promise.resolve(false);
+	if (!Array.isArray(prompts)) prompts = [prompts];
+	if (options.flush) chan._digits = "";
+	let collect = Object.assign({}, options, { flush: false });
+
+	let interrupted = chan._digits.length > 0;
+	let onDtmf = () => {
+		if (interrupted) return;
+		interrupted = true;
+		chan.stop();
+	};
+	chan.on("dtmf", onDtmf);
+
+	let play = (i) => {
+		if (interrupted || !chan.ready || i >= prompts.length) return Promise.resolve();
+		let prompt = "" + prompts[i];
+		if (!/^(wave|tone)\//.test(prompt)) prompt = "wave/play/" + prompt;
+		return chan.callTo(prompt).then(() => play(i + 1));
+	};
+
+	return play(0)
+		.then(() => {
+			chan.removeListener("dtmf", onDtmf);
+			if (!chan.ready) return { digits: "", reason: "hangup" };
+			return _getDigits(chan, collect);
+		}, error => {
+			chan.removeListener("dtmf", onDtmf);
+			throw error;
+		});
+}
+
+/*
+ * chan.record()
+ */
+function _record(chan, path, options = {}) {
+	if (!chan.ready || typeof path !== "string") return Promise.resolve(false);
+	let file = path.replace(/^wave\/record\//, "");
+	let format = (file.match(/\.(\w+)$/) || [])[1];
+	let rate = _RECORD_RATES[format];
+	let maxDuration = typeof options.maxDuration === "number" ? options.maxDuration : _RECORD_DURATION;
+	let stopOnDigits = options.stopOnDigits === true ? "0123456789*#ABCD" : typeof options.stopOnDigits === "string" ? options.stopOnDigits : "";
+	let beep = options.beep === true ? _RECORD_BEEP : typeof options.beep === "string" ? options.beep : undefined;
+	let result = { path: file, duration: 0, bytes: 0, stopReason: "hangup" };
+
+	// the Engine stops the recorder by maxlen of the known format, the others are stopped by timer
+	let params = rate ? { timeout: maxDuration, maxlen: Math.ceil(maxDuration * rate / 1000) } : {};
+
+	return (beep ? chan.callTo(beep) : Promise.resolve())
+		.then(() => {
+			if (!chan.ready) return result;
+			let started = Date.now();
+			let stopReason;
+			let stop = (reason) => {
+				if (stopReason) return;
+				stopReason = reason;
+				chan.stop();
+			};
+
+			// stop on digit, the digit is not buffered for getDigits()
+			let onDtmf = (message) => {
+				let text = message.text === undefined ? "" : "" + message.text;
+				for (let i = 0; i < text.length; i++) {
+					if (stopOnDigits.indexOf(text.charAt(i)) < 0) continue;
+					if (chan._digits.endsWith(text)) chan._digits = chan._digits.slice(0, -text.length);
+					result.digit = text.charAt(i);
+					stop("digit");
+					return;
+				}
+			};
+			if (stopOnDigits) chan.on("dtmf", onDtmf);
+
+			// stop on silence
+			let monitor;
+			if (options.stopOnSilence) {
+				let silence = typeof options.stopOnSilence === "object" ? options.stopOnSilence : { duration: options.stopOnSilence };
+				monitor = _silenceMonitor(file, format, silence, () => stop("silence"));
+			}
+			let timer = rate ? undefined : setTimeout(() => stop("maxDuration"), maxDuration);
+
+			return chan.callTo("wave/record/" + file, params)
+				.then(message => {
+					clearTimeout(timer);
+					chan.removeListener("dtmf", onDtmf);
+					if (monitor) monitor();
+					if (stopReason) result.stopReason = stopReason;
+					else if (message.reason === "hangup" || message.reason === "stopped") result.stopReason = message.reason;
+					else result.stopReason = "maxDuration";
+					result.duration = Date.now() - started;
+					return util.promisify(stat)(file)
+						.then(stats => {
+							result.bytes = stats.size;
+							if (rate) result.duration = Math.round((stats.size - (format === "au" ? _AU_HEADER : 0)) * 1000 / rate);
+							return result;
+						}, () => result); // remote Engine's file
+				}, error => {
+					clearTimeout(timer);
+					chan.removeListener("dtmf", onDtmf);
+					if (monitor) monitor();
+					throw error;
+				});
+		});
+}
+
+/*
+ * Silence detector of the recorded file (slin, alaw, mulaw and au formats).
+ * Reads the file tail every 250 ms, calls onSilence() when average amplitude
+ * stays below the threshold for the duration. Returns stop function.
+ */
+function _silenceMonitor(file, format, options, onSilence) {
+	let decode = _RECORD_DECODERS[format];
+	let rate = _RECORD_RATES[format];
+	let duration = typeof options.duration === "number" ? options.duration : _SILENCE_DURATION;
+	let threshold = typeof options.threshold === "number" ? options.threshold : _SILENCE_THRESHOLD;
+	if (!decode) return () => {};
+
+	let fd, busy, stopped;
+	let offset = format === "au" ? _AU_HEADER : 0;
+	let silent = 0;
+	let timer = setInterval(() => {
+		if (busy) return;
+		busy = true;
+		let check = () => {
+			let buffer = Buffer.alloc(rate);
+			read(fd, buffer, 0, buffer.length, offset, (error, bytes) => {
+				busy = false;
+				if (stopped) return stop(); // stopped while reading
+				if (error || bytes < 2) return;
+				bytes -= bytes % 2;
+				offset += bytes;
+				let samples = decode(buffer.slice(0, bytes));
+				let level = samples.reduce((sum, sample) => sum + Math.abs(sample), 0) / samples.length;
+				silent = level < threshold ? silent + samples.length * 1000 / 8000 : 0;
+				if (silent >= duration) {
+					stop();
+					onSilence();
+				}
+			});
+		};
+		if (fd === undefined) {
+			open(file, "r", (error, descriptor) => {
+				if (error) {
+					busy = false; // not created yet or not local
+					return;
+				}
+				if (stopped) {
+					busy = false;
+					return close(descriptor, () => {});
+				}
+				fd = descriptor;
+				check();
+			});
+		} else {
+			check();
+		}
+	}, _SILENCE_INTERVAL);
+
+	let stop = () => {
+		stopped = true;
+		clearInterval(timer);
+		if (fd === undefined || busy) return; // closed by the pending callback
+		close(fd, () => {});
+		fd = undefined;
+	};
+	return stop;
+}
+
+// mu-law sample -> linear
+function _ulaw2linear(byte) {
+	byte = ~byte & 0xff;
+	let sample = ((byte & 0x0f) << 3) + 0x84;
+	sample <<= (byte & 0x70) >> 4;
+	return byte & 0x80 ? 0x84 - sample : sample - 0x84;
+}
+
+// a-law sample -> linear
+function _alaw2linear(byte) {
+	byte ^= 0x55;
+	let sample = (byte & 0x0f) << 4;
+	let segment = (byte & 0x70) >> 4;
+	if (segment === 0) sample += 8;
+	else if (segment === 1) sample += 0x108;
+	else sample = (sample + 0x108) << (segment - 1);
+	return byte & 0x80 ? sample : -sample;
+}
+
+const _RECORD_DECODERS = {
+	slin: buffer => { let res = []; for (let i = 0; i + 1 < buffer.length; i += 2) res.push(buffer.readInt16LE(i)); return res },
+	alaw: buffer => Array.from(buffer, _alaw2linear),
+	A: buffer => Array.from(buffer, _alaw2linear),
+	mulaw: buffer => Array.from(buffer, _ulaw2linear),
+	u: buffer => Array.from(buffer, _ulaw2linear),
+	au: buffer => Array.from(buffer, _ulaw2linear)
+};
+
+/*
+ * YateSay language packs
+ */
+// chan.say()
+function _say(chan, value, options = {}) {
+	if (!chan.ready) return Promise.resolve(false);
+	let yate = chan._yate;
+	let params = Object.assign({ language: yate._language }, options);
+
+	return _soundRoot(yate, params.root)
+		.then(root => {
+			params.root = root;
+			return YateSay.files(value, params)
+				.reduce((chain, file) => chain.then(result => {
+					if (!chan.ready) return result;
+					return chan.callTo("wave/play/" + file);
+				}), Promise.resolve(false));
+		});
+}
+
+// Yate "sounds" option or Engine's sharedpath/sounds
+function _soundRoot(yate, root) {
+	if (typeof root === "string") return Promise.resolve(root);
+	if (typeof yate._sounds === "string") return Promise.resolve(yate._sounds);
+	return yate.getEnvironment()
+		.then(env => {
+			yate._sounds = (typeof env.sharedpath === "string" && env.sharedpath ? env.sharedpath : "./share") + "/sounds";
+			return yate._sounds;
+		});
+}
+
+// value -> {year, month, day, hours, minutes}, number is unix time in seconds
+function _sayDate(value) {
+	let date;
+	if (value instanceof Date) {
+		date = value;
+	} else if (typeof value === "number" || /^\d+$/.test("" + value)) {
+		date = new Date(parseInt(value) * 1000);
+	} else if (typeof value === "string" && /^\d{1,2}:\d{2}/.test(value)) {
+		let [hours, minutes] = value.split(":");
+		return { hours: parseInt(hours), minutes: parseInt(minutes) };
+	} else {
+		date = new Date(value);
+	}
+	if (isNaN(date.getTime())) throw new Error("Say arguments error. Not valid date: " + value);
+	return {
+		year: date.getFullYear(),
+		month: date.getMonth() + 1,
+		day: date.getDate(),
+		hours: date.getHours(),
+		minutes: date.getMinutes()
+	};
+}
+
+// "12*#" -> ["1", "2", "star", "pound"]
+function _sayDigits(value) {
+	let words = [];
+	("" + value).split("").forEach(chr => {
+		if (/[0-9]/.test(chr)) words.push(chr);
+		else if (chr === "*") words.push("star");
+		else if (chr === "#") words.push("pound");
+	});
+	return words;
+}
+
+function _sayInteger(value) {
+	let number = typeof value === "number" ? value : parseFloat(value);
+	if (isNaN(number)) throw new Error("Say arguments error. Not valid number: " + value);
+	return Math.trunc(number);
+}
+
+// currency amount -> [major, minor, negative] of its absolute value
+function _sayAmount(value) {
+	let amount = typeof value === "number" ? value : parseFloat(value);
+	if (isNaN(amount)) throw new Error("Say arguments error. Not valid amount: " + value);
+	let cents = Math.round(Math.abs(amount) * 100);
+	return [Math.floor(cents / 100), cents % 100, amount < 0];
+}
+
+// 0..999
+function _en999(number) {
+	let words = [];
+	if (number >= 100) {
+		words.push("" + Math.floor(number / 100), "hundred");
+		number %= 100;
+	}
+	if (number >= 20) {
+		words.push("" + (number - number % 10));
+		number %= 10;
+	}
+	if (number > 0) words.push("" + number);
+	return words;
+}
+
+function _enNumber(value) {
+	let number = _sayInteger(value);
+	if (number < 0) return ["minus"].concat(_enNumber(-number));
+	if (number === 0) return ["0"];
+	let words = [];
+	[[1e9, "billion"], [1e6, "million"], [1e3, "thousand"]].forEach(([scale, name]) => {
+		if (number >= scale) {
+			words = words.concat(_en999(Math.floor(number / scale)), name);
+			number %= scale;
+		}
+	});
+	return words.concat(_en999(number));
+}
+
+// 21 -> ["20", "ord-1"]
+function _enOrdinal(number) {
+	if (number <= 20 || number % 10 === 0) return ["ord-" + number];
+	return ["" + (number - number % 10), "ord-" + number % 10];
+}
+
+// 2026 -> twenty twenty-six, 1905 -> nineteen oh five, 2005 -> two thousand five
+function _enYear(year) {
+	if (year >= 2000 && year < 2010 || year % 1000 === 0) return _enNumber(year);
+	let high = Math.floor(year / 100);
+	let low = year % 100;
+	if (low === 0) return _enNumber(high).concat("hundred");
+	return _enNumber(high).concat(low < 10 ? ["oh", "" + low] : _enNumber(low));
+}
+
+// russian plural form: 1, 2 or 5
+function _ruPlural(number) {
+	if (number % 100 >= 11 && number % 100 <= 14) return 5;
+	if (number % 10 === 1) return 1;
+	if (number % 10 >= 2 && number % 10 <= 4) return 2;
+	return 5;
+}
+
+// 0..999, gender "m" or "f"
+function _ru999(number, gender) {
+	let words = [];
+	if (number >= 100) {
+		words.push("" + (number - number % 100));
+		number %= 100;
+	}
+	if (number >= 20) {
+		words.push("" + (number - number % 10));
+		number %= 10;
+	}
+	if (number > 0) words.push(gender === "f" && (number === 1 || number === 2) ? number + "f" : "" + number);
+	return words;
+}
+
+function _ruNumber(value, gender = "m") {
+	let number = _sayInteger(value);
+	if (number < 0) return ["minus"].concat(_ruNumber(-number, gender));
+	if (number === 0) return ["0"];
+	let words = [];
+	[[1e9, "billion", "m"], [1e6, "million", "m"], [1e3, "thousand", "f"]].forEach(([scale, name, scaleGender]) => {
+		if (number >= scale) {
+			let count = Math.floor(number / scale);
+			if (count > 1) words = words.concat(_ru999(count, scaleGender)); // "тысяча", not "одна тысяча"
+			words.push(name + _ruPlural(count));
+			number %= scale;
+		}
+	});
+	return words.concat(_ru999(number, gender));
+}
+
+// 21 -> ["20", "ord-1"], neuter: "двадцать первое"
+function _ruOrdinal(number) {
+	if (number <= 20 || number % 10 === 0) return ["ord-" + number];
+	return ["" + (number - number % 10), "ord-" + number % 10];
+}
+
+// 2026 -> "две тысячи двадцать шестого года"
+function _ruYear(year) {
+	let words;
+	if (year % 1000 === 0) {
+		words = ["ordg-" + year];
+	} else {
+		words = _ruNumber(year);
+		words.push("ordg-" + parseInt(words.pop()));
+	}
+	return words.concat("year-g");
+}
+
+const _MONTHS = [
+	"january", "february", "march", "april", "may", "june",
+	"july", "august", "september", "october", "november", "december"
+];
+
+const _EN_CURRENCY = {
+	USD: ["dollar", "dollars", "cent", "cents"],
+	EUR: ["euro", "euros", "cent", "cents"],
+	GBP: ["pound", "pounds", "penny", "pence"]
+};
+
+// [major, major gender, minor, minor gender]
+const _RU_CURRENCY = {
+	RUB: ["ruble", "m", "kopeck", "f"],
+	USD: ["dollar", "m", "cent", "m"],
+	EUR: ["euro", "m", "cent", "m"]
+};
+
+const _LANGUAGES = {
+	en: {
+		digits: _sayDigits,
+		number: _enNumber,
+		date: (value) => {
+			let date = _sayDate(value);
+			return [_MONTHS[date.month - 1]].concat(_enOrdinal(date.day), _enYear(date.year));
+		},
+		time: (value) => {
+			let date = _sayDate(value);
+			let words = _enNumber(date.hours % 12 || 12);
+			if (date.minutes === 0) words.push("o-clock");
+			else if (date.minutes < 10) words.push("oh", "" + date.minutes);
+			else words = words.concat(_enNumber(date.minutes));
+			words.push(date.hours < 12 ? "am" : "pm");
+			return words;
+		},
+		currency: (value, options = {}) => {
+			let code = typeof options.currency === "string" ? options.currency.toUpperCase() : "USD";
+			let units = _EN_CURRENCY[code];
+			if (!units) throw new Error("Say currency is not supported: " + code);
+			let [major, minor, negative] = _sayAmount(value);
+			let words = negative ? ["minus"] : [];
+			words = words.concat(_enNumber(major), major === 1 ? units[0] : units[1]);
+			if (minor > 0) words = words.concat("and", _enNumber(minor), minor === 1 ? units[2] : units[3]);
+			return words;
+		}
+	},
+	ru: {
+		digits: _sayDigits,
+		number: (value) => _ruNumber(value),
+		date: (value) => {
+			let date = _sayDate(value);
+			return _ruOrdinal(date.day).concat(_MONTHS[date.month - 1], _ruYear(date.year));
+		},
+		time: (value) => {
+			let date = _sayDate(value);
+			let words = _ruNumber(date.hours).concat("hour" + _ruPlural(date.hours));
+			if (date.minutes > 0) words = words.concat(_ruNumber(date.minutes, "f"), "minute" + _ruPlural(date.minutes));
+			return words;
+		},
+		currency: (value, options = {}) => {
+			let code = typeof options.currency === "string" ? options.currency.toUpperCase() : "RUB";
+			let units = _RU_CURRENCY[code];
+			if (!units) throw new Error("Say currency is not supported: " + code);
+			let [major, minor, negative] = _sayAmount(value);
+			let words = negative ? ["minus"] : [];
+			words = words.concat(_ruNumber(major, units[1]), units[0] + _ruPlural(major));
+			if (minor > 0) words = words.concat(_ruNumber(minor, units[3]), units[2] + _ruPlural(minor));
+			return words;
+		}
+	}
+};
+
+/*
+ * YateMenu helpers
+ */
+function _menuPrompts(prompts) {
+	if (prompts === undefined || prompts === null) return [];
+	return Array.isArray(prompts) ? prompts.map(prompt => "" + prompt) : ["" + prompts];
+}
+
+// check the goto targets of menu
+function _validateMenu(menu) {
+	if (!menu.nodes[menu.start]) throw new Error("Not valid menu. Start node not found: " + menu.start);
+	let check = (name, action) => {
+		if (typeof action === "string") action = { goto: action };
+		if (action && typeof action === "object" && typeof action.goto === "string" && !menu.nodes[action.goto])
+			throw new Error("Not valid menu. Node " + name + " refers to unknown node: " + action.goto);
+	};
+	for (let name in menu.nodes) {
+		let node = menu.nodes[name];
+		if (!node || typeof node !== "object") throw new Error("Not valid menu. Node must be an object: " + name);
+		check(name, node.timeout);
+		check(name, node.exhausted);
+		check(name, node.next);
+		for (let digits in node.routes) check(name, node.routes[digits]);
+	}
+}
+
+// chan.attach replacing the media of callTo()
+function _detachMessage(attach) {
+	return new YateMessage(attach.name, {
+		message: attach.message,
+		id: attach.id,
+		source: "wave/play/-",
+		consumer: "wave/record/-"
+	});
+}
+
+/*
+ * Standard messages: required parameters and known parameters "name[:type]", string by default.
+ * https://docs.yate.ro/wiki/Standard_Messages
+ */
+const _STANDARD_MESSAGES = {
+	"call.route": _messageSpec("called", "id module status address billid caller callername called format formats line username realm maxcall:number timeout:number"),
+	"call.execute": _messageSpec("callto", "id callto module status billid caller callername called direct target maxcall:number timeout:number autoanswer:boolean autoring:boolean line format formats peerid targetid earlymedia:boolean reason error"),
+	"call.drop": _messageSpec("id", "id reason"),
+	"call.answered": _messageSpec("id", "id targetid peerid module status billid"),
+	"call.ringing": _messageSpec("id", "id targetid peerid status earlymedia:boolean"),
+	"call.progress": _messageSpec("id", "id targetid peerid status earlymedia:boolean"),
+	"chan.attach": _messageSpec("id", "id source consumer override replace notify single:boolean autorepeat:boolean maxlen:number format"),
+	"chan.dtmf": _messageSpec("id text", "id text duration:number detected targetid"),
+	"chan.notify": _messageSpec("targetid", "targetid id reason"),
+	"database": _messageSpec("account query", "account query results:boolean"),
+	"engine.command": _messageSpec("line", "line partial partline"),
+	"engine.status": _messageSpec("", "module details:boolean"),
+	"user.auth": _messageSpec("username", "username protocol number caller called realm nonce response method uri address ip_host ip_port billid newcall:boolean"),
+	"user.register": _messageSpec("username", "username number data expires:number driver ip_host ip_port")
+};
+
+// ("a", "a b:number") -> {required: ["a"], params: {a: "string", b: "number"}}
+function _messageSpec(required, params) {
+	let spec = { required: required ? required.split(" ") : [], params: {} };
+	params.split(" ").forEach(param => {
+		let [name, type] = param.split(":");
+		spec.params[name] = type || "string";
+	});
+	return spec;
+}
+
+// throws ValidationError if the parameters do not match the standard message
+function _validateMessage(name, params, strict, required = []) {
+	let spec = _STANDARD_MESSAGES[name];
+	let fail = (text, param) => { throw new ValidationError(name + ": " + text, { message_name: name, param: param }) };
+	if (!spec) {
+		if (strict) fail("unknown message");
+		return;
+	}
+	params = params || {};
+	spec.required.concat(required).forEach(param => {
+		if (params[param] === undefined || params[param] === null || params[param] === "") fail("required parameter \"" + param + "\" is missing", param);
+	});
+	for (let param in params) {
+		let type = spec.params[param];
+		let value = params[param];
+		if (!type) {
+			if (strict && param !== "message") fail("unknown parameter \"" + param + "\"", param);
+			continue;
+		}
+		if (value === undefined || value === null) continue;
+		let valid = type === "number" ? typeof value === "number" || (typeof value === "string" && value.trim() !== "" && !isNaN(value)) :
+			type === "boolean" ? typeof value === "boolean" || value === "true" || value === "false" :
+				typeof value === "string" || typeof value === "number";
+		if (!valid) fail("parameter \"" + param + "\" must be " + type, param);
+	}
+}
+
+/*
+ * "route <number> [--caller X] [rest...]" ->
+ * {syntax, name: "route", tokens: [{kind: "arg", name: "number", required: true}, ...], options: {caller: {name, value: true}}}
+ */
+function _commandSpec(syntax) {
+	let spec = { syntax: syntax.trim().replace(/\s+/g, " "), tokens: [], options: {} };
+	(spec.syntax.match(/<[^>]*>|\[[^\]]*\]|\S+/g) || []).forEach((word, index) => {
+		let bracket = word.charAt(0) === "<" || word.charAt(0) === "[";
+		let inner = bracket ? word.slice(1, -1).trim() : word;
+		if (bracket && word.slice(-1) !== (word.charAt(0) === "<" ? ">" : "]"))
+			throw new Error("Command syntax error. Unclosed " + word.charAt(0) + " in: " + syntax);
+		if (!inner) throw new Error("Command syntax error. Empty argument in: " + syntax);
+		if (index === 0) {
+			if (bracket) throw new Error("Command syntax error. Command name required: " + syntax);
+			spec.name = word;
+			return;
+		}
+		if (inner.startsWith("--")) {
+			let [option, value] = inner.substr(2).split(/\s+/);
+			if (!bracket || !option) throw new Error("Command syntax error. Option must be bracketed: " + syntax);
+			spec.options[option] = { name: option, value: !!value, required: word.charAt(0) === "<" };
+		} else if (bracket) {
+			let rest = inner.endsWith("...");
+			spec.tokens.push({ kind: "arg", name: rest ? inner.slice(0, -3) : inner, required: word.charAt(0) === "<", rest: rest });
+		} else {
+			spec.tokens.push({ kind: "literal", name: word });
+		}
+	});
+	if (!spec.name) throw new Error("Command syntax error. Command name required: " + syntax);
+	return spec;
+}
+
+// splits the command line, "quoted words" are kept together
+function _commandWords(line) {
+	let words = [];
+	("" + line).replace(/"([^"]*)"|(\S+)/g, (match, quoted, word) => words.push(quoted !== undefined ? quoted : word));
+	return words;
+}
+
+/*
+ * Parses the words of the command line by the spec.
+ * Returns the arguments, null if the line is another command, throws Error on invalid arguments.
+ */
+function _commandArgs(spec, words) {
+	if (words[0] !== spec.name) return null;
+	let args = {};
+	let position = 0;
+	for (let i = 1; i < words.length; i++) {
+		let word = words[i];
+		if (word.startsWith("--") && word.length > 2) {
+			let [name, value] = word.substr(2).split(/=(.*)/);
+			let option = spec.options[name];
+			if (!option) throw new Error("Unknown option --" + name);
+			if (!option.value) args[name] = true;
+			else if (value !== undefined) args[name] = value;
+			else if (i + 1 < words.length) args[name] = words[++i];
+			else throw new Error("Option --" + name + " requires a value");
+			continue;
+		}
+		let token = spec.tokens[position];
+		if (!token) throw new Error("Too many arguments");
+		if (token.kind === "literal") {
+			if (word !== token.name) return null;
+			position++;
+		} else if (token.rest) {
+			args[token.name] = (args[token.name] || []).concat(word);
+		} else {
+			args[token.name] = word;
+			position++;
+		}
+	}
+	for (let i = position; i < spec.tokens.length; i++) {
+		let token = spec.tokens[i];
+		if (token.kind === "literal") return null;
+		if (token.required && !(token.name in args)) throw new Error("Missing " + token.name);
+	}
+	for (let name in spec.options) {
+		if (spec.options[name].required && !(name in args)) throw new Error("Missing option --" + name);
+	}
+	return args;
+}
+
+// completions of the next word after partline
+function _commandCompletions(spec, words, partword) {
+	if (words[0] !== spec.name) return [];
+	let position = 0;
+	let pending; // option waiting for value
+	let used = {};
+	for (let i = 1; i < words.length; i++) {
+		let word = words[i];
+		if (pending) {
+			pending = undefined;
+			continue;
+		}
+		if (word.startsWith("--")) {
+			let option = spec.options[word.substr(2)];
+			if (!option) return [];
+			used[option.name] = true;
+			if (option.value) pending = option;
+			continue;
+		}
+		let token = spec.tokens[position];
+		if (!token) return [];
+		if (token.kind === "literal" && word !== token.name) return [];
+		if (!token.rest) position++;
+	}
+	let complete = name => {
+		let values = spec.complete[name];
+		if (typeof values === "function") values = values(words, partword);
+		return Promise.resolve(values).then(res => Array.isArray(res) ? res.map(value => "" + value) : []);
+	};
+	if (pending) return complete(pending.name);
+	let token = spec.tokens[position];
+	let candidates = Object.keys(spec.options).filter(name => !used[name]).map(name => "--" + name);
+	if (token && token.kind === "literal") return [token.name].concat(candidates);
+	if (!token) return candidates;
+	return complete(token.name).then(values => values.concat(candidates));
+}
+
+// engine.command handler of Yate.command()
+function _commandHandler(yate, msg) {
+	let partline = msg.getParam("partline", undefined, false);
+	let partword = msg.getParam("partword", "", false);
+	if (partline !== undefined || "partword" in msg) {
+		// tab completion
+		let words = _commandWords(partline || "");
+		let pending = !words.length || (words.length === 1 && words[0] === "help")
+			? yate._commands.map(spec => spec.name)
+			: Promise.all(yate._commands.map(spec => _commandCompletions(spec, words, partword)))
+				.then(lists => [].concat(...lists));
+		return Promise.resolve(pending).then(list => {
+			let items = list.filter((item, index) => item.startsWith(partword) && list.indexOf(item) === index);
+			let ret = msg.retValue() || "";
+			items.forEach(item => ret += (ret ? "\t" : "") + item);
+			msg.retValue(ret);
+			return false; // the other modules complete too
+		});
+	}
+
+	let words = _commandWords(msg.getParam("line", "", false));
+	// "route show" goes before "route <number>"
+	let literals = spec => spec.tokens.filter(token => token.kind === "literal").length;
+	let specs = yate._commands.filter(spec => spec.name === words[0]).sort((a, b) => literals(b) - literals(a));
+	if (!specs.length) return false; // not our command
+	let errors = [];
+	let found;
+	let args;
+	for (let spec of specs) {
+		try {
+			args = _commandArgs(spec, words);
+		} catch (error) {
+			errors.push(error.message);
+			continue;
+		}
+		if (args) {
+			found = spec;
+			break;
+		}
+	}
+	if (!found) {
+		msg.retValue((errors.length ? errors[0] : "Invalid arguments") + "\r\nUsage: " + specs.map(spec => spec.syntax).join("\r\n       ") + "\r\n");
+		return true;
+	}
+	return new Promise(resolve => resolve(found.handler(args, msg)))
+		.then(res => _commandOutput(res, found.columns), error => "Error: " + (error && error.message || error) + "\r\n")
+		.then(output => {
+			msg.retValue(output);
+			return true;
+		});
+}
+
+// engine.help handler of Yate.command()
+function _helpHandler(yate, msg) {
+	let line = msg.getParam("line", "", false);
+	let ret = msg.retValue() || "";
+	if (!line) {
+		yate._commands.forEach(spec => ret += "  " + spec.syntax + "\r\n");
+		msg.retValue(ret);
+		return false;
+	}
+	let specs = yate._commands.filter(spec => spec.name === line);
+	if (!specs.length) return false;
+	specs.forEach(spec => ret += "  " + spec.syntax + "\r\n" + (spec.help ? spec.help.replace(/\r?\n/g, "\r\n") + "\r\n" : ""));
+	msg.retValue(ret);
+	return true;
+}
+
+// output of the command handler
+function _commandOutput(res, columns) {
+	if (res === undefined || res === null || typeof res === "boolean") return "";
+	if (Array.isArray(res)) return _formatTable(res, columns);
+	if (typeof res === "object") return Object.keys(res).map(key => key + ": " + res[key]).join("\r\n") + "\r\n";
+	let str = ("" + res).replace(/\r?\n/g, "\r\n");
+	return str.endsWith("\r\n") ? str : str + "\r\n";
+}
+
+/*
+ * Rows of objects or arrays as aligned text table:
+ * name   count
+ * ------ -----
+ * route  10
+ */
+function _formatTable(rows, columns) {
+	if (!rows.length) return "";
+	let arrays = rows.every(row => Array.isArray(row));
+	if (!columns) {
+		columns = [];
+		if (!arrays) rows.forEach(row => Object.keys(row || {}).forEach(key => { if (!columns.includes(key)) columns.push(key) }));
+	}
+	let cell = value => value === undefined || value === null ? "" : "" + value;
+	let table = rows.map(row => arrays ? row.map(cell) : columns.map(key => cell(row ? row[key] : undefined)));
+	if (columns.length) table.unshift(columns.map(cell), columns.map(() => ""));
+	let widths = [];
+	table.forEach(row => row.forEach((value, index) => widths[index] = Math.max(widths[index] || 0, value.length)));
+	if (columns.length) table[1] = widths.map(width => "-".repeat(width));
+	return table.map(row => row.map((value, index) => index < row.length - 1 ? value.padEnd(widths[index]) : value).join("  ")).join("\r\n") + "\r\n";
+}
+
+// latency histogram in milliseconds
+function _histogram() {
+	return { count: 0, sum: 0, counts: _LATENCY_BUCKETS.map(() => 0) };
+}
+
+function _observe(histogram, value) {
+	histogram.count++;
+	histogram.sum += value;
+	let index = _LATENCY_BUCKETS.findIndex(bound => value <= bound);
+	if (index >= 0) histogram.counts[index]++;
+}
+
+// {count, sum, buckets: {"5": cumulative count, ..., "+Inf": count}}
+function _histogramSnapshot(histogram) {
+	let buckets = {};
+	let total = 0;
+	_LATENCY_BUCKETS.forEach((bound, index) => buckets[bound] = total += histogram.counts[index]);
+	buckets["+Inf"] = histogram.count;
+	return { count: histogram.count, sum: histogram.sum, buckets: buckets };
+}
+
+/*
+ * Prometheus text format of the metrics of one or several Yate objects, labeled by engine.
+ * Latencies are exposed in seconds.
+ */
+const _PROMETHEUS = [
+	["up", "gauge", "Connection to the Engine is established", m => [[{}, m.connected ? 1 : 0]]],
+	["uptime_seconds", "gauge", "Seconds since the Yate object was created", m => [[{}, m.uptime / 1000]]],
+	["messages_total", "counter", "Incoming messages of installed handlers by name", m => Object.keys(m.messages).map(name => [{ name: name }, m.messages[name]])],
+	["notifications_total", "counter", "Notifications of watched messages by name", m => Object.keys(m.notifications).map(name => [{ name: name }, m.notifications[name]])],
+	["handler_failures_total", "counter", "Handlers which threw or rejected", m => [[{}, m.handlers.failed]]],
+	["handler_late_total", "counter", "Messages acknowledged late by handler timeout", m => [[{}, m.handlers.late]]],
+	["handler_duration_seconds", "histogram", "Duration of installed handlers", m => _prometheusHistogram(m.handler_latency)],
+	["acknowledged_total", "counter", "Acknowledged incoming messages", m => [[{}, m.acknowledged]]],
+	["dispatched_total", "counter", "Dispatched messages", m => [[{}, m.dispatched]]],
+	["dispatch_timeouts_total", "counter", "Dispatched messages not answered in time", m => [[{}, m.dispatch_timeouts]]],
+	["dispatch_duration_seconds", "histogram", "Round-trip time of dispatched messages", m => _prometheusHistogram(m.dispatch_latency)],
+	["queue_length", "gauge", "Lines waiting in the offline queue", m => [[{}, m.queue]]],
+	["queue_dropped_total", "counter", "Lines dropped from the offline queue", m => [[{}, m.queue_dropped]]],
+	["reconnects_total", "counter", "Successful reconnects", m => [[{}, m.reconnects]]],
+	["channels", "gauge", "Live channels", m => [[{}, m.channels]]]
+];
+
+function _prometheus(list) {
+	let text = "";
+	_PROMETHEUS.forEach(([name, type, help, samples]) => {
+		text += "# HELP next_yate_" + name + " " + help + "\n# TYPE next_yate_" + name + " " + type + "\n";
+		list.forEach(metrics => {
+			samples(metrics).forEach(([labels, value, suffix]) => {
+				labels = Object.assign({ engine: metrics.engine }, labels);
+				let pairs = Object.keys(labels).map(key => key + "=\"" + ("" + labels[key]).replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n") + "\"");
+				text += "next_yate_" + name + (suffix || "") + "{" + pairs.join(",") + "} " + value + "\n";
+			});
+		});
+	});
+	return text;
+}
+
+function _prometheusHistogram(histogram) {
+	let samples = Object.keys(histogram.buckets).map(bound => [{ le: bound === "+Inf" ? bound : "" + bound / 1000 }, histogram.buckets[bound], "_bucket"]);
+	samples.push([{}, histogram.sum / 1000, "_sum"], [{}, histogram.count, "_count"]);
+	return samples;
+}
+
+// GET /metrics
+function _metricsServer(port, host, render, onError) {
+	let server = httpServer((req, res) => {
+		if (req.method !== "GET" || !/^\/(metrics)?(\?.*)?$/.test(req.url)) {
+			res.writeHead(404, { "Content-Type": "text/plain" });
+			return res.end("Not found\n");
+		}
+		res.writeHead(200, { "Content-Type": "text/plain; version=0.0.4; charset=utf-8" });
+		res.end(render());
+	});
+	server.on("error", onError);
+	server.listen(port, host);
+	server.unref(); // does not keep the Application running
+	return server;
+}
+
+/*
+ * engine.status handler, appends the summary of metrics:
+ * name=<trackname>,type=ext,format=Count;connected=true,...;call.route=10,...
+ * The details are the counts of incoming messages by name.
+ */
+function _statusHandler(yate, msg) {
+	let module = msg.getParam("module", "", false);
+	if (module && module !== yate._trackname) return false;
+	let metrics = yate.metrics();
+	let average = histogram => histogram.count ? Math.round(histogram.sum / histogram.count) : 0;
+	let summary = {
+		connected: metrics.connected,
+		uptime: Math.floor(metrics.uptime / 1000),
+		messages: Object.keys(metrics.messages).reduce((sum, name) => sum + metrics.messages[name], 0),
+		notifications: Object.keys(metrics.notifications).reduce((sum, name) => sum + metrics.notifications[name], 0),
+		acknowledged: metrics.acknowledged,
+		failed: metrics.handlers.failed,
+		late: metrics.handlers.late,
+		handler_avg: average(metrics.handler_latency),
+		dispatched: metrics.dispatched,
+		timeouts: metrics.dispatch_timeouts,
+		dispatch_avg: average(metrics.dispatch_latency),
+		queue: metrics.queue,
+		dropped: metrics.queue_dropped,
+		reconnects: metrics.reconnects,
+		channels: metrics.channels
+	};
+	let status = {
+		name: yate._trackname,
+		type: "ext",
+		format: ["Count"],
+		counters: summary,
+		details: Object.keys(metrics.messages).map(name => ({ id: name, Count: metrics.messages[name] }))
+	};
+	msg.retValue((msg.retValue() || "") + YateStatus.format(status, msg.getParam("details", true, true)));
+	return !!module; // the other modules add their status too
+}
+
+// string parameter of the channel message of any model
+function _registryParam(msg, name) {
+	let value = msg.getParam(name, undefined, false);
+	return value === undefined || value === null || value === "" ? undefined : "" + value;
+}
+
+// default fields of the CDR sinks: column -> record parameter or function(record)
+const _CDR_FIELDS = {
+	billid: "billid",
+	time: record => typeof record.time == "number" ? new Date(record.time * 1000).toISOString() : undefined,
+	caller: "caller",
+	called: "called",
+	address: "address",
+	direction: "direction",
+	status: "status",
+	reason: "reason",
+	duration: "duration",
+	billtime: "billtime",
+	ringtime: "ringtime",
+	legs: record => record.legs.length
+};
+
+// {type, file, fields, separator, maxSize, maxFiles} or {callback}
+function _cdrSink(sink) {
+	if (typeof sink === "function") return { callback: sink };
+	if (!sink || (sink.type !== "csv" && sink.type !== "jsonl") || typeof sink.file !== "string")
+		throw new Error("CdrCollector arguments error. Sink must be a function or {type: \"csv\"|\"jsonl\", file}.");
+	return {
+		type: sink.type,
+		file: sink.file,
+		fields: sink.fields && typeof sink.fields === "object" ? sink.fields : undefined,
+		separator: typeof sink.separator == "string" && sink.separator ? sink.separator : ",",
+		maxSize: (typeof sink.maxSize == "number" && sink.maxSize > 0) ? sink.maxSize : _CDR_MAX_SIZE,
+		maxFiles: (typeof sink.maxFiles == "number" && sink.maxFiles >= 0) ? sink.maxFiles : _CDR_MAX_FILES
+	};
+}
+
+// the incoming leg with the legs of the call and the longest times
+function _cdrRecord(call, incomplete) {
+	let legs = Array.from(call.legs.values());
+	let record = Object.assign({}, legs.find(leg => leg.direction === "incoming") || legs[0], { billid: call.billid, legs: legs });
+	["time", "duration", "billtime", "ringtime"].forEach(key => {
+		let values = legs.map(leg => parseFloat(leg[key])).filter(value => isFinite(value));
+		if (values.length) record[key] = key === "time" ? Math.min(...values) : Math.max(...values);
+	});
+	if (incomplete) record.incomplete = true;
+	return record;
+}
+
+// fields {column: name | function(record)} or [name]
+function _cdrRow(record, fields) {
+	let row = {};
+	if (Array.isArray(fields)) fields.forEach(name => row[name] = record[name]);
+	else for (let column in fields) row[column] = typeof fields[column] === "function" ? fields[column](record) : record[fields[column]];
+	return row;
+}
+
+// RFC 4180 quoting
+function _csvLine(values, separator) {
+	return values.map(value => {
+		if (value === undefined || value === null) return "";
+		let str = typeof value === "object" ? JSON.stringify(value) : "" + value;
+		return /["\r\n]/.test(str) || str.includes(separator) ? "\"" + str.replace(/"/g, "\"\"") + "\"" : str;
+	}).join(separator) + "\n";
+}
+
+// "a=1,b=2" -> {a: "1", b: "2"}
+function _statusPairs(section) {
+	let pairs = {};
+	("" + (section || "")).split(",").forEach(item => {
+		if (!item) return;
+		let pos = item.indexOf("=");
+		if (pos < 0) pairs[item] = "";
+		else pairs[item.substr(0, pos)] = item.substr(pos + 1);
+	});
+	return pairs;
+}
+
+// name or channel id matches the trace filter
+function _traceMatch(filter, value) {
+	if (filter === undefined || filter === null) return true;
+	if (value === undefined) return false;
+	if (filter instanceof RegExp) return filter.test(value);
+	if (Array.isArray(filter)) return filter.includes(value);
+	return filter === value;
+}
+
+// file -> file.1 -> file.2 ... the last one is removed, callback(error)
+function _rotate(file, count, callback) {
+	if (count < 1) return unlink(file, callback);
+	let shift = i => {
+		if (i < 1) return rename(file, file + ".1", callback);
+		rename(file + "." + i, file + "." + (i + 1), error => error && error.code !== "ENOENT" ? callback(error) : shift(i - 1));
+	};
+	unlink(file + "." + count, error => error && error.code !== "ENOENT" ? callback(error) : shift(count - 1));
+}
+
+// binds the values to ? and :name placeholders outside of quoted literals and identifiers
+function _bindSql(sql, params, dialect) {
+	let index = 0;
+	let tokens = dialect === "mysql" ? /'(?:[^'\\]|\\[^]|'')*'|"(?:[^"\\]|\\[^]|"")*"|::|\?|:([A-Za-z_]\w*)/g : /'(?:[^']|'')*'|"(?:[^"]|"")*"|::|\?|:([A-Za-z_]\w*)/g;
+	return sql.replace(tokens, (match, name) => {
+		if (match === "?") {
+			if (!Array.isArray(params) || index >= params.length) throw new Error("Query parameter is missing: ?" + (index + 1));
+			return _sqlValue(params[index++], dialect);
+		}
+		if (name) {
+			if (!params || typeof params !== "object" || Array.isArray(params) || !(name in params))
+				throw new Error("Query parameter is missing: :" + name);
+			return _sqlValue(params[name], dialect);
+		}
+		return match; // literal or ::type cast
+	});
+}
+
+// dialect - "mysql": backslash is the escape character of the string literal, "standard": it is not, undefined: unknown
+function _sqlValue(value, dialect) {
+	if (value === undefined || value === null) return "NULL";
+	if (Array.isArray(value)) return value.length ? value.map(item => _sqlValue(item, dialect)).join(", ") : "NULL";
+	if (typeof value === "boolean") return value ? "TRUE" : "FALSE";
+	if (typeof value === "number") {
+		if (!isFinite(value)) throw new Error("Query parameter is not a finite number: " + value);
+		return "" + value;
+	}
+	if (value instanceof Date) value = value.toISOString();
+	let str = "" + value;
+	if (str.includes("\0")) throw new Error("Query parameter contains NUL character");
+	if (str.includes("\\")) {
+		if (!dialect) throw new Error("Query parameter contains backslash, set the dialect option of the database");
+		if (dialect === "mysql") str = str.replace(/\\/g, "\\\\");
+	}
+	return "'" + str.replace(/'/g, "''") + "'";
+}
+
+/*
+ * Result table of "database" message: {columns: [name], rows: [[value]]}
+ * from the parameters "row.column", rows are counted from 1 ("1.name" is rows[0]).
+ */
+function _resultTable(msg) {
+	let params = _flatParams(msg);
+	let columns = [];
+	let cells = [];
+	for (let key in params) {
+		let match = /^([1-9]\d*)\.(.+)$/.exec(key);
+		if (!match) continue;
+		if (!columns.includes(match[2])) columns.push(match[2]);
+		let row = parseInt(match[1]) - 1;
+		cells[row] = cells[row] || {};
+		cells[row][match[2]] = "" + params[key];
+	}
+	let count = Math.max(cells.length, parseInt(params.rows) || 0);
+	let rows = [];
+	for (let i = 0; i < count; i++) rows.push(columns.map(name => cells[i] ? cells[i][name] : undefined));
+	return { columns: columns, rows: rows };
+}
+
+/*
+ * External module protocol, direction application <- engine.
+ * https://docs.yate.ro/wiki/External_module_command_flow
+ */
+function _parseMessage(record, line, model = "nested", schemas = {}) {
+	let params = {};
+	switch (record.keyword) {
+		case "%%>message": // %%>message:<id>:<time>:<name>:<retvalue>[:<key>=<value>...]
+			params._id = record.id;
+			params._time = "" + record.time;
+			params._name = record.name;
+			params._retvalue = record.retvalue;
+			params._type = "incoming";
+			params._acknowledged = false;
+			break;
+		case "%%<message": // %%<message:<id>:<processed>:[<name>]:<retvalue>[:<key>=<value>...]
+			params._id = record.id;
+			params._handled = record.handled;
+			params._name = record.name;
+			params._retvalue = record.retvalue;
+			params._type = params._id ? "answer" : "notification";
+			break;
+		case "%%<install": // %%<install:<priority>:<name>:<success>
+		case "%%<uninstall": // %%<uninstall:<priority>:<name>:<success>
+			params._priority = record.priority;
+			params._name = record.name;
+			params._success = record.success;
+			params._type = record.keyword.substr(3);
+			break;
+		case "%%<watch": // %%<watch:<name>:<success>
+		case "%%<unwatch": // %%<unwatch:<name>:<success>
+			params._name = record.name;
+			params._success = record.success;
+			params._type = record.keyword.substr(3);
+			break;
+		case "%%<setlocal": // %%<setlocal:<name>:<value>:<success>
+			params._name = record.name;
+			params._retvalue = record.value;
+			params._success = record.success;
+			params._type = "setlocal";
+			break;
+		case "Error in":
+		default: // commands of application -> engine direction
+			params._name = "error";
+			params._type = "error";
+			params._retvalue = line;
+	}
+	if (record.params) {
+		params = Object.assign(_modelParams(record.params, model, schemas[params._name]), params);
+		params._raw = record.params; // exact values to send back
+	}
+	return new YateMessage(params._name, params);
+}
+
+/*
+ * Message parameters to send: {key: string}.
+ * Nested objects are flattened to dotted keys, numbers and booleans are converted to strings.
+ * The unchanged value of incoming message is sent exactly as it was received (msg._raw).
+ */
+function _msgParams(msg) {
+	let flat = _flatParams(msg);
+	let raw = msg._raw || {};
+	let params = {};
+	for (let key in flat) params[key] = key in raw && _sameParam(raw[key], flat[key]) ? raw[key] : "" + flat[key];
+	return params;
+}
+
+// {a: {b: 1}} -> {"a.b": 1}
+function _flatParams(obj, prefix = "", res = {}) {
+	for (let key in obj) {
+		if (!prefix && ("" + key).charAt(0) === "_") continue;
+		let value = obj[key];
+		if (value === undefined || value === null || typeof value === "function") continue;
+		if (typeof value === "object") _flatParams(value, prefix + key + ".", res);
+		else res[prefix + key] = value;
+	}
+	return res;
+}
+
+// boolean parameter of any model: true or "true"
+function _isTrue(value) {
+	return value === true || value === "true";
+}
+
+// the received string is the same value
+function _sameParam(raw, value) {
+	if (typeof value === "number") return Number(raw) === value;
+	if (typeof value === "boolean") return raw === (value ? "true" : "false");
+	return raw === value;
+}
+
+/*
+ * Incoming parameters {key: string} to the model of Yate "params" option:
+ * "flat" - as is, "typed" - converted by the schema {key: "number"|"boolean"|"string"},
+ * "nested" - dotted keys to nested objects: "sip_to.tag" -> sip_to: { tag }.
+ * The key which is both a value and a parent keeps the children flat: "x" and "x.y" -> x, "x.y".
+ */
+function _modelParams(raw, model, schema) {
+	if (model === "flat") return Object.assign({}, raw);
+	if (model === "typed") {
+		let res = {};
+		for (let key in raw) res[key] = schema && key in schema ? _typedParam(raw[key], schema[key]) : raw[key];
+		return res;
+	}
+	let res = {};
+	for (let key in raw) {
+		let value = raw[key] === "true" ? true : raw[key] === "false" ? false : raw[key];
+		let path = key.split(".");
+		let leaf = path.pop();
+		let node = path.includes("") ? undefined : res; // "a..b", ".a"
+		for (let i = 0; node && i < path.length; i++) {
+			if (!(path[i] in node)) node = node[path[i]] = {};
+			else node = typeof node[path[i]] === "object" ? node[path[i]] : undefined;
+		}
+		if (!node || !leaf) { res[key] = value; continue; } // the parent has a value
+		if (typeof node[leaf] === "object") _flatParams(node[leaf], key + ".", res); // the children came first
+		node[leaf] = value;
+	}
+	return res;
+}
+
+// "1" -> 1, "true" -> true, the string which is not of the type stays string
+function _typedParam(value, type) {
+	if (type === "number" && value.trim() !== "" && !isNaN(value)) return Number(value);
+	if (type === "boolean" && (value === "true" || value === "false")) return value === "true";
+	return value;
 }
 
 // object copy
@@ -1818,5 +5478,19 @@ module.exports = {
 	Yate,
 	YateMessage,
 	YateChannel,
+	YateMenu,
+	YateSay,
+	YateStatus,
+	YateError,
+	DispatchTimeoutError,
+	NotConnectedError,
+	ProtocolError,
+	QueueOverflowError,
+	ValidationError,
+	YateQueue,
+	YateTracer,
+	YatePool,
+	ChannelRegistry,
+	CdrCollector,
 	DumpStream
 };
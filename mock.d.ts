@@ -0,0 +1,77 @@
+// Type definitions for next-yate/mock
+
+/// <reference types="node" />
+
+import { EventEmitter } from "events";
+import { Yate } from "./index";
+
+export interface MockRecord {
+	id: string;
+	name: string;
+	handled: boolean;
+	retvalue: string;
+	params: { [param: string]: string };
+}
+
+export interface MockResponse {
+	handled?: boolean;
+	retvalue?: string;
+	params?: { [param: string]: any };
+}
+
+export type MockResponder = MockResponse | ((message: MockRecord) => MockResponse | Promise<MockResponse>);
+
+export class MockCall extends EventEmitter {
+	constructor(engine: MockEngine, params?: { [param: string]: any });
+	id: string;
+	peerid: string | undefined;
+	caller: string | undefined;
+	called: string | undefined;
+	billid: string;
+	direction: "incoming" | "outgoing";
+	status: string;
+	params: { [param: string]: any };
+	route?: MockRecord;
+	/** attached sources */
+	played: string[];
+	/** attached consumers */
+	recorded: string[];
+	/** callJust targets */
+	transfers: string[];
+
+	dtmf(digits: string | number): void;
+	answer(): void;
+	hangup(reason?: string): void;
+}
+
+export interface MockEngineOptions {
+	/** duration of every played prompt in milliseconds, default 10 */
+	mediaDuration?: number;
+	/** delay before originated call is answered in milliseconds, false to not answer, default 10 */
+	answerDelay?: number | false;
+	/** values of "engine.*" setlocal parameters */
+	locals?: { [name: string]: string };
+}
+
+export class MockEngine extends EventEmitter {
+	constructor(options?: MockEngineOptions);
+	mediaDuration: number;
+	answerDelay: number | false;
+	locals: { [name: string]: string };
+	installs: Map<string, { name: string; priority: number; filterName?: string; filterValue?: string }>;
+	watches: Set<string>;
+	setlocals: { [name: string]: string };
+	dispatched: MockRecord[];
+	acknowledged: MockRecord[];
+	output: string[];
+	calls: Map<string, MockCall>;
+	connection: { role: string; id?: string; type?: string } | undefined;
+
+	listen(options: number | { port?: number; host?: string; path?: string }): Promise<any>;
+	attach(yate: Yate): Yate;
+	close(): Promise<void>;
+	respond(name: string, responder: MockResponder): void;
+	message(name: string, params?: { [param: string]: any }, retvalue?: string): Promise<MockRecord>;
+	notify(name: string, params?: { [param: string]: any }, retvalue?: string, handled?: boolean): boolean;
+	call(params?: { [param: string]: any }): Promise<MockCall>;
+}
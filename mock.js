@@ -0,0 +1,457 @@
+/**
+ * @file "Next-Yate" mock engine
+ * @license Apache-2.0
+ * @description In-process mock of Yate's external module for testing the scripts without live Engine.
+ * @see https://docs.yate.ro/wiki/External_module_command_flow
+ */
+"use strict";
+
+const { EventEmitter } = require("events");
+const { PassThrough } = require("stream");
+const { createServer } = require("net");
+const { YateParser, format } = require("./protocol");
+
+const _MEDIA_DURATION = 10; // ms of every played prompt
+const _ANSWER_DELAY = 10; // ms before originated call is answered
+
+/**
+ * MockCall is simulated call leg of MockEngine.
+ * It records the media attached by the script and sends DTMF and hangup to the script.
+ * @class
+ * @param {MockEngine} engine - (required)
+ * @param {Object} params - call parameters: caller, called, etc. (optional)
+ */
+class MockCall extends EventEmitter {
+	constructor(engine, params = {}) {
+		super();
+		this._engine = engine;
+		this.id = params.id || "sip/" + ++engine._calls;
+		this.peerid = undefined;
+		this.caller = params.caller;
+		this.called = params.called;
+		this.billid = params.billid || Date.now() + "-" + engine._calls;
+		this.direction = params.direction || "incoming";
+		this.status = params.direction === "outgoing" ? "calling" : "incoming";
+		this.params = params;
+		this.played = []; // attached sources
+		this.recorded = []; // attached consumers
+		this.transfers = []; // callJust targets
+		engine.calls.set(this.id, this);
+	}
+
+	/**
+	 * Sends "chan.dtmf" notification for every digit
+	 * @method
+	 * @param {string} digits
+	 */
+	dtmf(digits) {
+		("" + digits).split("").forEach(digit => {
+			this._engine.notify("chan.dtmf", { id: this.id, peerid: this.peerid, text: digit, billid: this.billid });
+		});
+	}
+
+	/**
+	 * Answers originated call, sends "call.answered" notification
+	 * @method
+	 */
+	answer() {
+		if (this.status === "hangup") return;
+		this.status = "answered";
+		this._engine.notify("call.answered", { id: this.id, targetid: this.peerid, billid: this.billid });
+		this.emit("answered");
+	}
+
+	/**
+	 * Hangs up the call, sends "chan.hangup" notification
+	 * @method
+	 * @param {string} reason - (optional)
+	 */
+	hangup(reason) {
+		if (this.status === "hangup") return;
+		this.status = "hangup";
+		this._engine.notify("chan.hangup", { id: this.id, reason: reason, billid: this.billid });
+		this._engine.calls.delete(this.id);
+		this.emit("hangup", reason);
+	}
+}
+
+/**
+ * MockEngine speaks the external module protocol on the Engine's side.
+ * The script is connected over TCP/Unix socket by MockEngine.listen() or in-memory by MockEngine.attach().
+ * All installs, watches, setlocals, dispatched messages and output lines are recorded.
+ * @class
+ * @param {Object} options - (optional)
+ * @param {number} options.mediaDuration - duration of every played prompt in milliseconds, default 10
+ * @param {number} options.answerDelay - delay before originated call is answered in milliseconds, false to not answer, default 10
+ * @param {Object} options.locals - values of "engine.*" setlocal parameters
+ * @example
+ * const { Yate, YateChannel } = require("next-yate");
+ * const { MockEngine } = require("next-yate/mock");
+ *
+ * const engine = new MockEngine();
+ * const yate = new Yate({host: "in-memory", reconnect: false});
+ * engine.attach(yate); // instead of yate.init()
+ *
+ * yate.install(onRoute, "call.route");
+ * let call = await engine.call({caller: "100", called: "200"});
+ * call.dtmf("1");
+ * console.log(call.played);
+ */
+class MockEngine extends EventEmitter {
+	constructor(options = {}) {
+		super();
+		this.mediaDuration = typeof options.mediaDuration === "number" ? options.mediaDuration : _MEDIA_DURATION;
+		this.answerDelay = "answerDelay" in options ? options.answerDelay : _ANSWER_DELAY;
+		this.locals = Object.assign({
+			"engine.version": "6.4.0",
+			"engine.release": "mock",
+			"engine.nodename": "mock",
+			"engine.runid": "" + Math.floor(Date.now() / 1000),
+			"engine.configname": "yate",
+			"engine.sharedpath": "./share",
+			"engine.configpath": "./conf.d",
+			"engine.cfgsuffix": ".conf",
+			"engine.modulepath": "./modules",
+			"engine.modsuffix": ".yate",
+			"engine.logfile": "",
+			"engine.clientmode": "false",
+			"engine.supervised": "false",
+			"engine.maxworkers": "10"
+		}, options.locals);
+
+		this.installs = new Map(); // name -> {name, priority, filterName, filterValue}
+		this.watches = new Set(); // names
+		this.setlocals = {}; // name -> value
+		this.dispatched = []; // messages dispatched by script
+		this.acknowledged = []; // acknowledgements of script
+		this.output = []; // output lines
+		this.calls = new Map(); // id -> MockCall
+		this.connection = undefined; // {role, id, type}
+
+		this._responders = new Map(); // name -> function(message)
+		this._waiting = new Map(); // id -> resolve
+		this._out = null;
+		this._server = null;
+		this._counter = 0;
+		this._calls = 0;
+	}
+
+	/**
+	 * Listens for the script connection on TCP port or Unix socket path.
+	 * @method
+	 * @param {number|Object} options - port or net.Server.listen options like {port, host} or {path} (required)
+	 * @returns {Promise} - resolve(address)
+	 * @async
+	 */
+	listen(options) {
+		this._server = createServer(socket => this._connection(socket, socket));
+		return new Promise((resolve, reject) => {
+			this._server.once("error", reject);
+			this._server.listen(options, () => resolve(this._server.address()));
+		});
+	}
+
+	/**
+	 * Connects the Yate instance in-memory. It is used instead of yate.init()
+	 * @method
+	 * @param {Yate} yate - Yate instance created with any "host" option (required)
+	 * @returns {Yate}
+	 */
+	attach(yate) {
+		let toScript = new PassThrough();
+		let toEngine = new PassThrough();
+		this._connection(toEngine, toScript);
+		yate.in = toScript;
+		yate.out = toEngine;
+		yate._init();
+		yate.emit("_connect");
+		return yate;
+	}
+
+	/**
+	 * Closes the connection and the server
+	 * @method
+	 * @returns {Promise}
+	 * @async
+	 */
+	close() {
+		if (this._out) this._out.end();
+		this._out = null;
+		if (!this._server) return Promise.resolve();
+		return new Promise(resolve => this._server.close(() => resolve()));
+	}
+
+	/**
+	 * Sets the scripted response to the message dispatched by script.
+	 * Responder is object {handled, retvalue, params} or function(message) returning it or Promise of it.
+	 * @method
+	 * @param {string} name - message name (required)
+	 * @param {Object|function} responder - (required)
+	 * @example
+	 * engine.respond("call.route", message => ({handled: true, retvalue: "sip/sip:" + message.params.called + "@1.2.3.4"}));
+	 */
+	respond(name, responder) {
+		this._responders.set(name, responder);
+	}
+
+	/**
+	 * Sends the message to the script like installed handler of the Engine.
+	 * Message is not sent if there is no installed handler or the install filter does not match.
+	 * @method
+	 * @param {string} name - message name (required)
+	 * @param {Object} params - message parameters (optional)
+	 * @param {string} retvalue - (optional)
+	 * @returns {Promise} - resolve({id, name, handled, retvalue, params}) with the acknowledgement of script
+	 * @async
+	 */
+	message(name, params = {}, retvalue = "") {
+		let id = "mock." + ++this._counter;
+		let install = this.installs.get(name);
+		if (!install || !this._match(install, params)) {
+			return Promise.resolve({ id: id, name: name, handled: false, retvalue: retvalue, params: params });
+		}
+		return new Promise(resolve => {
+			this._waiting.set(id, resolve);
+			this._send(format({ keyword: "%%>message", id: id, time: Math.floor(Date.now() / 1000), name: name, retvalue: retvalue, params: _params(params) }));
+		});
+	}
+
+	/**
+	 * Sends the notification to the script like watched message of the Engine.
+	 * @method
+	 * @param {string} name - message name (required)
+	 * @param {Object} params - message parameters (optional)
+	 * @param {string} retvalue - (optional)
+	 * @param {boolean} handled - (optional)
+	 * @returns {boolean} - true if message is watched by the script
+	 */
+	notify(name, params = {}, retvalue = "", handled = false) {
+		if (!this.watches.has(name)) return false;
+		this._send(format({ keyword: "%%<message", id: "", handled: handled, name: name, retvalue: retvalue, params: _params(params) }));
+		return true;
+	}
+
+	/**
+	 * Simulates incoming call: "call.route" to installed handler and "call.execute" notification if routed to "dumb/"
+	 * @method
+	 * @param {Object} params - call.route parameters: caller, called, etc. (optional)
+	 * @returns {Promise} - resolve(MockCall)
+	 * @async
+	 */
+	call(params = {}) {
+		let call = new MockCall(this, params);
+		let route = Object.assign({ id: call.id, billid: call.billid, module: "sip", status: "incoming" }, params, { id: call.id });
+		return this.message("call.route", route)
+			.then(ack => {
+				call.route = ack;
+				if (!ack.handled) {
+					call.hangup("noroute");
+				} else if (ack.retvalue.startsWith("dumb/")) {
+					call.peerid = "dumb/" + this._calls;
+					if (ack.params.autoanswer === "true") call.status = "answered";
+					let execute = Object.assign({}, route, ack.params, { callto: ack.retvalue, peerid: call.peerid, targetid: call.peerid });
+					this.notify("call.execute", execute, "", true);
+				} else {
+					call.transfers.push(ack.retvalue);
+				}
+				return call;
+			});
+	}
+
+	// script connected
+	_connection(input, output) {
+		this._out = output;
+		let parser = new YateParser();
+		// in-memory streams are synchronous
+		parser.on("record", (record, line) => setImmediate(() => this._read(record, line)));
+		parser.on("protocolError", error => setImmediate(() => {
+			this.emit("line", error.line);
+			this._send("Error in: " + error.line);
+		}));
+		input.pipe(parser);
+		input.on("error", () => {});
+		output.on("error", () => {});
+		this.emit("connect");
+	}
+
+	_send(line) {
+		if (!this._out) return;
+		this.emit("send", line);
+		this._out.write(line + "\n");
+	}
+
+	// script -> engine
+	_read(record, line) {
+		this.emit("line", line);
+		switch (record.keyword) {
+			case "%%>output":
+				this.output.push(record.text);
+				this.emit("output", record.text);
+				break;
+			case "%%>connect":
+				this.connection = { role: record.role, id: record.id || "", type: record.type || "" };
+				break;
+			case "%%>setlocal":
+				this._setlocal(record.name, record.value || "");
+				break;
+			case "%%>install": {
+				let install = { priority: record.priority, name: record.name };
+				if (record.filterName !== undefined) {
+					install.filterName = record.filterName;
+					install.filterValue = record.filterValue || "";
+				}
+				this.installs.set(install.name, install);
+				this._send(format({ keyword: "%%<install", priority: install.priority, name: install.name, success: true }));
+				this.emit("install", install);
+				break;
+			}
+			case "%%>uninstall": {
+				let install = this.installs.get(record.name);
+				this.installs.delete(record.name);
+				this._send(format({ keyword: "%%<uninstall", priority: install ? install.priority : 0, name: record.name, success: !!install }));
+				this.emit("uninstall", record.name);
+				break;
+			}
+			case "%%>watch":
+				this.watches.add(record.name);
+				this._send(format({ keyword: "%%<watch", name: record.name, success: true }));
+				this.emit("watch", record.name);
+				break;
+			case "%%>unwatch":
+				this._send(format({ keyword: "%%<unwatch", name: record.name, success: this.watches.delete(record.name) }));
+				this.emit("unwatch", record.name);
+				break;
+			case "%%>message": {
+				let message = { id: record.id, time: "" + record.time, name: record.name, retvalue: record.retvalue, params: record.params };
+				this.dispatched.push(message);
+				this.emit("dispatch", message);
+				this._dispatch(message);
+				break;
+			}
+			case "%%<message": {
+				let ack = { id: record.id, handled: record.handled, name: record.name, retvalue: record.retvalue, params: record.params };
+				this.acknowledged.push(ack);
+				this.emit("acknowledge", ack);
+				let resolve = this._waiting.get(ack.id);
+				if (resolve) {
+					this._waiting.delete(ack.id);
+					resolve(ack);
+				}
+				break;
+			}
+			default:
+				this._send("Error in: " + line);
+		}
+	}
+
+	_setlocal(name, value) {
+		let success = true;
+		if (name.startsWith("engine.")) {
+			success = name in this.locals;
+			value = success ? this.locals[name] : "";
+		} else if (value === "") {
+			value = name in this.setlocals ? this.setlocals[name] : "";
+		} else {
+			this.setlocals[name] = value;
+		}
+		this._send(format({ keyword: "%%<setlocal", name: name, value: value, success: success }));
+		this.emit("setlocal", name, value);
+	}
+
+	// answer to message dispatched by script
+	_dispatch(message) {
+		let responder = this._responders.get(message.name);
+		let response;
+		if (typeof responder === "function") response = responder(message);
+		else if (responder) response = responder;
+		else response = this._simulate(message);
+
+		Promise.resolve(response).then(res => {
+			res = res || {};
+			let params = Object.assign({}, message.params, res.params);
+			this._send(format({ keyword: "%%<message", id: message.id, handled: res.handled, name: message.name,
+				retvalue: res.retvalue === undefined ? message.retvalue : res.retvalue, params: _params(params) }));
+		});
+	}
+
+	// built-in behaviour of simulated call legs
+	_simulate(message) {
+		let params = message.params;
+		let name = message.name === "chan.masquerade" ? params.message : message.name;
+		let call = this._findCall(params.id);
+
+		switch (name) {
+			case "chan.attach":
+				if (!call) return { handled: false };
+				if (params.override) call.played.push(params.override);
+				if (params.source && params.source !== "wave/play/-") call.played.push(params.source);
+				if (params.consumer && params.consumer !== "wave/record/-") call.recorded.push(params.consumer);
+				call.emit("attach", params);
+				// notify on the end of prompt
+				if (params.notify && params.source && params.source !== "wave/play/-") {
+					setTimeout(() => {
+						if (call.status !== "hangup") this.notify("chan.notify", { targetid: params.notify, reason: "eof" });
+					}, this.mediaDuration);
+				}
+				return { handled: true };
+			case "call.execute":
+				if (params.callto === "dumb/" && (params.direct || params.target)) return this._originate(params);
+				if (!call) return { handled: false };
+				call.transfers.push(params.callto);
+				call.emit("transfer", params.callto);
+				return { handled: true, params: { peerid: params.callto + "/" + ++this._counter } };
+			case "call.ringing":
+			case "call.progress":
+			case "call.answered":
+				if (!call) return { handled: false };
+				if (call.status !== "answered") call.status = name === "call.answered" ? "answered" : "ringing";
+				call.emit(name, params);
+				return { handled: true };
+			case "call.drop":
+				if (!call) return { handled: false };
+				setImmediate(() => call.hangup(params.reason || "dropped"));
+				return { handled: true };
+			default:
+				return { handled: false };
+		}
+	}
+
+	// YateChannel.originate()
+	_originate(params) {
+		let call = new MockCall(this, Object.assign({}, params, { direction: "outgoing", called: params.called || params.target }));
+		call.peerid = "dumb/" + this._calls;
+		call.callto = params.direct || params.target;
+		this.emit("originate", call);
+		if (typeof this.answerDelay === "number") setTimeout(() => call.answer(), this.answerDelay);
+		return { handled: true, params: { id: call.peerid, peerid: call.id, targetid: call.id } };
+	}
+
+	// channel by id or peerid
+	_findCall(id) {
+		if (this.calls.has(id)) return this.calls.get(id);
+		for (let call of this.calls.values()) {
+			if (call.peerid === id) return call;
+		}
+	}
+
+	// install filter, exact match
+	_match(install, params) {
+		if (!install.filterName) return true;
+		return install.filterName in params && "" + params[install.filterName] === install.filterValue;
+	}
+}
+
+// {key: value} without nested objects
+function _params(params) {
+	let res = {};
+	for (let key in params) {
+		if (params[key] === undefined || params[key] === null || typeof params[key] === "object") continue;
+		res[key] = params[key];
+	}
+	return res;
+}
+
+module.exports = {
+	MockEngine,
+	MockCall
+};
@@ -0,0 +1,53 @@
+// Type definitions for next-yate/protocol
+
+/// <reference types="node" />
+
+import { Writable, WritableOptions } from "stream";
+
+export type Keyword = "%%>message" | "%%<message" | "%%>install" | "%%<install" | "%%>uninstall" | "%%<uninstall"
+	| "%%>watch" | "%%<watch" | "%%>unwatch" | "%%<unwatch" | "%%>setlocal" | "%%<setlocal" | "%%>output" | "%%>connect" | "Error in";
+
+export interface ProtocolRecord {
+	keyword: Keyword;
+	id?: string;
+	time?: number;
+	name?: string;
+	retvalue?: string;
+	handled?: boolean;
+	success?: boolean;
+	priority?: number;
+	filterName?: string;
+	filterValue?: string;
+	value?: string;
+	role?: string;
+	type?: string;
+	text?: string;
+	params?: { [param: string]: any };
+}
+
+export class ParseError extends Error {
+	constructor(message: string, line: string, position?: number);
+	line: string;
+	/** position of the error in the line, -1 if unknown */
+	position: number;
+}
+
+export function parse(line: string): ProtocolRecord;
+export function format(record: ProtocolRecord): string;
+export function escape(value: any, extra?: string): string;
+export function unescape(str: string, line?: string, offset?: number): string;
+
+export interface YateParserOptions extends WritableOptions {
+	/** the longest accepted line, default 0 - unlimited */
+	maxLength?: number;
+}
+
+export class YateParser extends Writable {
+	constructor(options?: YateParserOptions);
+	push(data: string): void;
+	line(line: string): void;
+
+	on(event: "record", listener: (record: ProtocolRecord, line: string) => void): this;
+	on(event: "protocolError", listener: (error: ParseError) => void): this;
+	on(event: string | symbol, listener: (...args: any[]) => void): this;
+}
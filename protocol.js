@@ -0,0 +1,312 @@
+/**
+ * @file "Next-Yate" external module protocol
+ * @license Apache-2.0
+ * @description Strict parser and serializer of Yate's external module command lines.
+ * @see https://docs.yate.ro/wiki/External_module_command_flow
+ */
+"use strict";
+
+const { Writable } = require("stream");
+const { StringDecoder } = require("string_decoder");
+
+/*
+ * Fields of every keyword after the keyword itself.
+ * "params" - the rest of the line is key=value list of the message.
+ */
+const _KEYWORDS = {
+	"%%>message": ["id", "time", "name", "retvalue", "params"],
+	"%%<message": ["id", "handled", "name", "retvalue", "params"],
+	"%%>install": ["priority", "name", "filterName", "filterValue"],
+	"%%<install": ["priority", "name", "success"],
+	"%%>uninstall": ["name"],
+	"%%<uninstall": ["priority", "name", "success"],
+	"%%>watch": ["name"],
+	"%%<watch": ["name", "success"],
+	"%%>unwatch": ["name"],
+	"%%<unwatch": ["name", "success"],
+	"%%>setlocal": ["name", "value"],
+	"%%<setlocal": ["name", "value", "success"],
+	"%%>output": ["text"],
+	"%%>connect": ["role", "id", "type"],
+	"Error in": ["text"]
+};
+// fields which may be absent at the end of the line
+const _OPTIONAL = ["params", "filterName", "filterValue", "value", "id", "type"];
+const _BOOLEANS = ["handled", "success"];
+const _INTEGERS = ["priority", "time"];
+
+/**
+ * The line does not follow the external module protocol.
+ * @class
+ * @param {string} message - error text
+ * @param {string} line - offending line
+ * @param {number} position - position of the error in the line, -1 if unknown
+ */
+class ParseError extends Error {
+	constructor(message, line, position = -1) {
+		super(message);
+		this.name = this.constructor.name;
+		this.line = line;
+		this.position = position;
+	}
+}
+
+/**
+ * Parses the command line of any direction.
+ * Values are unescaped, booleans and integers are converted, message parameters are flat {key: value} object.
+ * @function
+ * @param {string} line - the line without "\n" (required)
+ * @returns {Object} - {keyword, ...fields} for example {keyword: "%%<watch", name: "engine.timer", success: true}
+ * @throws {ParseError} - unknown keyword, malformed escape, missing or invalid field
+ * @example
+ * const { parse } = require("next-yate/protocol");
+ * parse("%%>message:0x1:1580736088:call.route::called=32843");
+ * // { keyword: "%%>message", id: "0x1", time: 1580736088, name: "call.route", retvalue: "", params: { called: "32843" } }
+ */
+function parse(line) {
+	if (typeof line !== "string") throw new ParseError("Line is not a string", "" + line);
+	if (line.startsWith("Error in:")) return { keyword: "Error in", text: line.substr(9).replace(/^ /, "") };
+
+	let pos = line.indexOf(":");
+	let keyword = pos < 0 ? line : line.substr(0, pos);
+	let fields = _KEYWORDS[keyword];
+	if (!fields) throw new ParseError("Unknown keyword " + JSON.stringify(keyword), line, 0);
+
+	let record = { keyword: keyword };
+	// %%>output:arbitrary unescaped string
+	if (keyword === "%%>output") {
+		record.text = pos < 0 ? "" : line.substr(pos + 1);
+		return record;
+	}
+
+	let args = pos < 0 ? [] : line.substr(pos + 1).split(":");
+	let offset = keyword.length + 1; // position of the current argument
+	for (let i = 0; i < fields.length; i++) {
+		let field = fields[i];
+		if (field === "params") {
+			record.params = _parseParams(args.slice(i), line, offset);
+			break;
+		}
+		if (i >= args.length) {
+			if (_OPTIONAL.includes(field)) break;
+			throw new ParseError("Missing " + field + " of " + keyword + ", the line may be truncated", line, line.length);
+		}
+		record[field] = _field(field, args[i], line, offset);
+		offset += args[i].length + 1;
+	}
+	if (!("params" in record) && fields.includes("params")) record.params = {};
+	if (args.length > fields.length && !fields.includes("params"))
+		throw new ParseError("Too many fields of " + keyword, line, offset);
+	if (record.name === "" && keyword !== "%%<message")
+		throw new ParseError("Empty name of " + keyword, line);
+	return record;
+}
+
+/**
+ * Serializes the record to the command line, reverse of parse()
+ * @function
+ * @param {Object} record - {keyword, ...fields}, params values are converted to strings (required)
+ * @returns {string} - the line without "\n"
+ * @throws {ParseError} - unknown keyword
+ * @example
+ * const { format } = require("next-yate/protocol");
+ * format({ keyword: "%%>install", priority: 80, name: "call.route", filterName: "called", filterValue: "^9999$" });
+ * // "%%>install:80:call.route:called:^9999$"
+ */
+function format(record) {
+	let fields = _KEYWORDS[record.keyword];
+	if (!fields) throw new ParseError("Unknown keyword " + JSON.stringify(record.keyword), "");
+	if (record.keyword === "Error in") return "Error in: " + record.text;
+	if (record.keyword === "%%>output") return "%%>output:" + ("" + record.text).replace(/\n/g, " ");
+
+	let line = record.keyword;
+	let last = fields.length;
+	// skip absent optional fields at the end
+	while (last > 0 && _OPTIONAL.includes(fields[last - 1]) && record[fields[last - 1]] === undefined) last--;
+	for (let i = 0; i < last; i++) {
+		let field = fields[i];
+		let value = record[field];
+		if (field === "params") line += _formatParams(value);
+		else if (_BOOLEANS.includes(field)) line += ":" + (value ? "true" : "false");
+		else line += ":" + escape(value);
+	}
+	return line;
+}
+
+/**
+ * Escapes the value: codes lower than 32 and ":" become %<code + 64>, "%" becomes "%%"
+ * @function
+ * @param {any} value
+ * @param {string} extra - one more character to escape, for example "=" in parameter names (optional)
+ * @returns {string}
+ */
+function escape(value, extra) {
+	if (value === undefined || value === null) return "";
+	let str = "" + value;
+	let res = "";
+	for (let i = 0; i < str.length; i++) {
+		let chr = str.charAt(i);
+		let code = chr.charCodeAt(0);
+		if (code < 32 || chr === ":" || chr === extra) res += "%" + String.fromCharCode(code + 64);
+		else if (chr === "%") res += "%%";
+		else res += chr;
+	}
+	return res;
+}
+
+/**
+ * Unescapes the value.
+ * @function
+ * @param {string} str
+ * @param {string} line - the line of the value to report (optional)
+ * @param {number} offset - position of the value in the line (optional)
+ * @returns {string}
+ * @throws {ParseError} - "%" is not followed by "%" or a character with code 64 or higher
+ */
+function unescape(str, line, offset = 0) {
+	if (str.indexOf("%") < 0) return str;
+	let res = "";
+	for (let i = 0; i < str.length; i++) {
+		let chr = str.charAt(i);
+		if (chr === "%") {
+			i++;
+			if (i >= str.length)
+				throw new ParseError("Incomplete escape at the end of value, the line may be truncated", line === undefined ? str : line, offset + i - 1);
+			chr = str.charAt(i);
+			if (chr !== "%") {
+				let code = chr.charCodeAt(0);
+				if (code < 64) throw new ParseError("Malformed escape %" + chr, line === undefined ? str : line, offset + i - 1);
+				chr = String.fromCharCode(code - 64);
+			}
+		}
+		res += chr;
+	}
+	return res;
+}
+
+/**
+ * YateParser is incremental parser of the external module stream.
+ * Write the chunks of the stream to it, every complete line is parsed and emitted.
+ * @class
+ * @param {Object} options - stream.Writable options (optional)
+ * @param {number} options.maxLength - the longest accepted line, the longer line is dropped with protocolError, default 0 - unlimited
+ * @fires YateParser#record - (record, line) parsed line
+ * @fires YateParser#protocolError - (error) ParseError with the offending line
+ * @example
+ * const { YateParser } = require("next-yate/protocol");
+ * let parser = new YateParser();
+ * parser.on("record", record => console.log(record.keyword, record.name));
+ * parser.on("protocolError", error => console.log(error.message, error.line));
+ * socket.pipe(parser);
+ */
+class YateParser extends Writable {
+	constructor(options = {}) {
+		super(options);
+		this._decoder = new StringDecoder("utf8");
+		this._buffer = "";
+		this._maxLength = typeof options.maxLength == "number" ? options.maxLength : 0;
+		this._skip = false; // the rest of too long line
+	}
+
+	_write(chunk, encoding, callback) {
+		this.push(typeof chunk === "string" ? chunk : this._decoder.write(chunk));
+		callback();
+	}
+
+	_final(callback) {
+		this.push(this._decoder.end());
+		if (this._buffer && !this._skip)
+			this.emit("protocolError", new ParseError("Incomplete line at the end of stream", this._buffer, this._buffer.length));
+		this._buffer = "";
+		callback();
+	}
+
+	/**
+	 * Parses the next chunk of the stream
+	 * @method
+	 * @param {string} data
+	 */
+	push(data) {
+		let lines = (this._buffer + data).split("\n");
+		this._buffer = lines.pop();
+		lines.forEach(line => {
+			if (this._skip) {
+				this._skip = false;
+				return;
+			}
+			if (this._maxLength && line.length > this._maxLength) return this._tooLong(line);
+			this.line(line.endsWith("\r") ? line.slice(0, -1) : line);
+		});
+		if (this._maxLength && this._buffer.length > this._maxLength) {
+			if (!this._skip) this._tooLong(this._buffer);
+			this._skip = true;
+			this._buffer = "";
+		}
+	}
+
+	_tooLong(line) {
+		this.emit("protocolError", new ParseError("Line exceeds " + this._maxLength + " characters", line.substr(0, this._maxLength), this._maxLength));
+	}
+
+	/**
+	 * Parses the complete line
+	 * @method
+	 * @param {string} line
+	 */
+	line(line) {
+		if (!line) return;
+		let record;
+		try {
+			record = parse(line);
+		} catch (error) {
+			this.emit("protocolError", error);
+			return;
+		}
+		this.emit("record", record, line);
+	}
+}
+
+// key=value list
+function _parseParams(args, line, offset) {
+	let params = {};
+	args.forEach(item => {
+		let pos = item.indexOf("=");
+		if (pos === 0) throw new ParseError("Empty parameter name", line, offset);
+		if (pos < 0) params[unescape(item, line, offset)] = "";
+		else params[unescape(item.substr(0, pos), line, offset)] = unescape(item.substr(pos + 1), line, offset + pos + 1);
+		offset += item.length + 1;
+	});
+	return params;
+}
+
+function _formatParams(params) {
+	let res = "";
+	for (let key in params) {
+		let value = params[key];
+		if (value === undefined || value === null) continue;
+		res += ":" + escape(key, "=") + "=" + escape(value);
+	}
+	return res;
+}
+
+// typed field
+function _field(field, value, line, offset) {
+	if (_BOOLEANS.includes(field)) {
+		if (value !== "true" && value !== "false") throw new ParseError("Invalid " + field + " " + JSON.stringify(value), line, offset);
+		return value === "true";
+	}
+	if (_INTEGERS.includes(field)) {
+		if (!/^-?\d+$/.test(value)) throw new ParseError("Invalid " + field + " " + JSON.stringify(value), line, offset);
+		return parseInt(value);
+	}
+	return unescape(value, line, offset);
+}
+
+module.exports = {
+	parse,
+	format,
+	escape,
+	unescape,
+	YateParser,
+	ParseError
+};
@@ -0,0 +1,131 @@
+/**
+ * @file "Next-Yate" call detail records tests
+ * @description Assembling the legs, file sinks, journal replay and retry of the failed sinks.
+ * Usage: npm test
+ */
+"use strict";
+
+const test = require("node:test");
+const assert = require("assert");
+const { mkdtempSync, readFileSync, existsSync } = require("fs");
+const { tmpdir } = require("os");
+const { join } = require("path");
+const { Yate, CdrCollector } = require("..");
+const { MockEngine } = require("../mock");
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function connect() {
+	let yate = new Yate({ host: "in-memory", reconnect: false });
+	let engine = new MockEngine();
+	engine.attach(yate);
+	return { yate: yate, engine: engine };
+}
+
+function leg(operation, chan, billid, extra) {
+	return Object.assign({ operation: operation, chan: chan, billid: billid, caller: "100", called: "200", time: "1580736088.5" }, extra);
+}
+
+function lines(file) {
+	return existsSync(file) ? readFileSync(file, "utf8").split("\n").filter(line => line) : [];
+}
+
+test("legs with the same billid make one record", async () => {
+	let dir = mkdtempSync(join(tmpdir(), "next-yate-"));
+	let { yate, engine } = connect();
+	let cdr = new CdrCollector(yate, {
+		journal: join(dir, "journal"), delay: 10,
+		sinks: [{ type: "csv", file: join(dir, "cdr.csv") }, { type: "jsonl", file: join(dir, "cdr.jsonl"), fields: ["billid", "billtime", "status"] }]
+	});
+	assert.strictEqual(await cdr.init(), true);
+	engine.notify("call.cdr", leg("initialize", "sip/1", "b1", { direction: "incoming" }));
+	engine.notify("call.cdr", leg("initialize", "sip/2", "b1", { direction: "outgoing" }));
+	engine.notify("call.cdr", leg("finalize", "sip/1", "b1", { direction: "incoming", billtime: "8.2", status: "answered" }));
+	await wait(30);
+	assert.strictEqual(cdr.size, 1);
+	engine.notify("call.cdr", leg("finalize", "sip/2", "b1", { direction: "outgoing", billtime: "8.3" }));
+	await wait(50);
+	assert.strictEqual(cdr.size, 0);
+
+	let csv = lines(join(dir, "cdr.csv"));
+	assert.strictEqual(csv.length, 2);
+	assert.ok(csv[0].startsWith("billid,time,caller,called"));
+	assert.ok(csv[1].startsWith("b1,2020-02-03T13:21:28.500Z,100,200,"));
+	assert.deepStrictEqual(lines(join(dir, "cdr.jsonl")).map(line => JSON.parse(line)), [{ billid: "b1", billtime: 8.3, status: "answered" }]);
+	assert.deepStrictEqual(lines(join(dir, "journal")), []);
+	await cdr.close();
+});
+
+test("journal replays the calls in progress after restart", async () => {
+	let dir = mkdtempSync(join(tmpdir(), "next-yate-"));
+	let records = [];
+	let options = { journal: join(dir, "journal"), delay: 10, sinks: row => { records.push(row.billid) } };
+	let first = connect();
+	let cdr = new CdrCollector(first.yate, options);
+	await cdr.init();
+	first.engine.notify("call.cdr", leg("initialize", "sip/1", "b1", { direction: "incoming" }));
+	await wait(30);
+	await cdr.close();
+	assert.deepStrictEqual(records, []);
+
+	let second = connect();
+	cdr = new CdrCollector(second.yate, options);
+	await cdr.init();
+	assert.strictEqual(cdr.size, 1);
+	second.engine.notify("call.cdr", leg("finalize", "sip/1", "b1", { direction: "incoming" }));
+	await wait(50);
+	assert.deepStrictEqual(records, ["b1"]);
+	assert.deepStrictEqual(lines(join(dir, "journal")), []);
+	await cdr.close();
+});
+
+test("only the failed sinks get the record again", async () => {
+	let dir = mkdtempSync(join(tmpdir(), "next-yate-"));
+	let failing = true;
+	let delivered = [];
+	let options = {
+		journal: join(dir, "journal"), delay: 10,
+		sinks: [{ type: "jsonl", file: join(dir, "cdr.jsonl") }, row => {
+			if (failing) return Promise.reject(new Error("database is down"));
+			delivered.push(row.billid);
+		}]
+	};
+	let first = connect();
+	let cdr = new CdrCollector(first.yate, options);
+	let errors = [];
+	cdr.on("error", error => errors.push(error.message));
+	await cdr.init();
+	first.engine.notify("call.cdr", leg("finalize", "sip/1", "b1"));
+	first.engine.notify("call.cdr", leg("finalize", "sip/2", "b2"));
+	await wait(50);
+	assert.deepStrictEqual(errors, ["database is down", "database is down"]);
+	await cdr.close();
+
+	// restart, b1 and b2 are written to the callback only
+	failing = false;
+	let second = connect();
+	cdr = new CdrCollector(second.yate, options);
+	await cdr.init();
+	await wait(50);
+	assert.deepStrictEqual(delivered.sort(), ["b1", "b2"]);
+	assert.deepStrictEqual(lines(join(dir, "cdr.jsonl")).map(line => JSON.parse(line).billid), ["b1", "b2"]);
+	assert.deepStrictEqual(lines(join(dir, "journal")), []);
+	await cdr.close();
+});
+
+test("collectors on the same connection keep their own watch", async () => {
+	let { yate, engine } = connect();
+	let first = [];
+	let second = [];
+	let one = new CdrCollector(yate, { delay: 0, sinks: row => { first.push(row.billid) } });
+	let two = new CdrCollector(yate, { delay: 0, sinks: row => { second.push(row.billid) } });
+	await one.init();
+	await two.init();
+	await one.close();
+	engine.notify("call.cdr", leg("finalize", "sip/1", "b1"));
+	await wait(30);
+	assert.deepStrictEqual(first, []);
+	assert.deepStrictEqual(second, ["b1"]);
+	await two.close();
+	assert.strictEqual(engine.watches.has("call.cdr"), false);
+});
@@ -0,0 +1,66 @@
+/**
+ * @file "Next-Yate" rmanager command tests
+ * @description Arguments and options of Yate.command(), the output formats, tab completion and help.
+ * Usage: npm test
+ */
+"use strict";
+
+const test = require("node:test");
+const assert = require("assert");
+const { Yate } = require("..");
+const { MockEngine } = require("../mock");
+
+function connect() {
+	let yate = new Yate({ host: "in-memory", reconnect: false });
+	let engine = new MockEngine();
+	engine.attach(yate);
+	return { yate: yate, engine: engine };
+}
+
+const command = (engine, line) => engine.message("engine.command", { line: line });
+
+test("arguments and options are parsed, rows are formatted as table", async () => {
+	let { yate, engine } = connect();
+	assert.strictEqual(await yate.command("route <number> [--caller X] [--debug]", args => [{ called: args.number, caller: args.caller, debug: args.debug }]), true);
+	assert.ok(engine.installs.has("engine.command") && engine.installs.has("engine.help"));
+	let ack = await command(engine, "route 100 --caller \"John Doe\" --debug");
+	assert.strictEqual(ack.handled, true);
+	assert.strictEqual(ack.retvalue, "called  caller    debug\r\n------  --------  -----\r\n100     John Doe  true\r\n");
+	assert.strictEqual((await command(engine, "route 100 --caller=200")).retvalue.split("\r\n")[2].trimEnd(), "100     200");
+});
+
+test("invalid arguments print the usage, other commands are not handled", async () => {
+	let { yate, engine } = connect();
+	await yate.command("route <number> [--caller X]", () => "ok");
+	await yate.command("route show", () => ({ routes: 2, cached: false }));
+	await yate.command("fail [words...]", args => Promise.reject(new Error("failed " + args.words.join(","))));
+	assert.strictEqual((await command(engine, "route show")).retvalue, "routes: 2\r\ncached: false\r\n");
+	assert.strictEqual((await command(engine, "route")).retvalue, "Missing number\r\nUsage: route show\r\n       route <number> [--caller X]\r\n");
+	assert.strictEqual((await command(engine, "route 100 --called 200")).retvalue.split("\r\n")[0], "Unknown option --called");
+	assert.strictEqual((await command(engine, "fail a b")).retvalue, "Error: failed a,b\r\n");
+	let ack = await command(engine, "status");
+	assert.deepStrictEqual([ack.handled, ack.retvalue], [false, ""]);
+	await assert.rejects(yate.command("route <number", () => {}), /Unclosed </);
+});
+
+test("tab completion adds the commands, options and values", async () => {
+	let { yate, engine } = connect();
+	await yate.command("route <number> [--caller X]", () => "", { complete: { number: ["100", "200"], caller: () => Promise.resolve(["300"]) } });
+	await yate.command("reload", () => "");
+	let complete = (partline, partword, retvalue) => engine.message("engine.command", { partline: partline, partword: partword }, retvalue)
+		.then(ack => ack.retvalue);
+	assert.strictEqual(await complete("", "r", "restart"), "restart\troute\treload");
+	assert.strictEqual(await complete("route", ""), "100\t200\t--caller");
+	assert.strictEqual(await complete("route 100", "--"), "--caller");
+	assert.strictEqual(await complete("route 100 --caller", ""), "300");
+	assert.strictEqual(await complete("reload", ""), "");
+});
+
+test("help lists the commands and describes one", async () => {
+	let { yate, engine } = connect();
+	await yate.command("route <number>", () => "", { help: "Routes the number\nlike incoming call" });
+	let list = await engine.message("engine.help", { line: "" }, "  status\r\n");
+	assert.deepStrictEqual([list.handled, list.retvalue], [false, "  status\r\n  route <number>\r\n"]);
+	let route = await engine.message("engine.help", { line: "route" });
+	assert.deepStrictEqual([route.handled, route.retvalue], [true, "  route <number>\r\nRoutes the number\r\nlike incoming call\r\n"]);
+});
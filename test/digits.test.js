@@ -0,0 +1,86 @@
+/**
+ * @file "Next-Yate" DTMF collection tests
+ * @description YateChannel.getDigits() completion by max, terminator, timeout and hangup, the DTMF buffer and the channel watches.
+ * Usage: npm test
+ */
+"use strict";
+
+const test = require("node:test");
+const assert = require("assert");
+const { Yate, YateChannel } = require("..");
+const { MockEngine } = require("../mock");
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// incoming call routed to the script {call, chan}
+async function incoming() {
+	let yate = new Yate({ host: "in-memory", reconnect: false });
+	let engine = new MockEngine();
+	engine.attach(yate);
+	let initialized;
+	await yate.install(msg => {
+		msg.retValue("dumb/");
+		let chan = new YateChannel(msg);
+		initialized = chan.init().then(() => chan);
+		return true;
+	}, "call.route");
+	let call = await engine.call({ caller: "100", called: "200" });
+	return { call: call, chan: await initialized };
+}
+
+test("digits are collected up to max", async () => {
+	let { call, chan } = await incoming();
+	let input = chan.getDigits({ max: 3 });
+	call.dtmf("1234");
+	assert.deepStrictEqual(await input, { digits: "123", reason: "max" });
+	assert.deepStrictEqual(await chan.getDigits({ max: 1 }), { digits: "4", reason: "max" });
+});
+
+test("buffered digits are taken first, the terminator completes the input", async () => {
+	let { call, chan } = await incoming();
+	call.dtmf("12");
+	await wait(20);
+	let input = chan.getDigits({ terminators: "#*" });
+	call.dtmf("3*");
+	assert.deepStrictEqual(await input, { digits: "123", reason: "terminator", terminator: "*" });
+
+	call.dtmf("9");
+	await wait(20);
+	assert.deepStrictEqual(await chan.getDigits({ flush: true, firstDigitTimeout: 30 }), { digits: "", reason: "timeout" });
+});
+
+test("input is completed by the inter-digit timeout and by hangup", async () => {
+	let { call, chan } = await incoming();
+	let input = chan.getDigits({ interDigitTimeout: 30 });
+	call.dtmf("1");
+	assert.deepStrictEqual(await input, { digits: "1", reason: "timeout" });
+
+	input = chan.getDigits();
+	call.dtmf("5");
+	call.hangup("normal");
+	assert.deepStrictEqual(await input, { digits: "5", reason: "hangup" });
+	assert.strictEqual(await chan.getDigits(), false);
+});
+
+test("reset() rejects the input", async () => {
+	let { chan } = await incoming();
+	let input = chan.getDigits();
+	chan.reset("menu");
+	await assert.rejects(input, error => error === "menu");
+});
+
+test("channel watches do not take over the DTMF buffer and the hangup processing", async () => {
+	let { call, chan } = await incoming();
+	let pressed = [];
+	let hangups = [];
+	await chan.watch(msg => { pressed.push(msg.text) }, "chan.dtmf");
+	await chan.watch(msg => { hangups.push(msg.reason) }, "chan.hangup");
+	call.dtmf("7#");
+	assert.deepStrictEqual(await chan.getDigits(), { digits: "7", reason: "terminator", terminator: "#" });
+	assert.deepStrictEqual(pressed, ["7", "#"]);
+
+	call.hangup("normal");
+	await wait(20);
+	assert.deepStrictEqual(hangups, ["normal"]);
+	assert.deepStrictEqual([chan.status, chan.ready], ["hangup", false]);
+});
@@ -0,0 +1,43 @@
+/**
+ * @file "Next-Yate" message factory tests
+ * @description Standard message factories, their required and typed parameters and the strict mode.
+ * Usage: npm test
+ */
+"use strict";
+
+const test = require("node:test");
+const assert = require("assert");
+const { Yate, YateMessage, ValidationError, YateError } = require("..");
+const { MockEngine } = require("../mock");
+
+test("factory message is dispatched with its parameters", async () => {
+	let yate = new Yate({ host: "in-memory", reconnect: false });
+	let engine = new MockEngine();
+	engine.attach(yate);
+	engine.respond("call.route", { handled: true, retvalue: "sip/sip:100@1.2.3.4" });
+	let msg = YateMessage.callRoute({ called: 100, caller: "200", maxcall: "30000" });
+	assert.ok(msg instanceof YateMessage);
+	assert.strictEqual((await yate.dispatch(msg)).retValue(), "sip/sip:100@1.2.3.4");
+	assert.deepStrictEqual(engine.dispatched[0].params, { called: "100", caller: "200", maxcall: "30000" });
+
+	await yate.dispatch(YateMessage.chanMasquerade("call.answered", { id: "sip/1", targetid: "sip/2" }));
+	assert.deepStrictEqual([engine.dispatched[1].name, engine.dispatched[1].params.message], ["chan.masquerade", "call.answered"]);
+});
+
+test("missing required and mistyped parameters throw ValidationError", () => {
+	assert.throws(() => YateMessage.callExecute({ id: "sip/1" }), error => error instanceof ValidationError && error instanceof YateError);
+	assert.throws(() => YateMessage.callExecute({ id: "sip/1" }),
+		{ name: "ValidationError", message_name: "call.execute", param: "callto", message: "call.execute: required parameter \"callto\" is missing" });
+	assert.throws(() => YateMessage.callExecute({ callto: "tone/busy", maxcall: "soon", autoanswer: "true" }),
+		{ param: "maxcall", message: "call.execute: parameter \"maxcall\" must be number" });
+	assert.throws(() => YateMessage.chanMasquerade("", { id: "sip/1" }), { param: "message" });
+	assert.throws(() => YateMessage.chanMasquerade("call.drop", {}), { param: "id" });
+});
+
+test("strict mode rejects unknown messages and parameters", () => {
+	assert.doesNotThrow(() => YateMessage.create("call.execute", { callto: "tone/busy", calto: "tone/ring" }));
+	assert.throws(() => YateMessage.create("call.execute", { callto: "tone/busy", calto: "tone/ring" }, { strict: true }),
+		{ name: "ValidationError", param: "calto" });
+	assert.doesNotThrow(() => YateMessage.create("my.message", { any: "value" }));
+	assert.throws(() => YateMessage.create("my.message", {}, { strict: true }), { message: "my.message: unknown message" });
+});
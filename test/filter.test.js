@@ -0,0 +1,55 @@
+/**
+ * @file "Next-Yate" install filter tests
+ * @description Exact install filters are passed to the Engine, the others are applied by the Application.
+ * Usage: npm test
+ */
+"use strict";
+
+const test = require("node:test");
+const assert = require("assert");
+const { Yate } = require("..");
+const { MockEngine } = require("../mock");
+
+function connect() {
+	let yate = new Yate({ host: "in-memory", reconnect: false });
+	let engine = new MockEngine();
+	engine.attach(yate);
+	return { yate: yate, engine: engine };
+}
+
+test("exact filter is installed on the Engine's side", async () => {
+	let { yate, engine } = connect();
+	let called = [];
+	await yate.install(msg => { called.push(msg.called) }, "call.route", 80, "called", "^1\\.2$");
+	assert.deepStrictEqual(engine.installs.get("call.route"), { priority: 80, name: "call.route", filterName: "called", filterValue: "1.2" });
+	await engine.message("call.route", { called: "1.2" });
+	await engine.message("call.route", { called: "102" });
+	assert.deepStrictEqual(called, ["1.2"]);
+	assert.strictEqual(engine.acknowledged.length, 1);
+});
+
+test("regular expression is filtered by the Application", async () => {
+	let { yate, engine } = connect();
+	let called = [];
+	await yate.install(msg => { called.push(msg.called) }, "call.route", 80, "called", "^1.*");
+	assert.strictEqual(engine.installs.get("call.route").filterName, undefined);
+	await engine.message("call.route", { called: "100" });
+	let ack = await engine.message("call.route", { called: "200" });
+	assert.deepStrictEqual(called, ["100"]);
+	assert.strictEqual(ack.handled, false);
+});
+
+test("Engine's filter follows the filters of the remaining handlers", async () => {
+	let { yate, engine } = connect();
+	let first = () => {};
+	let second = () => {};
+	await yate.install(first, "call.route", 80, "called", "^100$");
+	await yate.install(second, "call.route", 80, "called", "^200$");
+	assert.strictEqual(engine.installs.get("call.route").filterName, undefined);
+
+	let reinstalled = new Promise(resolve => engine.once("install", resolve));
+	await yate.uninstall(first, "call.route", 80, "called", "^100$");
+	assert.deepStrictEqual(await reinstalled, { priority: 80, name: "call.route", filterName: "called", filterValue: "200" });
+	assert.strictEqual((await engine.message("call.route", { called: "100" })).handled, false);
+	assert.strictEqual(engine.acknowledged.length, 0);
+});
@@ -0,0 +1,98 @@
+/**
+ * @file "Next-Yate" handler tests
+ * @description Handler chain order and priorities, acknowledgement of failed and late handlers.
+ * Usage: npm test
+ */
+"use strict";
+
+const test = require("node:test");
+const assert = require("assert");
+const { Yate } = require("..");
+const { MockEngine } = require("../mock");
+
+function connect(options) {
+	let yate = new Yate(Object.assign({ host: "in-memory", reconnect: false }, options));
+	let engine = new MockEngine();
+	engine.attach(yate);
+	return { yate: yate, engine: engine };
+}
+
+test("handlers run by priority until one returns true", async () => {
+	let { yate, engine } = connect();
+	let called = [];
+	let handler = (name, result) => msg => {
+		called.push(name);
+		msg.chain = (msg.chain || "") + name;
+		return result;
+	};
+	await yate.install(handler("a", false), "call.route", 50);
+	await yate.install(handler("b", undefined), "call.route", 10);
+	await yate.install(handler("c", true), "call.route", 80);
+	await yate.install(handler("d", true), "call.route", 90);
+	assert.strictEqual(engine.installs.get("call.route").priority, 10);
+
+	let ack = await engine.message("call.route", { called: "100" });
+	assert.deepStrictEqual(called, ["b", "a", "c"]);
+	assert.strictEqual(ack.handled, true);
+	assert.strictEqual(ack.params.chain, "bac");
+});
+
+test("handler of the same filter and priority is replaced", async () => {
+	let { yate, engine } = connect();
+	let called = [];
+	let handler = name => () => { called.push(name) };
+	let first = handler("first");
+	await yate.install(first, "call.route", 80, "called", "100");
+	await yate.install(handler("second"), "call.route", 80, "called", "100");
+	await yate.install(handler("other"), "call.route", 80, "called", "200");
+	await yate.install(first, "call.route", 90, "called", "200");
+	await yate.install(first, "call.route", 70, "called", "200");
+
+	await engine.message("call.route", { called: "100" });
+	await engine.message("call.route", { called: "200" });
+	assert.deepStrictEqual(called, ["second", "first", "other"]);
+});
+
+test("engine priority follows the remaining handlers", async () => {
+	let { yate, engine } = connect();
+	let low = () => false;
+	let high = () => false;
+	await yate.install(low, "call.route", 90);
+	await yate.install(high, "call.route", 10);
+	assert.strictEqual(engine.installs.get("call.route").priority, 10);
+	let reinstalled = new Promise(resolve => engine.once("install", resolve));
+	await yate.uninstall(high, "call.route");
+	assert.strictEqual((await reinstalled).priority, 90);
+	await yate.uninstall(low, "call.route");
+	assert.strictEqual(engine.installs.has("call.route"), false);
+});
+
+test("failed handler is reported and the chain goes on", async () => {
+	let { yate, engine } = connect();
+	let errors = [];
+	yate.on("handlerError", (msg, error) => errors.push(error.message));
+	await yate.install(() => { throw new Error("broken") }, "call.route", 10);
+	await yate.install(() => Promise.reject(new Error("rejected")), "call.route", 20);
+	await yate.install(msg => { msg.retValue("sip/100"); return true }, "call.route", 30);
+
+	let ack = await engine.message("call.route", { called: "100" });
+	assert.deepStrictEqual(errors, ["broken", "rejected"]);
+	assert.strictEqual(ack.handled, true);
+	assert.strictEqual(ack.retvalue, "sip/100");
+});
+
+test("late handler is acknowledged before the engine timeout", { timeout: 5000 }, async () => {
+	let { yate, engine } = connect({ acknowledge_timeout: 1000 });
+	assert.strictEqual(yate.handler_timeout, 900);
+	let errors = [];
+	yate.on("handlerError", (msg, error) => errors.push(error));
+	await yate.install(() => new Promise(() => {}), "call.route");
+
+	let start = Date.now();
+	let ack = await engine.message("call.route", { called: "100" });
+	let elapsed = Date.now() - start;
+	assert.ok(elapsed >= 800 && elapsed < 1000, "acknowledged in " + elapsed + " ms");
+	assert.strictEqual(ack.handled, false);
+	assert.strictEqual(errors.length, 1);
+	assert.strictEqual(errors[0].timeout, true);
+});
@@ -0,0 +1,107 @@
+/**
+ * @file "Next-Yate" IVR menu tests
+ * @description YateMenu transitions, retries of invalid and missing input, function actions and the menu files.
+ * Usage: npm test
+ */
+"use strict";
+
+const test = require("node:test");
+const assert = require("assert");
+const { join } = require("path");
+const { Yate, YateChannel, YateMenu } = require("..");
+const { MockEngine } = require("../mock");
+
+// incoming call routed to the script {call, chan}
+async function incoming() {
+	let yate = new Yate({ host: "in-memory", reconnect: false });
+	let engine = new MockEngine();
+	engine.attach(yate);
+	let initialized;
+	await yate.install(msg => {
+		msg.retValue("dumb/");
+		let chan = new YateChannel(msg);
+		initialized = chan.init().then(() => chan);
+		return true;
+	}, "call.route");
+	let call = await engine.call({ caller: "100", called: "200" });
+	return { call: call, chan: await initialized };
+}
+
+// presses the next key on every played prompt, undefined is no input
+function press(call, keys) {
+	call.on("attach", params => {
+		if (!params.source || params.source === "wave/play/-" || !keys.length) return;
+		let key = keys.shift();
+		if (key !== undefined) setTimeout(() => call.dtmf(key), 5);
+	});
+}
+
+test("digits go to the nodes and transfer the call", async () => {
+	let { call, chan } = await incoming();
+	let menu = await YateMenu.load(join(__dirname, "..", "examples", "ivr_menu.json"));
+	let entered = [];
+	menu.on("enter", name => entered.push(name));
+	press(call, ["0", "1"]);
+	let result = await menu.run(chan);
+	assert.deepStrictEqual([result.node, result.result, result.digits], ["echo", "transfer", "1"]);
+	assert.deepStrictEqual(entered, ["welcome", "welcome", "echo"]);
+	assert.deepStrictEqual(call.transfers, ["external/nodata/echo.sh"]);
+	assert.deepStrictEqual(call.played.slice(-2), ["wave/play/./share/sounds/echotest.au", "tone/dtmf/0"]);
+});
+
+test("invalid and missing input repeat the node until retries are exhausted", async () => {
+	let { call, chan } = await incoming();
+	let menu = new YateMenu({
+		retries: 3,
+		nodes: {
+			main: {
+				prompts: ["main.wav"],
+				input: { firstDigitTimeout: 20 },
+				invalid: ["invalid.wav"],
+				noinput: "noinput.wav",
+				routes: { "1": { end: true } },
+				exhausted: { hangup: "timeout" }
+			}
+		}
+	});
+	let inputs = [];
+	menu.on("input", (name, input) => inputs.push(input.reason));
+	press(call, ["9", undefined]);
+	let result = await menu.run(chan);
+	assert.deepStrictEqual(result, { node: "main", result: "hangup", digits: "" });
+	assert.deepStrictEqual(inputs, ["max", "timeout", "timeout"]);
+	assert.deepStrictEqual(call.played, ["wave/play/main.wav", "wave/play/invalid.wav", "wave/play/main.wav", "wave/play/noinput.wav", "wave/play/main.wav"]);
+	await new Promise(resolve => setImmediate(resolve));
+	assert.strictEqual(call.status, "hangup");
+});
+
+test("function actions and default route", async () => {
+	let { call, chan } = await incoming();
+	let menu = new YateMenu({
+		start: "main",
+		nodes: {
+			main: {
+				prompts: chan => ["hello-" + chan.id + ".wav"],
+				input: { max: 3, terminators: "#" },
+				routes: { default: (chan, digits) => digits.length === 3 ? "confirm" : { hangup: true } }
+			},
+			confirm: {
+				prompts: ["thanks.wav"],
+				next: (chan, digits, menu) => { menu.confirmed = digits }
+			}
+		}
+	});
+	press(call, ["123"]);
+	let result = await menu.run(chan);
+	assert.deepStrictEqual(result, { node: "confirm", result: "end", digits: "123" });
+	assert.strictEqual(menu.confirmed, "123");
+	assert.deepStrictEqual(call.played, ["wave/play/hello-" + call.id + ".wav", "wave/play/thanks.wav"]);
+});
+
+test("menu refers to the known nodes", async () => {
+	assert.throws(() => YateMenu.fromJSON("{\"nodes\": {\"main\": {\"routes\": {\"1\": \"sales\"}}}}"), /refers to unknown node: sales/);
+	assert.throws(() => new YateMenu({ start: "sales", nodes: { main: {} } }), /Start node not found: sales/);
+	await assert.rejects(YateMenu.load(join(__dirname, "missing.json")), { code: "ENOENT" });
+	let { chan } = await incoming();
+	await assert.rejects(new YateMenu({ nodes: { main: {} } }).run(chan, "sales"), /Menu node not found: sales/);
+});
@@ -0,0 +1,139 @@
+/**
+ * @file "Next-Yate" metrics tests
+ * @description Counters and latencies of the connection, Prometheus format, the HTTP endpoint and the engine.status summary.
+ * Usage: npm test
+ */
+"use strict";
+
+const test = require("node:test");
+const assert = require("assert");
+const { createServer } = require("net");
+const { get } = require("http");
+const { Yate, YateMessage, YateChannel } = require("..");
+const { MockEngine } = require("../mock");
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function connect(options) {
+	let yate = new Yate(Object.assign({ host: "in-memory", reconnect: false }, options));
+	let engine = new MockEngine();
+	engine.attach(yate);
+	return { yate: yate, engine: engine };
+}
+
+// free TCP port
+function port() {
+	let server = createServer();
+	return new Promise(resolve => server.listen(0, "127.0.0.1", () => {
+		let address = server.address();
+		server.close(() => resolve(address.port));
+	}));
+}
+
+function fetch(url) {
+	return new Promise((resolve, reject) => {
+		get(url, res => {
+			let body = "";
+			res.on("data", chunk => { body += chunk });
+			res.on("end", () => resolve({ status: res.statusCode, type: res.headers["content-type"], body: body }));
+		}).on("error", reject);
+	});
+}
+
+test("messages, handlers and dispatches are counted", async () => {
+	let { yate, engine } = connect({ status: false });
+	await yate.install(() => { throw new Error("broken") }, "call.route");
+	await engine.message("call.route", { called: "100" });
+	await engine.message("call.route", { called: "200" });
+	await yate.dispatch(new YateMessage("user.auth"));
+	let metrics = yate.metrics();
+	assert.strictEqual(metrics.connected, true);
+	assert.strictEqual(metrics.messages["call.route"], 2);
+	assert.strictEqual(metrics.handlers.failed, 2);
+	assert.strictEqual(metrics.handler_latency.count, 2);
+	assert.strictEqual(metrics.acknowledged, 2);
+	assert.strictEqual(metrics.dispatched, 1);
+	assert.strictEqual(metrics.dispatch_latency.count, 1);
+	assert.strictEqual(metrics.dispatch_latency.buckets["+Inf"], 1);
+});
+
+test("channel is not counted after hangup even if the script watches chan.hangup", async () => {
+	let { yate, engine } = connect({ status: false });
+	let hangups = [];
+	let chan;
+	await yate.install(msg => {
+		msg.retValue("dumb/");
+		chan = new YateChannel(msg);
+		chan.init();
+		chan.watch(msg => { hangups.push(msg.reason) }, "chan.hangup");
+		return true;
+	}, "call.route");
+	let call = await engine.call({ caller: "100", called: "200" });
+	await wait(20);
+	assert.strictEqual(chan.ready, true);
+	assert.strictEqual(yate.metrics().channels, 1);
+	call.hangup("normal");
+	await wait(20);
+	assert.strictEqual(chan.status, "hangup");
+	assert.deepStrictEqual(hangups, ["normal"]);
+	assert.strictEqual(yate.metrics().channels, 0);
+});
+
+test("only successful reconnects are counted", { timeout: 10000 }, async t => {
+	let engine = new MockEngine();
+	let { port } = await engine.listen({ port: 0, host: "127.0.0.1" });
+	let yate = new Yate({ host: "127.0.0.1", port: port, reconnnect_timeout: 50, reconnect_max: 50, reconnect_jitter: 0, dispatch_timeout: 1000, status: false });
+	t.after(() => {
+		yate.reconnect = false;
+		return engine.close();
+	});
+	await yate.init();
+	let attempts = 0;
+	yate.on("reconnecting", () => attempts++);
+	let disconnected = new Promise(resolve => yate.once("disconnected", resolve));
+	await engine.close();
+	await disconnected;
+	await wait(200);
+	assert.ok(attempts > 1);
+	assert.strictEqual(yate.metrics().reconnects, 0);
+	let connected = new Promise(resolve => yate.once("connected", resolve));
+	await engine.listen({ port: port, host: "127.0.0.1" });
+	await connected;
+	assert.strictEqual(yate.metrics().reconnects, 1);
+});
+
+test("prometheus format has the counters and histograms", async () => {
+	let { yate, engine } = connect({ status: false });
+	await yate.install(() => true, "call.route");
+	await engine.message("call.route", { called: "100" });
+	let text = yate.metrics("prometheus");
+	assert.ok(text.includes("# TYPE next_yate_messages_total counter\n"));
+	assert.ok(text.includes("next_yate_messages_total{engine=\"in-memory:5040\",name=\"call.route\"} 1\n"));
+	assert.ok(text.includes("next_yate_handler_duration_seconds_bucket{engine=\"in-memory:5040\",le=\"+Inf\"} 1\n"));
+	assert.ok(text.includes("next_yate_handler_duration_seconds_count{engine=\"in-memory:5040\"} 1\n"));
+	assert.ok(text.includes("next_yate_reconnects_total{engine=\"in-memory:5040\"} 0\n"));
+});
+
+test("metrics endpoint serves GET /metrics", async () => {
+	let metrics_port = await port();
+	let { yate } = connect({ status: false, metrics_port: metrics_port });
+	yate.init();
+	await wait(20);
+	let res = await fetch("http://127.0.0.1:" + metrics_port + "/metrics");
+	assert.strictEqual(res.status, 200);
+	assert.ok(res.type.startsWith("text/plain; version=0.0.4"));
+	assert.ok(res.body.includes("next_yate_up{engine=\"in-memory:5040\"} 1\n"));
+	assert.strictEqual((await fetch("http://127.0.0.1:" + metrics_port + "/other")).status, 404);
+});
+
+test("engine.status answer is appended with the metrics summary", async () => {
+	let yate = new Yate({ host: "in-memory", reconnect: false });
+	let engine = new MockEngine();
+	let installed = new Promise(resolve => engine.once("install", resolve));
+	engine.attach(yate);
+	await installed;
+	let ack = await engine.message("engine.status", {}, "name=engine,type=system;plugins=50\r\n");
+	let [engineStatus, summary] = ack.retvalue.split("\r\n");
+	assert.strictEqual(engineStatus, "name=engine,type=system;plugins=50");
+	assert.ok(summary.startsWith("name=next-yate,type=ext,format=Count;connected=true,"));
+});
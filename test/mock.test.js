@@ -0,0 +1,85 @@
+/**
+ * @file "Next-Yate" mock engine tests
+ * @description MockEngine records the commands of the script, answers the dispatched messages and simulates the calls.
+ * Usage: npm test
+ */
+"use strict";
+
+const test = require("node:test");
+const assert = require("assert");
+const { Yate, YateMessage } = require("..");
+const { MockEngine } = require("../mock");
+
+function connect(options) {
+	let yate = new Yate(Object.assign({ host: "in-memory", reconnect: false }, options));
+	let engine = new MockEngine();
+	engine.attach(yate);
+	return { yate: yate, engine: engine };
+}
+
+test("installs, watches and setlocals of the script are recorded", async () => {
+	let { yate, engine } = connect();
+	assert.strictEqual(await yate.install(() => true, "call.route", 50), true);
+	assert.strictEqual(await yate.watch(() => {}, "call.cdr"), true);
+	assert.strictEqual(await yate.setlocal("engine.version"), "6.4.0");
+	assert.deepStrictEqual(engine.installs.get("call.route"), { priority: 50, name: "call.route" });
+	assert.ok(engine.watches.has("call.cdr"));
+	assert.strictEqual(engine.setlocals.trackparam, "next-yate");
+
+	assert.strictEqual(await yate.uninstall("call.route"), true);
+	assert.strictEqual(engine.installs.has("call.route"), false);
+	assert.strictEqual((await engine.message("call.route", { called: "100" })).handled, false);
+	assert.strictEqual(engine.notify("chan.hangup", { id: "sip/1" }), false);
+});
+
+test("dispatched messages are answered by the responder", async () => {
+	let { yate, engine } = connect();
+	engine.respond("user.auth", message => ({ handled: true, retvalue: "secret", params: { checked: message.params.username } }));
+	engine.respond("call.cdr", { handled: true });
+	let msg = await yate.dispatch(new YateMessage("user.auth", { username: "100" }));
+	assert.deepStrictEqual([msg.handled, msg.retValue(), msg.checked], [true, "secret", "100"]);
+	assert.strictEqual((await yate.dispatch(new YateMessage("call.cdr"))).handled, true);
+	assert.strictEqual((await yate.dispatch(new YateMessage("user.unknown"))).handled, false);
+	assert.deepStrictEqual(engine.dispatched.map(message => message.name), ["user.auth", "call.cdr", "user.unknown"]);
+});
+
+test("script output is collected", async () => {
+	let { yate, engine } = connect();
+	let output = new Promise(resolve => engine.once("output", resolve));
+	yate.output("Hello, mock");
+	assert.strictEqual(await output, "Hello, mock");
+	assert.deepStrictEqual(engine.output, ["Hello, mock"]);
+});
+
+test("call is routed, attached media is recorded and hangup is notified", async () => {
+	let { yate, engine } = connect();
+	let hangup = new Promise(resolve => yate.watch(msg => resolve(msg.reason), "chan.hangup"));
+	await yate.install(msg => {
+		if (msg.called === "200") {
+			msg.retValue("sip/sip:200@1.2.3.4");
+			return true;
+		}
+	}, "call.route");
+	let call = await engine.call({ caller: "100", called: "200" });
+	assert.deepStrictEqual(call.transfers, ["sip/sip:200@1.2.3.4"]);
+	assert.strictEqual(engine.calls.get(call.id), call);
+
+	let noroute = await engine.call({ caller: "100", called: "300" });
+	assert.strictEqual(noroute.status, "hangup");
+	assert.strictEqual(await hangup, "noroute");
+	assert.strictEqual(engine.calls.has(noroute.id), false);
+
+	let attach = new YateMessage("chan.masquerade", { message: "chan.attach", id: call.id, source: "wave/play/hello.au", consumer: "wave/record/-" });
+	assert.strictEqual((await yate.dispatch(attach)).handled, true);
+	assert.deepStrictEqual([call.played, call.recorded], [["wave/play/hello.au"], []]);
+});
+
+test("script connects over TCP", { timeout: 10000 }, async t => {
+	let engine = new MockEngine();
+	let { port } = await engine.listen({ port: 0, host: "127.0.0.1" });
+	let yate = new Yate({ host: "127.0.0.1", port: port, reconnect: false });
+	t.after(() => engine.close());
+	assert.strictEqual(await yate.init(), true);
+	assert.strictEqual(await yate.setlocal("engine.nodename"), "mock");
+	assert.deepStrictEqual(engine.connection, { role: "global", id: "next-yate", type: "data" });
+});
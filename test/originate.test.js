@@ -0,0 +1,65 @@
+/**
+ * @file "Next-Yate" outgoing call tests
+ * @description YateChannel.originate() on answer, hangup and timeout of the called party.
+ * Usage: npm test
+ */
+"use strict";
+
+const test = require("node:test");
+const assert = require("assert");
+const { Yate, YateChannel } = require("..");
+const { MockEngine } = require("../mock");
+
+function connect(options) {
+	let yate = new Yate({ host: "in-memory", reconnect: false });
+	let engine = new MockEngine(options);
+	engine.attach(yate);
+	return { yate: yate, engine: engine };
+}
+
+test("answered call resolves the ready channel", async () => {
+	let { yate, engine } = connect();
+	let originated = new Promise(resolve => engine.once("originate", resolve));
+	let chan = await YateChannel.originate(yate, "sip/sip:100@1.2.3.4", { caller: "200", callername: "Wakeup" });
+	let call = await originated;
+	assert.strictEqual(call.callto, "sip/sip:100@1.2.3.4");
+	assert.strictEqual(call.params.caller, "200");
+	assert.deepStrictEqual([chan.id, chan.peerid, chan.status, chan.ready], [call.id, call.peerid, "answered", true]);
+
+	await chan.callTo("wave/play/./share/sounds/wakeup.au");
+	assert.deepStrictEqual(call.played, ["wave/play/./share/sounds/wakeup.au"]);
+	await chan.hangup("normal");
+	assert.strictEqual(engine.dispatched.filter(message => message.name === "call.drop")[0].params.id, call.id);
+});
+
+test("number without module is routed by the dumb channel", async () => {
+	let { yate, engine } = connect();
+	await YateChannel.originate(yate, "100");
+	let execute = engine.dispatched.find(message => message.name === "call.execute");
+	assert.deepStrictEqual([execute.params.callto, execute.params.target, execute.params.called, execute.params.direct], ["dumb/", "100", "100", undefined]);
+});
+
+test("hangup of the called party rejects with the reason", async () => {
+	let { yate, engine } = connect({ answerDelay: false });
+	engine.once("originate", call => setTimeout(() => call.hangup("busy"), 10));
+	await assert.rejects(YateChannel.originate(yate, "sip/sip:100@1.2.3.4"), { message: "Originate failed: busy" });
+	assert.strictEqual(yate._watches.filter(item => item.name === "call.answered" || item.name === "chan.hangup").length, 0);
+});
+
+test("unanswered call is dropped by timeout", async () => {
+	let { yate, engine } = connect({ answerDelay: false });
+	let originated = new Promise(resolve => engine.once("originate", resolve));
+	let dropped = new Promise(resolve => engine.on("dispatch", message => { if (message.name === "call.drop") resolve(message) }));
+	await assert.rejects(YateChannel.originate(yate, "sip/sip:100@1.2.3.4", { timeout: 50 }), { message: "Originate timeout" });
+	let call = await originated;
+	let drop = await dropped;
+	assert.deepStrictEqual([drop.params.id, drop.params.reason], [call.id, "timeout"]);
+	assert.strictEqual(engine.dispatched.find(message => message.name === "call.execute").params.maxcall, "50");
+});
+
+test("not handled call.execute rejects", async () => {
+	let { yate, engine } = connect();
+	engine.respond("call.execute", { handled: false, params: { error: "offline" } });
+	await assert.rejects(YateChannel.originate(yate, "sip/sip:100@1.2.3.4"), { message: "Originate failed: offline" });
+	await assert.rejects(YateChannel.originate(undefined, "100"), /Originate arguments error/);
+});
@@ -0,0 +1,65 @@
+/**
+ * @file "Next-Yate" parameter model tests
+ * @description Nested, flat and typed models of the incoming message parameters and their round-trip.
+ * Usage: npm test
+ */
+"use strict";
+
+const test = require("node:test");
+const assert = require("assert");
+const { Yate } = require("..");
+const { MockEngine } = require("../mock");
+
+const PARAMS = { answered: "false", x: "1", "x.y": "2", "a.b.c": "3", "a.b": "4", n: "0123", count: "42", "sip_to.tag": "t" };
+
+// the message seen by the handler and its acknowledgement
+function handle(options, params, handler) {
+	let yate = new Yate(Object.assign({ host: "in-memory", reconnect: false }, options));
+	let engine = new MockEngine();
+	engine.attach(yate);
+	let seen;
+	return yate.install(msg => {
+		seen = msg;
+		if (handler) handler(msg);
+		return false;
+	}, "call.cdr")
+		.then(() => engine.message("call.cdr", params))
+		.then(ack => ({ yate: yate, msg: seen, ack: ack }));
+}
+
+test("nested model converts the dotted keys and booleans", async () => {
+	let { msg, ack } = await handle({}, PARAMS, msg => { msg.extra = 1 });
+	assert.strictEqual(msg.answered, false);
+	assert.strictEqual(msg.x, "1");
+	assert.strictEqual(msg["x.y"], "2");
+	assert.deepStrictEqual(msg.a, { b: "4" });
+	assert.strictEqual(msg["a.b.c"], "3");
+	assert.strictEqual(msg.sip_to.tag, "t");
+	assert.deepStrictEqual(ack.params, Object.assign({}, PARAMS, { extra: "1" }));
+});
+
+test("flat model keeps the exact keys and strings", async () => {
+	let { msg, ack } = await handle({ params: "flat" }, PARAMS, msg => { msg.extra = 1 });
+	assert.strictEqual(msg.answered, "false");
+	assert.strictEqual(msg.x, "1");
+	assert.strictEqual(msg["x.y"], "2");
+	assert.strictEqual(msg["sip_to.tag"], "t");
+	assert.deepStrictEqual(ack.params, Object.assign({}, PARAMS, { extra: "1" }));
+});
+
+test("typed model converts the parameters by schema", async () => {
+	let options = { params: "typed", schemas: { "call.cdr": { duration: "number", answered: "boolean" } } };
+	let { msg, ack } = await handle(options, { duration: "10.5", answered: "false", count: "42" }, msg => { msg.duration += 1 });
+	assert.strictEqual(msg.duration, 11.5);
+	assert.strictEqual(msg.answered, false);
+	assert.strictEqual(msg.count, "42");
+	assert.deepStrictEqual(ack.params, { duration: "11.5", answered: "false", count: "42" });
+});
+
+test("getParam converts numbers only by request", async () => {
+	let { msg } = await handle({ params: "flat" }, PARAMS);
+	assert.strictEqual(msg.getParam("count"), "42");
+	assert.strictEqual(msg.getParam("count", 0, true), 42);
+	assert.strictEqual(msg.getParam("n", 0, true), "0123");
+	assert.strictEqual(msg.getParam("missing", "default"), "default");
+});
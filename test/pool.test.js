@@ -0,0 +1,88 @@
+/**
+ * @file "Next-Yate" connection pool tests
+ * @description Mirrored handlers, failover and round-robin dispatch, the first connection and the metrics endpoint of the pool.
+ * Usage: npm test
+ */
+"use strict";
+
+const test = require("node:test");
+const assert = require("assert");
+const { createServer } = require("net");
+const { get } = require("http");
+const { YatePool, YateMessage } = require("..");
+const { MockEngine } = require("../mock");
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// in-memory Engine of the Yate
+function mock(yate) {
+	let engine = new MockEngine();
+	engine.attach(yate);
+	return engine;
+}
+
+// free TCP port
+function port() {
+	let server = createServer();
+	return new Promise(resolve => server.listen(0, "127.0.0.1", () => {
+		let address = server.address();
+		server.close(() => resolve(address.port));
+	}));
+}
+
+function status(url) {
+	return new Promise(resolve => get(url, { agent: false }, res => {
+		res.resume();
+		resolve(res.statusCode);
+	}).on("error", error => resolve(error.code)));
+}
+
+test("handlers are mirrored and messages are acknowledged to their Engine", async () => {
+	let pool = new YatePool({ hosts: [{ host: "in-memory", engine: "primary" }, { host: "in-memory", engine: "standby" }], reconnect: false, status: false });
+	let [primary, standby] = pool.engines.map(mock);
+	let engines = [];
+	assert.strictEqual(await pool.install(msg => {
+		engines.push(msg._engine);
+		msg.retValue("sip/" + msg._engine);
+		return true;
+	}, "call.route"), true);
+	assert.ok(primary.installs.has("call.route") && standby.installs.has("call.route"));
+	assert.strictEqual((await standby.message("call.route", { called: "100" })).retvalue, "sip/standby");
+	assert.strictEqual((await primary.message("call.route", { called: "100" })).retvalue, "sip/primary");
+	assert.deepStrictEqual(engines, ["standby", "primary"]);
+});
+
+test("failover dispatches to the first connected Engine, round-robin in turn", async () => {
+	let pool = new YatePool({ hosts: ["in-memory:1", { host: "in-memory", engine: "primary" }, { host: "in-memory", engine: "standby" }], reconnect: false, status: false });
+	let [primary, standby] = pool.engines.slice(1).map(mock); // the first one is not connected
+	await pool.dispatch(new YateMessage("user.auth"));
+	assert.deepStrictEqual([primary.dispatched.length, standby.dispatched.length], [1, 0]);
+
+	pool.mode = "round-robin";
+	await pool.dispatch(new YateMessage("user.auth"));
+	await pool.dispatch(new YateMessage("user.auth"));
+	assert.deepStrictEqual([primary.dispatched.length, standby.dispatched.length], [2, 1]);
+	assert.deepStrictEqual(pool.metrics().map(metrics => metrics.dispatched), [0, 2, 1]);
+});
+
+test("init resolves false when every Engine failed the first attempt", { timeout: 10000 }, async t => {
+	let hosts = [await port(), await port()].map(port => "127.0.0.1:" + port);
+	let pool = new YatePool({ hosts: hosts, reconnnect_timeout: 50, reconnect_max: 50, reconnect_jitter: 0, dispatch_timeout: 1000, status: false });
+	t.after(() => pool.engines.forEach(yate => { yate.reconnect = false }));
+	let connecting = [];
+	pool.on("connecting", (attempt, yate) => connecting.push(yate.engine));
+	assert.strictEqual(await pool.init(), false);
+	assert.deepStrictEqual(connecting.sort(), hosts.sort());
+	assert.strictEqual(pool.connected, false);
+});
+
+test("close() stops the metrics endpoint", async () => {
+	let metrics_port = await port();
+	let pool = new YatePool({ hosts: [{ host: "in-memory" }], reconnect: false, status: false, metrics_port: metrics_port });
+	mock(pool.engines[0]);
+	await pool.init();
+	await wait(20);
+	assert.strictEqual(await status("http://127.0.0.1:" + metrics_port + "/metrics"), 200);
+	await pool.close();
+	assert.strictEqual(await status("http://127.0.0.1:" + metrics_port + "/metrics"), "ECONNREFUSED");
+});
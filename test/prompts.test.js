@@ -0,0 +1,61 @@
+/**
+ * @file "Next-Yate" prompt playback tests
+ * @description YateChannel.playAndCollect() plays the prompts in turn and stops them on the first digit.
+ * Usage: npm test
+ */
+"use strict";
+
+const test = require("node:test");
+const assert = require("assert");
+const { Yate, YateChannel } = require("..");
+const { MockEngine } = require("../mock");
+
+const PROMPTS = ["./share/sounds/words/press-1.wav", "./share/sounds/words/to-hear-callerid.wav", "tone/busy"];
+
+// incoming call routed to the script {call, chan}
+async function incoming(options) {
+	let yate = new Yate({ host: "in-memory", reconnect: false });
+	let engine = new MockEngine(options);
+	engine.attach(yate);
+	let initialized;
+	await yate.install(msg => {
+		msg.retValue("dumb/");
+		let chan = new YateChannel(msg);
+		initialized = chan.init().then(() => chan);
+		return true;
+	}, "call.route");
+	let call = await engine.call({ caller: "100", called: "200" });
+	return { engine: engine, call: call, chan: await initialized };
+}
+
+test("prompts are played in turn before the input", async () => {
+	let { call, chan } = await incoming();
+	let input = await chan.playAndCollect(PROMPTS, { max: 1, firstDigitTimeout: 30 });
+	assert.deepStrictEqual(input, { digits: "", reason: "timeout" });
+	assert.deepStrictEqual(call.played, ["wave/play/./share/sounds/words/press-1.wav", "wave/play/./share/sounds/words/to-hear-callerid.wav", "tone/busy"]);
+});
+
+test("first digit stops the playback and skips the rest of prompts", async () => {
+	let { engine, call, chan } = await incoming({ mediaDuration: 1000 });
+	call.once("attach", () => setTimeout(() => call.dtmf("12"), 10));
+	let detached = new Promise(resolve => engine.on("dispatch", message => { if (message.params.source === "wave/play/-") resolve() }));
+	let input = await chan.playAndCollect(PROMPTS, { max: 2 });
+	assert.deepStrictEqual(input, { digits: "12", reason: "max" });
+	assert.deepStrictEqual(call.played, ["wave/play/./share/sounds/words/press-1.wav"]);
+	await detached;
+});
+
+test("buffered digit skips the playback", async () => {
+	let { call, chan } = await incoming();
+	call.dtmf("5");
+	await new Promise(resolve => setTimeout(resolve, 20));
+	assert.deepStrictEqual(await chan.playAndCollect(PROMPTS, { max: 1 }), { digits: "5", reason: "max" });
+	assert.deepStrictEqual(call.played, []);
+});
+
+test("hangup during the playback completes the input", async () => {
+	let { call, chan } = await incoming({ mediaDuration: 1000 });
+	call.once("attach", () => setTimeout(() => call.hangup("normal"), 10));
+	assert.deepStrictEqual(await chan.playAndCollect(PROMPTS), { digits: "", reason: "hangup" });
+	assert.strictEqual(await chan.playAndCollect(PROMPTS), false);
+});
@@ -0,0 +1,83 @@
+/**
+ * @file "Next-Yate" protocol tests
+ * @description Parser and serializer of the external module lines, framing and bufsize limits.
+ * Usage: npm test
+ */
+"use strict";
+
+const test = require("node:test");
+const assert = require("assert");
+const { parse, format, ParseError, YateParser } = require("../protocol");
+const { Yate } = require("..");
+const { MockEngine } = require("../mock");
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function connect(options) {
+	let yate = new Yate(Object.assign({ host: "in-memory", reconnect: false }, options));
+	let engine = new MockEngine();
+	engine.attach(yate);
+	return { yate: yate, engine: engine };
+}
+
+test("parse and format round-trip the escaped values", () => {
+	let line = "%%>message:id1:1580736088:call.route:ret:called=32843:caller=%z1:x=a%%b";
+	let record = parse(line);
+	assert.strictEqual(record.keyword, "%%>message");
+	assert.strictEqual(record.name, "call.route");
+	assert.deepStrictEqual(record.params, { called: "32843", caller: ":1", x: "a%b" });
+	assert.strictEqual(format(record), line);
+});
+
+test("malformed lines throw ParseError with the position", () => {
+	assert.throws(() => parse("%%>bogus:x"), error => error instanceof ParseError && error.position === 0);
+	assert.throws(() => parse("%%>message:id1:1:call.route::bad=%1"), error => error instanceof ParseError && error.position === 33);
+	assert.throws(() => parse("%%>message:id1:1:call.route::bad=x%"), /truncated/);
+});
+
+test("parser frames the lines split between chunks and skips the long ones", () => {
+	let parser = new YateParser({ maxLength: 50 });
+	let records = [];
+	let errors = [];
+	parser.on("record", record => records.push(record.keyword));
+	parser.on("protocolError", error => errors.push(error.message));
+	parser.write("%%<watch:chan.hangup:tr");
+	parser.write("ue\n%%>message:1:1:x::a=" + "z".repeat(60) + "\n%%<setlocal:bufsize:8192:true\n");
+	assert.deepStrictEqual(records, ["%%<watch", "%%<setlocal"]);
+	assert.deepStrictEqual(errors, ["Line exceeds 50 characters"]);
+});
+
+test("acknowledgement over bufsize falls back to the minimal one", async () => {
+	let { yate, engine } = connect({ bufsize: 1000 });
+	let errors = [];
+	yate.on("protocolError", error => errors.push(error.message));
+	await yate.install(msg => { msg.big = "x".repeat(2000); msg.retValue("ok"); return true }, "call.route");
+	await yate.install(msg => { msg.retValue("y".repeat(2000)); return true }, "call.execute");
+
+	let ack = await engine.message("call.route", { called: "100" });
+	assert.strictEqual(ack.handled, true);
+	assert.strictEqual(ack.retvalue, "ok");
+	assert.deepStrictEqual(ack.params, {});
+
+	ack = await engine.message("call.execute", { called: "100" });
+	assert.strictEqual(ack.handled, false);
+	assert.strictEqual(ack.retvalue, "");
+	assert.ok(errors.length >= 2 && errors.every(error => /exceeds bufsize 1000/.test(error)));
+});
+
+test("incoming lines are limited by bufsize", async () => {
+	let { yate } = connect({ bufsize: 1000 });
+	let errors = [];
+	yate.on("protocolError", error => errors.push(error.message));
+	let line = ":a=" + "z".repeat(1200) + "\n";
+	yate.in.write("%%>message:1:1:x.y:" + line);
+	await wait(10);
+	assert.deepStrictEqual(errors, ["Line exceeds 1000 characters"]);
+	yate.bufsize = 5000;
+	let seen = [];
+	await yate.watch(msg => seen.push(msg.a.length), "x.y");
+	yate.in.write("%%<message::false:x.y:" + line);
+	await wait(10);
+	assert.deepStrictEqual(seen, [1200]);
+	assert.strictEqual(errors.length, 1);
+});
@@ -0,0 +1,55 @@
+/**
+ * @file "Next-Yate" database query tests
+ * @description Binding of the query placeholders and reading of the result table.
+ * Usage: npm test
+ */
+"use strict";
+
+const test = require("node:test");
+const assert = require("assert");
+const { Yate } = require("..");
+const { MockEngine } = require("../mock");
+
+// resolves the query text sent to the Engine
+function bind(sql, params, options) {
+	let yate = new Yate({ host: "in-memory", reconnect: false });
+	let engine = new MockEngine();
+	engine.attach(yate);
+	engine.respond("database", { handled: true, params: { rows: "0" } });
+	return yate.query("billing", sql, params, options).then(() => engine.dispatched[engine.dispatched.length - 1].params.query);
+}
+
+test("positional and named placeholders are bound outside of literals", async () => {
+	assert.strictEqual(await bind("SELECT '?', \"a?\" FROM t WHERE a = ? AND b = ? AND c::text = ?", ["x", 1, true]),
+		"SELECT '?', \"a?\" FROM t WHERE a = 'x' AND b = 1 AND c::text = TRUE");
+	assert.strictEqual(await bind("SELECT * FROM t WHERE a = :a AND b IN (:b) AND c = ':a'", { a: null, b: ["x", 2] }),
+		"SELECT * FROM t WHERE a = NULL AND b IN ('x', 2) AND c = ':a'");
+});
+
+test("quotes are doubled, backslashes are escaped in mysql dialect", async () => {
+	let value = "\\' OR 1=1 -- ";
+	assert.strictEqual(await bind("SELECT ? FROM t", ["it's"]), "SELECT 'it''s' FROM t");
+	assert.strictEqual(await bind("SELECT ? FROM t", [value], { dialect: "standard" }), "SELECT '\\'' OR 1=1 -- ' FROM t");
+	assert.strictEqual(await bind("SELECT 'a\\'?', ? FROM t", [value], { dialect: "mysql" }), "SELECT 'a\\'?', '\\\\'' OR 1=1 -- ' FROM t");
+});
+
+test("missing and invalid values reject the query", async () => {
+	await assert.rejects(bind("SELECT ? , ?", [1]), /missing/);
+	await assert.rejects(bind("SELECT :a", { b: 1 }), /missing: :a/);
+	await assert.rejects(bind("SELECT ?", [NaN]), /finite/);
+	await assert.rejects(bind("SELECT ?", ["\\' OR 1=1 -- "]), /backslash/);
+	await assert.rejects(bind("SELECT ?", [["a", "b\\"]]), /backslash/);
+	await assert.rejects(bind("SELECT ?", ["a"], { dialect: "oracle" }), /Dialect/);
+});
+
+test("result rows are read from 1-based parameters with 0-based index", async () => {
+	let yate = new Yate({ host: "in-memory", reconnect: false });
+	let engine = new MockEngine();
+	engine.attach(yate);
+	engine.respond("database", { handled: true, params: { columns: "2", rows: "2", "1.name": "alice", "1.credit": "10", "2.name": "bob", "2.credit": "5" } });
+	let res = await yate.query("billing", "SELECT name, credit FROM users");
+	assert.deepStrictEqual(res.getRow(0), { name: "alice", credit: "10" });
+	assert.strictEqual(res.getResult(1, "name"), "bob");
+	assert.deepStrictEqual(res.getColumn("credit"), ["10", "5"]);
+	assert.strictEqual(res.getRow(2), undefined);
+});
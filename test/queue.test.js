@@ -0,0 +1,140 @@
+/**
+ * @file "Next-Yate" offline queue tests
+ * @description Queue policies and ttl while disconnected, the restore order after reconnect.
+ * Usage: npm test
+ */
+"use strict";
+
+const test = require("node:test");
+const assert = require("assert");
+const { Yate, YateMessage, QueueOverflowError } = require("..");
+const { MockEngine } = require("../mock");
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// offline Yate, the queued messages are sent by attach()
+function offline(options) {
+	let yate = new Yate(Object.assign({ host: "in-memory", reconnect: false, status: false }, options));
+	let dropped = [];
+	yate.queue.on("drop", (entry, reason) => dropped.push(reason));
+	return { yate: yate, dropped: dropped };
+}
+
+function enqueue(yate, count) {
+	let results = [];
+	for (let i = 0; i < count; i++) results.push(yate.enqueue(new YateMessage("app.event", { index: "" + i })).catch(error => error));
+	return results;
+}
+
+test("drop-oldest keeps the newest messages", async () => {
+	let { yate, dropped } = offline({ queue: 2 });
+	enqueue(yate, 3);
+	assert.strictEqual(yate.queue.length, 2);
+	assert.deepStrictEqual(dropped, ["overflow"]);
+	let engine = new MockEngine();
+	engine.attach(yate);
+	await wait(20);
+	assert.deepStrictEqual(engine.dispatched.map(msg => msg.params.index), ["1", "2"]);
+});
+
+test("drop-newest keeps the oldest messages", async () => {
+	let { yate, dropped } = offline({ queue: 2, queue_policy: "drop-newest" });
+	enqueue(yate, 3);
+	assert.deepStrictEqual(dropped, ["overflow"]);
+	let engine = new MockEngine();
+	engine.attach(yate);
+	await wait(20);
+	assert.deepStrictEqual(engine.dispatched.map(msg => msg.params.index), ["0", "1"]);
+});
+
+test("reject policy refuses the message", async () => {
+	let { yate } = offline({ queue: 2, queue_policy: "reject" });
+	let results = enqueue(yate, 3);
+	assert.ok(await results[2] instanceof QueueOverflowError);
+	assert.strictEqual(yate.queue.length, 2);
+	let engine = new MockEngine();
+	engine.attach(yate);
+	await wait(20);
+	assert.deepStrictEqual(engine.dispatched.map(msg => msg.params.index), ["0", "1"]);
+});
+
+test("expired messages are not replayed", async () => {
+	let { yate, dropped } = offline({ queue_ttl: 10 });
+	enqueue(yate, 2);
+	await wait(30);
+	let engine = new MockEngine();
+	engine.attach(yate);
+	await wait(20);
+	assert.deepStrictEqual(dropped, ["ttl", "ttl"]);
+	assert.strictEqual(engine.dispatched.length, 0);
+});
+
+test("install and watch are never dropped and go first", async () => {
+	let { yate, dropped } = offline({ queue: 1 });
+	enqueue(yate, 3);
+	let installed = [yate.install(() => true, "call.route"), yate.install(() => true, "call.execute"), yate.watch(() => {}, "chan.hangup")];
+	assert.strictEqual(yate.queue.length, 1);
+	assert.deepStrictEqual(dropped, ["overflow", "overflow"]);
+	let engine = new MockEngine();
+	let lines = [];
+	engine.on("line", line => lines.push(line.split(":")[0]));
+	engine.attach(yate);
+	assert.deepStrictEqual(await Promise.all(installed), [true, true, true]);
+	await wait(20);
+	assert.deepStrictEqual(lines.filter(keyword => keyword !== "%%>setlocal"), ["%%>install", "%%>install", "%%>watch", "%%>message"]);
+});
+
+test("only the latest control line of a message is kept", async () => {
+	let { yate } = offline();
+	let route = () => true;
+	let results = [
+		yate.setlocal("id", "first"),
+		yate.setlocal("id", "second"),
+		yate.install(route, "call.route"),
+		yate.uninstall(route, "call.route"),
+		yate.install(() => true, "call.execute", 90),
+		yate.install(() => true, "call.execute", 10),
+		yate.watch(() => {}, "chan.hangup", "id", "sip/1"),
+		yate.watch(() => {}, "chan.hangup", "id", "sip/2")
+	];
+	let engine = new MockEngine();
+	let lines = [];
+	engine.on("line", line => lines.push(line));
+	engine.attach(yate);
+	assert.deepStrictEqual(await Promise.all(results), ["second", "second", false, false, true, true, true, true]);
+	assert.deepStrictEqual(lines.filter(line => !line.startsWith("%%>setlocal:trackparam")),
+		["%%>setlocal:id:second", "%%>uninstall:call.route", "%%>install:10:call.execute", "%%>watch:chan.hangup"]);
+});
+
+test("restore goes before the queued messages and before connected", { timeout: 10000 }, async t => {
+	let first = new MockEngine();
+	let second = new MockEngine();
+	let { port } = await first.listen({ port: 0, host: "127.0.0.1" });
+	let yate = new Yate({ host: "127.0.0.1", port: port, reconnnect_timeout: 50, reconnect_max: 100, reconnect_jitter: 0, dispatch_timeout: 1000, status: false });
+	t.after(() => {
+		yate.reconnect = false;
+		return second.close();
+	});
+	assert.strictEqual(await yate.init(), true);
+	await yate.install(() => true, "call.route");
+	await yate.watch(() => {}, "chan.hangup");
+	let disconnected = new Promise(resolve => yate.once("disconnected", resolve));
+	await first.close();
+	await disconnected;
+	yate.enqueue(new YateMessage("app.event"));
+
+	let lines = [];
+	let dispatched = new Promise(resolve => second.once("dispatch", resolve));
+	second.on("line", line => lines.push(line.split(":")[0]));
+	let restored;
+	let connected = new Promise(resolve => yate.once("connected", () => {
+		restored = yate.restored();
+		resolve(lines.slice());
+	}));
+	await second.listen({ port: port, host: "127.0.0.1" });
+	assert.deepStrictEqual(await connected, []);
+	assert.strictEqual(await restored, true);
+	await dispatched;
+	assert.deepStrictEqual(lines.filter(keyword => keyword !== "%%>setlocal" && keyword !== "%%>connect"), ["%%>install", "%%>watch", "%%>message"]);
+	assert.ok(second.installs.has("call.route") && second.watches.has("chan.hangup"));
+});
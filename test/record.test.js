@@ -0,0 +1,80 @@
+/**
+ * @file "Next-Yate" recording tests
+ * @description YateChannel.record() stop reasons, beep, maxlen of the known formats and the silence of the recorded file.
+ * Usage: npm test
+ */
+"use strict";
+
+const test = require("node:test");
+const assert = require("assert");
+const { mkdtempSync, writeFileSync } = require("fs");
+const { tmpdir } = require("os");
+const { join } = require("path");
+const { Yate, YateChannel } = require("..");
+const { MockEngine } = require("../mock");
+
+// incoming call routed to the script {engine, call, chan}
+async function incoming() {
+	let yate = new Yate({ host: "in-memory", reconnect: false });
+	let engine = new MockEngine();
+	engine.attach(yate);
+	let initialized;
+	await yate.install(msg => {
+		msg.retValue("dumb/");
+		let chan = new YateChannel(msg);
+		initialized = chan.init().then(() => chan);
+		return true;
+	}, "call.route");
+	let call = await engine.call({ caller: "100", called: "200" });
+	return { engine: engine, call: call, chan: await initialized };
+}
+
+// calls back when the recorder is attached
+function recording(call, callback) {
+	call.on("attach", params => {
+		if (params.consumer && params.consumer !== "wave/record/-") setTimeout(callback, 10);
+	});
+}
+
+test("digit stops the recording after the beep and is not buffered", async () => {
+	let { call, chan } = await incoming();
+	let file = join(mkdtempSync(join(tmpdir(), "next-yate-")), "vm.au");
+	recording(call, () => call.dtmf("5#"));
+	let rec = await chan.record(file, { beep: true, stopOnDigits: "#*" });
+	assert.deepStrictEqual([rec.path, rec.stopReason, rec.digit, rec.bytes], [file, "digit", "#", 0]);
+	assert.deepStrictEqual(call.played, ["tone/dtmf/0"]);
+	assert.deepStrictEqual(call.recorded, ["wave/record/" + file]);
+	assert.deepStrictEqual(await chan.getDigits({ firstDigitTimeout: 20 }), { digits: "5", reason: "timeout" });
+});
+
+test("known format is limited by maxlen, the others by timer", async () => {
+	let { engine, chan } = await incoming();
+	let rec = await chan.record("/tmp/next-yate-missing.slin", { maxDuration: 50 });
+	assert.strictEqual(rec.stopReason, "maxDuration");
+	let attach = engine.dispatched.find(message => message.params.consumer === "wave/record//tmp/next-yate-missing.slin");
+	assert.strictEqual(attach.params.maxlen, "800");
+
+	let start = Date.now();
+	rec = await chan.record("/tmp/next-yate-missing.wav", { maxDuration: 50 });
+	assert.strictEqual(rec.stopReason, "maxDuration");
+	assert.ok(Date.now() - start < 1000);
+});
+
+test("silence of the local file stops the recording, its duration is taken from the size", async () => {
+	let { call, chan } = await incoming();
+	let file = join(mkdtempSync(join(tmpdir(), "next-yate-")), "vm.slin");
+	writeFileSync(file, Buffer.alloc(16000)); // 1 s of silence
+	let rec = await chan.record(file, { stopOnSilence: { duration: 500, threshold: 100 } });
+	assert.deepStrictEqual([rec.stopReason, rec.bytes, rec.duration], ["silence", 16000, 1000]);
+	assert.deepStrictEqual(call.recorded, ["wave/record/" + file]);
+});
+
+test("stop() and hangup end the recording", async () => {
+	let { call, chan } = await incoming();
+	recording(call, () => chan.stop());
+	assert.strictEqual((await chan.record("/tmp/next-yate-missing.au")).stopReason, "stopped");
+	call.removeAllListeners("attach");
+	recording(call, () => call.hangup("normal"));
+	assert.strictEqual((await chan.record("/tmp/next-yate-missing.au")).stopReason, "hangup");
+	assert.strictEqual(await chan.record("/tmp/next-yate-missing.au"), false);
+});
@@ -0,0 +1,113 @@
+/**
+ * @file "Next-Yate" channel registry tests
+ * @description Channel map kept from the channel messages, resync from engine.status and the watches of several owners.
+ * Usage: npm test
+ */
+"use strict";
+
+const test = require("node:test");
+const assert = require("assert");
+const { Yate, ChannelRegistry } = require("..");
+const { MockEngine } = require("../mock");
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function connect() {
+	let yate = new Yate({ host: "in-memory", reconnect: false });
+	let engine = new MockEngine();
+	engine.attach(yate);
+	return { yate: yate, engine: engine };
+}
+
+// engine.status answer with the channels [id, status, peer]
+function status(channels) {
+	return "name=sip,type=varchans,format=Status|Address|Peer;chans=" + channels.length +
+		(channels.length ? ";" + channels.map(chan => chan[0] + "=" + chan[1] + "|1.2.3.4:5060|" + (chan[2] || "")).join(",") : "") + "\r\n";
+}
+
+test("channel messages add, update and remove the channels", async () => {
+	let { yate, engine } = connect();
+	engine.respond("engine.status", { handled: true, retvalue: status([]) });
+	let registry = new ChannelRegistry(yate);
+	let events = [];
+	registry.on("add", chan => events.push("add " + chan.id));
+	registry.on("update", (chan, changes) => events.push("update " + chan.id + " " + Object.keys(changes).join(",")));
+	registry.on("remove", (chan, reason) => events.push("remove " + chan.id + " " + reason));
+	assert.strictEqual(await registry.init(), true);
+
+	engine.notify("chan.startup", { id: "sip/1", caller: "100", called: "200", direction: "incoming", billid: "b1", status: "incoming" });
+	engine.notify("call.ringing", { id: "sip/1", targetid: "sip/2" });
+	engine.notify("call.answered", { id: "sip/1" });
+	await wait(20);
+	assert.strictEqual(registry.size, 1);
+	assert.deepStrictEqual(registry.byStatus("answered").map(chan => chan.id), ["sip/1"]);
+	assert.strictEqual(registry.byBillid("b1")[0].peerid, "sip/2");
+	assert.strictEqual(registry.byCaller("100")[0].called, "200");
+
+	engine.notify("chan.hangup", { id: "sip/1", reason: "normal" });
+	await wait(20);
+	assert.strictEqual(registry.get("sip/1"), undefined);
+	assert.deepStrictEqual(events, ["add sip/1", "update sip/1 status,peerid", "update sip/1 status,answered", "remove sip/1 normal"]);
+	await registry.close();
+});
+
+test("resync adds the found channels and removes the missing ones", async () => {
+	let { yate, engine } = connect();
+	let channels = [["sip/1", "answered", "sip/2"], ["sip/2", "answered"]];
+	engine.respond("engine.status", () => ({ handled: true, retvalue: status(channels) }));
+	let registry = new ChannelRegistry(yate);
+	let removed = [];
+	registry.on("remove", (chan, reason) => removed.push(chan.id + " " + reason));
+	await registry.init();
+	assert.deepStrictEqual(registry.get("sip/1"), { id: "sip/1", module: "sip", status: "answered", address: "1.2.3.4:5060", peerid: "sip/2" });
+	assert.strictEqual(registry.size, 2);
+
+	channels = [["sip/2", "answered"], ["sip/3", "ringing"]];
+	let list = await registry.resync();
+	assert.deepStrictEqual(list.map(chan => chan.id), ["sip/2", "sip/3"]);
+	assert.deepStrictEqual(removed, ["sip/1 resync"]);
+	await registry.close();
+});
+
+test("channels changed while engine.status is pending keep their state", async () => {
+	let { yate, engine } = connect();
+	let answer;
+	engine.respond("engine.status", () => new Promise(resolve => { answer = resolve }));
+	let registry = new ChannelRegistry(yate);
+	let removed = [];
+	registry.on("remove", (chan, reason) => removed.push(chan.id + " " + reason));
+	let initialized = registry.init();
+	await wait(20);
+	engine.notify("chan.startup", { id: "sip/9", status: "outgoing" });
+	engine.notify("chan.hangup", { id: "sip/1" });
+	await wait(20);
+	// the answer was made before the messages
+	answer({ handled: true, retvalue: status([["sip/1", "answered"]]) });
+	assert.strictEqual(await initialized, true);
+	assert.deepStrictEqual(registry.list().map(chan => chan.id), ["sip/9"]);
+	assert.deepStrictEqual(removed, []);
+	await registry.close();
+});
+
+test("registries and the script keep their own watches", async () => {
+	let { yate, engine } = connect();
+	engine.respond("engine.status", { handled: true, retvalue: status([]) });
+	let first = new ChannelRegistry(yate);
+	let second = new ChannelRegistry(yate);
+	let hangups = [];
+	await first.init();
+	await second.init();
+	await yate.watch(msg => { hangups.push(msg.id) }, "chan.hangup");
+	engine.notify("chan.startup", { id: "sip/1" });
+	await wait(20);
+	assert.strictEqual(first.size + second.size, 2);
+
+	await first.close();
+	engine.notify("chan.hangup", { id: "sip/1" });
+	await wait(20);
+	assert.strictEqual(second.size, 0);
+	assert.deepStrictEqual(hangups, ["sip/1"]);
+	await second.close();
+	assert.strictEqual(engine.watches.has("chan.startup"), false);
+	assert.strictEqual(engine.watches.has("chan.hangup"), true);
+});
@@ -0,0 +1,77 @@
+/**
+ * @file "Next-Yate" say phrase tests
+ * @description YateSay words of numbers, digits, money, dates and time in "en" and "ru", the sound files played by YateChannel.say().
+ * Usage: npm test
+ */
+"use strict";
+
+const test = require("node:test");
+const assert = require("assert");
+const { Yate, YateChannel, YateSay } = require("..");
+const { MockEngine } = require("../mock");
+
+// incoming call routed to the script {call, chan}
+async function incoming(options) {
+	let yate = new Yate(Object.assign({ host: "in-memory", reconnect: false }, options));
+	let engine = new MockEngine();
+	engine.attach(yate);
+	let initialized;
+	await yate.install(msg => {
+		msg.retValue("dumb/");
+		let chan = new YateChannel(msg);
+		initialized = chan.init().then(() => chan);
+		return true;
+	}, "call.route");
+	let call = await engine.call({ caller: "100", called: "200" });
+	return { call: call, chan: await initialized };
+}
+
+test("english numbers, digits and money", () => {
+	assert.deepStrictEqual(YateSay.words(0), ["0"]);
+	assert.deepStrictEqual(YateSay.words(-15), ["minus", "15"]);
+	assert.deepStrictEqual(YateSay.words(1234567), ["1", "million", "2", "hundred", "30", "4", "thousand", "5", "hundred", "60", "7"]);
+	assert.deepStrictEqual(YateSay.words("12*#", { type: "digits" }), ["1", "2", "star", "pound"]);
+	assert.deepStrictEqual(YateSay.words(-12.05, { type: "currency" }), ["minus", "12", "dollars", "and", "5", "cents"]);
+	assert.deepStrictEqual(YateSay.words(1.01, { type: "currency", currency: "EUR" }), ["1", "euro", "and", "1", "cent"]);
+	assert.deepStrictEqual(YateSay.words(2.5, { type: "currency", currency: "GBP" }), ["2", "pounds", "and", "50", "pence"]);
+});
+
+test("english dates and time", () => {
+	assert.deepStrictEqual(YateSay.words(new Date(2024, 2, 5), { type: "date" }), ["march", "ord-5", "20", "20", "4"]);
+	assert.deepStrictEqual(YateSay.words(new Date(2005, 0, 21), { type: "date" }), ["january", "20", "ord-1", "2", "thousand", "5"]);
+	assert.deepStrictEqual(YateSay.words("14:05", { type: "time" }), ["2", "oh", "5", "pm"]);
+	assert.deepStrictEqual(YateSay.words("00:00", { type: "time" }), ["12", "o-clock", "am"]);
+});
+
+test("russian plural and feminine forms", () => {
+	assert.deepStrictEqual(YateSay.words(1002, { language: "ru" }), ["thousand1", "2"]);
+	assert.deepStrictEqual(YateSay.words(5, { language: "ru", type: "currency" }), ["5", "ruble5"]);
+	assert.deepStrictEqual(YateSay.words(21.22, { language: "ru", type: "currency" }), ["20", "1", "ruble1", "20", "2f", "kopeck2"]);
+	assert.deepStrictEqual(YateSay.words(new Date(2024, 2, 5), { language: "ru", type: "date" }), ["ord-5", "march", "2f", "thousand2", "20", "ordg-4", "year-g"]);
+	assert.deepStrictEqual(YateSay.words("14:05", { language: "ru", type: "time" }), ["14", "hour5", "5", "minute5"]);
+});
+
+test("languages are extensible, unknown ones and values throw", () => {
+	assert.throws(() => YateSay.words(1, { language: "de" }), /Say language is not supported: de/);
+	assert.throws(() => YateSay.words("x"), /Not valid number: x/);
+	YateSay.addLanguage("test", { digits: value => ("" + value).split("").map(digit => "d" + digit) });
+	assert.ok(YateSay.languages().includes("test"));
+	assert.deepStrictEqual(YateSay.files("42", { type: "digits", language: "test", root: "/snd", format: "au" }), ["/snd/test/d4.au", "/snd/test/d2.au"]);
+	assert.throws(() => YateSay.words(1, { language: "test" }), /Say type number is not supported for language: test/);
+});
+
+test("say() plays the files from the Engine's sounds", async () => {
+	let { call, chan } = await incoming();
+	let message = await chan.say(125);
+	assert.strictEqual(message.reason, "eof");
+	assert.deepStrictEqual(call.played, ["1", "hundred", "20", "5"].map(word => "wave/play/./share/sounds/en/" + word + ".wav"));
+});
+
+test("say() takes the sounds and language options of Yate", async () => {
+	let { call, chan } = await incoming({ sounds: "/var/sounds", language: "ru" });
+	await chan.say("7#", { type: "digits", format: "slin" });
+	assert.deepStrictEqual(call.played, ["wave/play//var/sounds/ru/7.slin", "wave/play//var/sounds/ru/pound.slin"]);
+	call.hangup();
+	await new Promise(resolve => setTimeout(resolve, 20));
+	assert.strictEqual(await chan.say(1), false);
+});
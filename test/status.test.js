@@ -0,0 +1,45 @@
+/**
+ * @file "Next-Yate" engine.status tests
+ * @description Parsing and formatting of engine.status text and status().
+ * Usage: npm test
+ */
+"use strict";
+
+const test = require("node:test");
+const assert = require("assert");
+const { Yate, YateStatus } = require("..");
+const { MockEngine } = require("../mock");
+
+const SIP = "name=sip,type=varchans,format=Status|Address;routed=2,chans=1,state=idle;sip/1=answered|1.2.3.4:5060\r\n";
+const ENGINE = "name=engine,type=system,version=6.4.0;plugins=50,workers=10\r\n";
+
+test("parse() converts the modules, counters and details", () => {
+	let [sip, engine] = YateStatus.parse(SIP + ENGINE);
+	assert.deepStrictEqual(sip, {
+		name: "sip", type: "varchans", format: ["Status", "Address"], info: {},
+		counters: { routed: 2, chans: 1, state: "idle" },
+		details: [{ id: "sip/1", Status: "answered", Address: "1.2.3.4:5060" }]
+	});
+	assert.deepStrictEqual(engine.info, { version: "6.4.0" });
+	assert.strictEqual(engine.format, undefined);
+	assert.deepStrictEqual(engine.details, []);
+});
+
+test("format() is the reverse of parse()", () => {
+	assert.strictEqual(YateStatus.format(YateStatus.parse(SIP + ENGINE)), SIP + ENGINE);
+	assert.strictEqual(YateStatus.format(YateStatus.parse(SIP), false), "name=sip,type=varchans,format=Status|Address;routed=2,chans=1,state=idle\r\n");
+	let line = YateStatus.format({ name: "ivr", type: "misc", format: ["Caller"], counters: { calls: 1 }, details: [{ id: "ivr/1", Caller: "a,b;c|d=e" }] });
+	assert.strictEqual(line, "name=ivr,type=misc,format=Caller;calls=1;ivr/1=a b c d e\r\n");
+});
+
+test("status() dispatches engine.status and parses the answer", async () => {
+	let yate = new Yate({ host: "in-memory", reconnect: false, status: false });
+	let engine = new MockEngine();
+	engine.attach(yate);
+	engine.respond("engine.status", msg => ({ handled: msg.params.module === "sip", retvalue: msg.params.details === "true" ? SIP : ENGINE }));
+	let sip = await yate.status("sip", { details: true });
+	assert.strictEqual(sip.counters.chans, 1);
+	assert.strictEqual(sip.details[0].Status, "answered");
+	let all = await yate.status();
+	assert.deepStrictEqual(all.map(module => module.name), ["engine"]);
+});
@@ -0,0 +1,72 @@
+/**
+ * @file "Next-Yate" strict mode tests
+ * @description Typed errors of dispatch() and setlocal(), per-call timeouts and the connection setters.
+ * Usage: npm test
+ */
+"use strict";
+
+const test = require("node:test");
+const assert = require("assert");
+const { Yate, YateMessage, DispatchTimeoutError, NotConnectedError } = require("..");
+const { MockEngine } = require("../mock");
+
+function connect(options) {
+	let yate = new Yate(Object.assign({ host: "in-memory", reconnect: false }, options));
+	let engine = new MockEngine();
+	engine.attach(yate);
+	return { yate: yate, engine: engine };
+}
+
+test("dispatch resolves the unhandled message on timeout by default", async () => {
+	let { yate, engine } = connect();
+	engine.respond("call.route", () => new Promise(() => {}));
+	let msg = new YateMessage("call.route", { called: "100" });
+	let res = await yate.dispatch(msg, { timeout: 20 });
+	assert.strictEqual(res, msg);
+	assert.strictEqual(res.handled, false);
+});
+
+test("strict dispatch rejects DispatchTimeoutError with the id and elapsed time", async () => {
+	let { yate, engine } = connect({ strict: true });
+	engine.respond("call.route", () => new Promise(() => {}));
+	let msg = new YateMessage("call.route", { called: "100" });
+	let error = await yate.dispatch(msg, { timeout: 20 }).catch(error => error);
+	assert.ok(error instanceof DispatchTimeoutError);
+	assert.strictEqual(error.name, "DispatchTimeoutError");
+	assert.strictEqual(error.id, msg._id);
+	assert.ok(error.elapsed >= 20);
+	// per-call option overrides strict mode
+	assert.strictEqual(await yate.dispatch(new YateMessage("call.route"), { timeout: 20, strict: false }).then(res => res.handled), false);
+});
+
+test("strict dispatch rejects NotConnectedError if not connected", async () => {
+	let yate = new Yate({ host: "in-memory", reconnect: false, strict: true, dispatch_timeout: 20 });
+	let error = await yate.dispatch(new YateMessage("call.route")).catch(error => error);
+	assert.ok(error instanceof NotConnectedError);
+	assert.strictEqual(error.elapsed, 0);
+	// pending setlocals of the constructor
+	await new Promise(resolve => setTimeout(resolve, 30));
+});
+
+test("setlocal resolves the value or rejects in strict mode", async () => {
+	let { yate, engine } = connect();
+	assert.strictEqual(await yate.setlocal("engine.version"), "6.4.0");
+	assert.strictEqual(await yate.setlocal("engine.unknown"), undefined);
+	engine.close();
+	assert.strictEqual(await yate.setlocal("id", "test", { timeout: 20 }), false);
+	let error = await yate.setlocal("id", "test", { timeout: 20, strict: true }).catch(error => error);
+	assert.ok(error instanceof DispatchTimeoutError);
+	assert.strictEqual(error.id, "id");
+});
+
+test("trackname and reconnect setters change the connection parameters", async () => {
+	let { yate, engine } = connect();
+	let changed = new Promise(resolve => engine.on("setlocal", (name, value) => { if (value === "billing") resolve() }));
+	yate.trackname = "billing";
+	yate.reconnect = true;
+	await changed;
+	assert.strictEqual(yate.trackname, "billing");
+	assert.strictEqual(engine.setlocals.trackparam, "billing");
+	await new Promise(resolve => setTimeout(resolve, 10));
+	assert.strictEqual(engine.setlocals.restart, "true");
+});
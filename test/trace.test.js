@@ -0,0 +1,106 @@
+/**
+ * @file "Next-Yate" protocol tracing tests
+ * @description Trace records of the exchanges, filters, latency, the logger and rotation of the JSONL file.
+ * Usage: npm test
+ */
+"use strict";
+
+const test = require("node:test");
+const assert = require("assert");
+const { mkdtempSync, readFileSync, existsSync } = require("fs");
+const { tmpdir } = require("os");
+const { join } = require("path");
+const { Yate, YateMessage, YateTracer } = require("..");
+const { MockEngine } = require("../mock");
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function connect(trace) {
+	let yate = new Yate({ host: "in-memory", reconnect: false, status: false, trace: trace });
+	let records = [];
+	yate.tracer.on("trace", record => records.push(record));
+	let engine = new MockEngine();
+	engine.attach(yate);
+	return { yate: yate, engine: engine, records: records };
+}
+
+function lines(file) {
+	return existsSync(file) ? readFileSync(file, "utf8").split("\n").filter(line => line).map(line => JSON.parse(line)) : [];
+}
+
+test("incoming message and its acknowledgement are traced with latency and outcome", async () => {
+	let { yate, engine, records } = connect({ lines: true });
+	await yate.install(msg => { msg.retValue("sip/100"); return true }, "call.route");
+	await engine.message("call.route", { id: "sip/1", called: "100" });
+	let message = records.find(record => record.type === "message");
+	let ack = records.find(record => record.type === "acknowledge");
+	assert.deepStrictEqual([message.direction, message.name, message.channel], ["in", "call.route", "sip/1"]);
+	assert.deepStrictEqual([ack.direction, ack.name, ack.id, ack.channel, ack.handled, ack.outcome], ["out", "call.route", message.id, "sip/1", true, "handled"]);
+	assert.strictEqual(typeof ack.latency, "number");
+	assert.ok(ack.line.startsWith("%%<message:" + message.id + ":true::sip/100:"));
+	assert.ok(records.some(record => record.type === "install" && record.direction === "out" && record.name === "call.route"));
+});
+
+test("dispatched message is answered with latency", async () => {
+	let { yate, engine, records } = connect(true);
+	engine.respond("user.auth", () => wait(20).then(() => ({ handled: true, retvalue: "secret" })));
+	await yate.dispatch(new YateMessage("user.auth", { username: "100" }));
+	let dispatch = records.find(record => record.type === "dispatch");
+	let answer = records.find(record => record.type === "answer");
+	assert.strictEqual(answer.id, dispatch.id);
+	assert.strictEqual(answer.handled, true);
+	assert.ok(answer.latency >= 15, "latency " + answer.latency);
+	assert.strictEqual(answer.line, undefined);
+});
+
+test("records are filtered by message names and channels", async () => {
+	let { yate, engine, records } = connect({ names: /^chan\./, channels: ["sip/1"] });
+	await yate.watch(() => {}, "chan.notify");
+	await yate.watch(() => {}, "call.cdr");
+	engine.notify("chan.notify", { id: "sip/1" });
+	engine.notify("chan.notify", { id: "sip/2" });
+	engine.notify("call.cdr", { id: "sip/1" });
+	await wait(20);
+	assert.deepStrictEqual(records.map(record => record.type + " " + record.name + " " + record.channel), ["notification chan.notify sip/1"]);
+
+	records.length = 0;
+	yate.tracer.filter("call.cdr");
+	engine.notify("chan.notify", { id: "sip/1" });
+	engine.notify("call.cdr", { id: "sip/2" });
+	await wait(20);
+	assert.deepStrictEqual(records.map(record => record.name + " " + record.channel), ["call.cdr sip/2"]);
+});
+
+test("logger gets the records by level, failed handlers are warnings", async () => {
+	let logged = [];
+	let logger = {
+		debug: (record, summary) => logged.push("debug " + summary),
+		warn: (record, summary) => logged.push("warn " + summary)
+	};
+	let { yate, engine } = connect({ logger: logger, names: "call.route" });
+	await yate.install(() => { throw new Error("broken") }, "call.route");
+	let ack = await engine.message("call.route", { called: "100" });
+	assert.deepStrictEqual(logged.map(line => line.replace(/ \d+ms$/, "")),
+		["debug --> install call.route", "debug <-- install call.route", "debug <-- message call.route " + ack.id, "warn --> acknowledge call.route " + ack.id]);
+});
+
+test("file is rotated by size, close() during rotation writes the waiting lines and closes it", async () => {
+	let dir = mkdtempSync(join(tmpdir(), "next-yate-"));
+	let file = join(dir, "trace.jsonl");
+	let tracer = new YateTracer({ file: file, maxSize: 200, maxFiles: 2 });
+	tracer.enabled = true;
+	for (let i = 0; i < 20; i++) tracer.trace("out", "%%>watch:chan.notify" + i);
+	await wait(100);
+	assert.ok(!existsSync(file + ".3"));
+	let names = [].concat(lines(file + ".2"), lines(file + ".1"), lines(file)).map(record => record.name);
+	assert.deepStrictEqual(names, Array.from({ length: 20 }, (value, i) => "chan.notify" + i).slice(-names.length));
+	assert.ok(names.length < 20 && lines(file + ".2").length);
+
+	// the file exceeds maxSize by the next line
+	tracer.trace("out", "%%>watch:first");
+	tracer.trace("out", "%%>watch:waiting");
+	tracer.close();
+	await wait(100);
+	assert.strictEqual(lines(file).pop().name, "waiting");
+	assert.strictEqual(tracer._stream, null); // not reopened after close()
+});
@@ -0,0 +1,51 @@
+/**
+ * @file "Next-Yate" transport tests
+ * @description Unix socket connection and TLS failures reported like connection errors.
+ * Usage: npm test
+ */
+"use strict";
+
+const test = require("node:test");
+const assert = require("assert");
+const { mkdtempSync } = require("fs");
+const { tmpdir } = require("os");
+const { join } = require("path");
+const { Yate } = require("..");
+const { MockEngine } = require("../mock");
+
+test("script connects over Unix socket", { timeout: 10000 }, async t => {
+	let path = join(mkdtempSync(join(tmpdir(), "next-yate-")), "yate.sock");
+	let engine = new MockEngine();
+	await engine.listen({ path: path });
+	let yate = new Yate({ path: path, reconnect: false });
+	t.after(() => engine.close());
+	let connecting = [];
+	yate.on("connecting", attempt => connecting.push(attempt));
+	assert.strictEqual(await yate.init(), true);
+	assert.strictEqual(await yate.install(() => true, "call.route"), true);
+	assert.strictEqual((await engine.message("call.route", { called: "100" })).handled, true);
+	assert.deepStrictEqual(connecting, [0]);
+});
+
+test("missing socket fails the first connection", { timeout: 10000 }, async () => {
+	let yate = new Yate({ path: join(tmpdir(), "next-yate-missing.sock"), reconnect: false, dispatch_timeout: 100 });
+	assert.strictEqual(await yate.init(), false);
+	assert.strictEqual(yate.connected, false);
+});
+
+test("missing TLS certificate fails like the connection", { timeout: 10000 }, async () => {
+	let yate = new Yate({ host: "127.0.0.1", port: 1, tls: { ca: join(tmpdir(), "next-yate-missing-ca.pem") }, reconnect: false, dispatch_timeout: 100 });
+	let errors = [];
+	yate.on("_error", error => errors.push(error.code));
+	assert.strictEqual(await yate.init(), false);
+	assert.deepStrictEqual(errors, ["ENOENT"]);
+});
+
+test("TLS handshake with plain listener fails the connection", { timeout: 10000 }, async t => {
+	let engine = new MockEngine();
+	let { port } = await engine.listen({ port: 0, host: "127.0.0.1" });
+	t.after(() => engine.close());
+	let yate = new Yate({ host: "127.0.0.1", port: port, tls: { rejectUnauthorized: false }, reconnect: false, dispatch_timeout: 100 });
+	assert.strictEqual(await yate.init(), false);
+	assert.strictEqual(engine.connection, undefined);
+});